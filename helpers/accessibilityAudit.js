@@ -0,0 +1,160 @@
+/**
+ * accessibilityAudit.js
+ * axe-core audit of the detected widget, stored as the run record's `accessibility` section.
+ *
+ * axe runs only on the widget: the widget element is tagged and included by selector, through
+ * its shadow hosts when it sits inside a shadow root. axe itself descends into the widget's own
+ * shadow DOM and iframes.
+ *
+ * Configs/accessibilityThresholds.json sets, per widget type (falling back to "default"):
+ *   failOn      - lowest impact that fails the section: minor | moderate | serious | critical | none
+ *   tags        - axe rule tags to run (e.g. wcag2aa)
+ *   ignoreRules - axe rule ids not run for that type (marquees clone their cards, so duplicate ids are expected)
+ *
+ * A FAIL section marks the run FAIL. ACCESSIBILITY_AUDIT=off skips the stage.
+ */
+const fs = require('fs');
+const path = require('path');
+const { default: AxeBuilder } = require('@axe-core/playwright');
+
+const THRESHOLDS_FILE = path.join(__dirname, '..', 'Configs', 'accessibilityThresholds.json');
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+const SCOPE_ATTR = 'data-qa-axe-scope';
+const AXE_TIMEOUT_MS = 60000;
+const MAX_TARGETS = 5;
+
+class AccessibilityAudit {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Defaults to ACCESSIBILITY_AUDIT !== 'off'
+     * @param {Object} [options.thresholds] - Parsed thresholds (defaults to Configs/accessibilityThresholds.json)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? (process.env.ACCESSIBILITY_AUDIT || 'on').toLowerCase() !== 'off';
+        this.thresholds = options.thresholds || JSON.parse(fs.readFileSync(THRESHOLDS_FILE, 'utf8'));
+        AccessibilityAudit.validate(this.thresholds);
+    }
+
+    static get IMPACTS() {
+        return IMPACTS;
+    }
+
+    /**
+     * Throws on a failOn value axe cannot produce, so a typo does not silently pass every widget.
+     */
+    static validate(thresholds) {
+        const entries = [['default', thresholds.default || {}], ...Object.entries(thresholds.widgetTypes || {})];
+        entries.forEach(([type, entry]) => {
+            if (entry.failOn !== undefined && entry.failOn !== 'none' && !IMPACTS.includes(entry.failOn)) {
+                throw new Error(`[AccessibilityAudit] ${type}: unknown failOn "${entry.failOn}" (expected ${IMPACTS.join(', ')} or none).`);
+            }
+        });
+    }
+
+    /**
+     * Effective settings for a widget type: the type's entry over the default one.
+     */
+    settingsFor(widgetType) {
+        const base = this.thresholds.default || {};
+        const own = (this.thresholds.widgetTypes || {})[widgetType] || {};
+        return {
+            failOn: own.failOn || base.failOn || 'serious',
+            tags: own.tags || base.tags || [],
+            ignoreRules: [...new Set([...(base.ignoreRules || []), ...(own.ignoreRules || [])])]
+        };
+    }
+
+    /**
+     * Runs axe on the widget.
+     * @param {import('playwright').Page} page
+     * @param {import('playwright').Locator} locator - Detected widget (an <iframe> is audited with its document)
+     * @param {string} widgetType
+     * @returns {Promise<Object|null>} The accessibility section, or null when skipped
+     */
+    async run(page, locator, widgetType) {
+        if (!this.enabled || !locator) return null;
+        const settings = this.settingsFor(widgetType);
+
+        try {
+            // Tag the widget and every shadow host above it, outermost first
+            const chain = await locator.evaluate((el, attr) => {
+                const selectors = [];
+                let node = el;
+                for (let depth = 0; node; depth++) {
+                    node.setAttribute(attr, String(depth));
+                    selectors.unshift(`[${attr}="${depth}"]`);
+                    const root = node.getRootNode();
+                    node = root instanceof ShadowRoot ? root.host : null;
+                }
+                return selectors;
+            }, SCOPE_ATTR);
+            const scope = chain.length === 1 ? chain[0] : { fromShadowDom: chain };
+
+            const builder = new AxeBuilder({ page }).include(scope);
+            if (settings.tags.length > 0) builder.withTags(settings.tags);
+            if (settings.ignoreRules.length > 0) builder.disableRules(settings.ignoreRules);
+
+            let timer;
+            const results = await Promise.race([
+                builder.analyze(),
+                new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`axe timed out after ${AXE_TIMEOUT_MS / 1000}s`)), AXE_TIMEOUT_MS); })
+            ]).finally(() => clearTimeout(timer));
+
+            await AccessibilityAudit._untag(page);
+            const section = this.summarize(results, widgetType, settings);
+            console.log(`[AccessibilityAudit] ♿ ${section.status}: ${section.violations} violation(s) across ${section.rules.length} rule(s) (fail on ${settings.failOn}).`);
+            return section;
+        } catch (e) {
+            console.warn(`[AccessibilityAudit] ⚠️ axe run failed: ${e.message}`);
+            await AccessibilityAudit._untag(page);
+            return { status: 'ERROR', widgetType, failOn: settings.failOn, error: e.message, violations: 0, byImpact: {}, rules: [] };
+        }
+    }
+
+    /**
+     * Maps axe results to the record section; pure, so it can be rebuilt from stored axe output.
+     */
+    summarize(results, widgetType, settings = this.settingsFor(widgetType)) {
+        const threshold = settings.failOn === 'none' ? Infinity : IMPACTS.indexOf(settings.failOn);
+        const byImpact = Object.fromEntries(IMPACTS.map(impact => [impact, 0]));
+
+        const rules = (results.violations || []).map(v => {
+            const impact = v.impact || 'minor';
+            byImpact[impact] = (byImpact[impact] || 0) + v.nodes.length;
+            return {
+                id: v.id,
+                impact,
+                help: v.help,
+                helpUrl: v.helpUrl,
+                nodes: v.nodes.length,
+                targets: v.nodes.slice(0, MAX_TARGETS).map(n => [].concat(n.target).flat().join(' > ')),
+                blocking: IMPACTS.indexOf(impact) >= threshold
+            };
+        }).sort((a, b) => IMPACTS.indexOf(b.impact) - IMPACTS.indexOf(a.impact) || b.nodes - a.nodes);
+
+        return {
+            status: rules.some(r => r.blocking) ? 'FAIL' : 'PASS',
+            widgetType,
+            failOn: settings.failOn,
+            tags: settings.tags,
+            ignoredRules: settings.ignoreRules,
+            violations: rules.reduce((sum, r) => sum + r.nodes, 0),
+            byImpact,
+            passes: (results.passes || []).length,
+            incomplete: (results.incomplete || []).length,
+            rules
+        };
+    }
+
+    static async _untag(page) {
+        await page.evaluate(attr => {
+            const clear = root => root.querySelectorAll('*').forEach(el => {
+                el.removeAttribute(attr);
+                if (el.shadowRoot) clear(el.shadowRoot);
+            });
+            clear(document);
+        }, SCOPE_ATTR).catch(() => { });
+    }
+}
+
+module.exports = AccessibilityAudit;
@@ -1,21 +1,101 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const PromptBuilder = require('./promptBuilder');
+const { createVoters } = require('./aiProviders');
+const MockProvider = require('./aiProviders/mockProvider');
+const AIRecorder = require('./aiRecorder');
+const VerdictConsensus = require('./verdictConsensus');
+const AIUsage = require('./aiUsage');
+const AIRateLimiter = require('./aiRateLimiter');
+const PromptTemplates = require('./promptTemplates');
+const PromptBudget = require('./promptBudget');
+const FeatureCatalog = require('./featureCatalog');
+const GeometricWarning = require('./geometricWarning');
+const { validateVerdict, sanitizeLocations, buildCorrectivePrompt } = require('./verdictSchema');
 require('dotenv').config();
 
 class AIEngine {
-    constructor() {
-        this.apiKey = process.env.GEMINI_API_KEY;
-        if (this.apiKey) {
-            this.genAI = new GoogleGenerativeAI(this.apiKey);
-            this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-        } else {
-            console.warn("[AIEngine] GEMINI_API_KEY is not set. AI validation will return mock data.");
+    /**
+     * @param {Object} [options] - Provider overrides ({ provider, model, apiKey, baseUrl, url }),
+     *                             consensus overrides ({ consensusModels, consensusSamples })
+     *                             record/replay overrides ({ recordMode, recordingsDir })
+     *                             and the prompt template version ({ promptVersion }).
+     *                             Falls back to AI_PROVIDER / AI_MODEL env, then Gemini.
+     */
+    constructor(options = {}) {
+        this.voters = createVoters(options);
+        this.provider = this.voters[0];
+        if (!this.provider.isConfigured()) {
+            // Offline fallback: config-derived verdicts from the mock engine (AI_MOCK_FIXTURE applies)
+            this.mockProvider = new MockProvider(options);
+            console.warn(`[AIEngine] ${this.provider.label} is not configured. AI validation will return mock data from ${this.mockProvider.label}.`);
         }
+        this.voters.slice(1).forEach(voter => {
+            if (voter !== this.provider && !voter.isConfigured()) {
+                console.warn(`[AIEngine] Consensus voter ${voter.label} is not configured. Its votes will be recorded as errors.`);
+            }
+        });
+        this.modelName = this.isConsensus
+            ? `consensus[${this.voters.map(v => v.model).join(',')}]`
+            : this.provider.model;
+        if (this.isConsensus) {
+            console.log(`[AIEngine] 🗳️ Consensus mode: ${this.voters.length} voters (${this.voters.map(v => v.label).join(', ')}).`);
+        }
+        this.recorder = new AIRecorder({ mode: options.recordMode, dir: options.recordingsDir });
+        this.promptTemplates = PromptTemplates.load(options.promptVersion);
         this.maxRetries = 5;
         this.initialDelay = 5000; // 5s initial delay
+        this.maxSchemaRetries = 1; // corrective re-asks when the verdict violates the schema
+    }
+
+    /**
+     * True when each verdict is a majority vote across several model calls.
+     */
+    get isConsensus() {
+        return this.voters.length > 1;
+    }
+
+    /**
+     * True when verdicts come from the mock engine (AI_PROVIDER=mock, or no provider configured).
+     */
+    get isMock() {
+        return !this.recorder.isReplaying && (this.provider.name === 'mock' || !this.provider.isConfigured());
+    }
+
+    /**
+     * True when verdicts come from a real model call (not mock data or a replay).
+     */
+    get isLive() {
+        return !this.isMock && !this.recorder.isReplaying;
+    }
+
+    /**
+     * Version and content hash of the prompt templates this engine renders.
+     */
+    get promptStamp() {
+        return { version: this.promptTemplates.version, hash: this.promptTemplates.hash };
+    }
+
+    /**
+     * Full prompt sent to the model, including the structured-output suffix.
+     * @param {Object} [promptContext] - { visibleText, imageCount } for the prompt budget
+     */
+    buildPrompt(widgetType, config, staticFeatures, isMultiImage, geometricWarnings, promptContext) {
+        return this.composePrompt(widgetType, config, staticFeatures, isMultiImage, geometricWarnings, promptContext).prompt;
     }
 
-    async analyzeScreenshot(imageBuffers, config, widgetType, staticFeatures, geometricWarnings) {
+    /**
+     * buildPrompt() plus the budget report of what the prompt left out (see promptBudget.js).
+     * @returns {{prompt: string, budget: Object}}
+     */
+    composePrompt(widgetType, config, staticFeatures, isMultiImage, geometricWarnings, promptContext = {}) {
+        const { prompt, budget } = PromptBuilder.compose(widgetType, config, staticFeatures, isMultiImage, geometricWarnings, this.promptTemplates.version, promptContext);
+        // Force a structured format to prevent truncation and ensure valid JSON
+        return {
+            prompt: prompt + "\n\nCRITICAL: Respond with your reasoning first, followed by a valid JSON block wrapped in ```json ... ```. Ensure the JSON is complete and well-formed.",
+            budget
+        };
+    }
+
+    async analyzeScreenshot(imageBuffers, config, widgetType, staticFeatures, geometricWarnings, promptContext = {}) {
         if (widgetType === 'Widget Not Found') {
             console.log("[AIEngine] 🛑 Detection failure detected. Skipping AI and returning 'Not Found' result.");
             return {
@@ -33,105 +113,101 @@ class AIEngine {
             };
         }
 
-        if (!this.apiKey) {
-            return this.getMockResult(widgetType);
+        const buffers = Array.isArray(imageBuffers) ? imageBuffers : [imageBuffers];
+
+        if (this.mockProvider && !this.recorder.isReplaying) {
+            const result = await this.runAnalysis(this.mockProvider, 0, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext);
+            result.mock = true;
+            return result;
         }
 
-        const buffers = Array.isArray(imageBuffers) ? imageBuffers : [imageBuffers];
+        if (!this.isConsensus) {
+            const result = await this.runAnalysis(this.provider, 0, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext);
+            if (this.isMock) result.mock = true;
+            return result;
+        }
+
+        const labels = this.voters.map((v, i) => `Voter ${i + 1}: ${v.label}`);
+        const verdicts = await Promise.all(this.voters.map((voter, i) =>
+            this.runAnalysis(voter, i, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext)
+        ));
+        const merged = VerdictConsensus.merge(verdicts, labels);
+        merged.usage = AIUsage.combine(verdicts.map(v => v.usage));
+        merged.usage.voters = verdicts.map((v, i) => ({ voter: labels[i], ...v.usage }));
+        // Every voter gets the same prompt
+        merged.promptBudget = verdicts.find(v => v.promptBudget)?.promptBudget;
+        if (this.isMock) merged.mock = true;
+        if (merged.consensus) {
+            const contested = merged.consensus.contested;
+            console.log(`[AIEngine] 🗳️ Consensus for ${widgetType}: ${merged.overall_status} (${merged.consensus.valid_votes}/${this.voters.length} valid votes${contested.length ? `, contested: ${contested.join(', ')}` : ''}).`);
+        }
+        return merged;
+    }
+
+    /**
+     * One complete verdict from a single voter, with the usage of every model call it took
+     * attached as `usage` (see AIUsage.summarize).
+     */
+    async runAnalysis(provider, voterIndex, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext) {
+        const calls = [];
+        const result = await this.requestVerdict(provider, voterIndex, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext, calls);
+        result.usage = AIUsage.summarize(calls);
+        const u = result.usage;
+        console.log(`[AIEngine] 📊 ${provider.label}: ${u.calls} call(s), ${u.totalTokens} tokens (${u.imageTokens} image), ${u.latencyMs}ms, ${AIUsage.formatCost(u.costUsd)}.`);
+        return result;
+    }
+
+    /**
+     * prompt → model → schema guard → post-processing, with backoff on rate limits
+     * and transient network errors. Every model call is appended to `calls`.
+     */
+    async requestVerdict(provider, voterIndex, buffers, config, widgetType, staticFeatures, geometricWarnings, promptContext, calls) {
         let attempts = 0;
+        let promptBudget = null;
 
         while (attempts <= this.maxRetries) {
             let text = "";
             try {
                 attempts++;
-                const rawPrompt = PromptBuilder.build(widgetType, config, staticFeatures, buffers.length > 1, geometricWarnings);
-                // Force a structured format to prevent truncation and ensure valid JSON
-                const prompt = rawPrompt + "\n\nCRITICAL: Respond with your reasoning first, followed by a valid JSON block wrapped in ```json ... ```. Ensure the JSON is complete and well-formed.";
-
-                const imageParts = buffers.map(buffer => ({
-                    inlineData: {
-                        data: buffer.toString("base64"),
-                        mimeType: "image/png",
-                    },
-                }));
-
-                console.log(`[AIEngine] Sending screenshot to Gemini for ${widgetType} validation (Attempt ${attempts})...`);
-                const result = await this.model.generateContent([prompt, ...imageParts]);
-                const response = await result.response;
-                text = response.text().trim();
-
-                // Auto-fix for common AI truncation (missing closing braces)
-                if (text.includes('```json') && !text.endsWith('}')) {
-                    const openBraces = (text.match(/{/g) || []).length;
-                    const closeBraces = (text.match(/}/g) || []).length;
-                    if (openBraces > closeBraces) {
-                        console.warn(`[AIEngine] Detected truncated JSON (missing ${openBraces - closeBraces} braces). Appending recovery braces.`);
-                        text += "\n" + "}".repeat(openBraces - closeBraces) + "\n```";
+                const composed = this.composePrompt(widgetType, config, staticFeatures, buffers.length > 1, geometricWarnings, { ...promptContext, imageCount: buffers.length });
+                const prompt = composed.prompt;
+                if (!promptBudget) {
+                    promptBudget = composed.budget;
+                    console.log(`[AIEngine] ✂️  Prompt budget: ${PromptBudget.summarize(promptBudget)}.`);
+                    if (promptBudget.overBudget) {
+                        console.warn(`[AIEngine] ⚠️ Prompt (~${promptBudget.estimatedTokens} tokens) exceeds PROMPT_TOKEN_BUDGET (${promptBudget.maxTokens}) even after dropping ground-truth feeds.`);
                     }
                 }
 
-                // Enhanced Debug Logging: Show full AI response in terminal
-                console.log("\n[AIEngine] --- RAW AI RESPONSE START ---");
-                console.log(text);
-                console.log("[AIEngine] --- RAW AI RESPONSE END ---\n");
-
-                // Robust JSON and Reasoning Extraction
-                const extractData = (str) => {
-                    // Method 1: Look for markdown code blocks (standard for Gemini)
-                    const mdMatch = str.match(/([\s\S]*?)```json\s*([\s\S]*?)\s*```/i);
-                    if (mdMatch) {
-                        return {
-                            json: mdMatch[2].trim(),
-                            reasoning: mdMatch[1].trim()
-                        };
-                    }
-
-                    // Method 2: Manual brace matching (fallback)
-                    const firstBrace = str.indexOf('{');
-                    const lastBrace = str.lastIndexOf('}');
-                    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                        return {
-                            json: str.substring(firstBrace, lastBrace + 1),
-                            reasoning: str.substring(0, firstBrace).trim()
-                        };
-                    }
-
-                    return { json: null, reasoning: str.trim() };
-                };
-
-                const { json, reasoning } = extractData(text);
-
-                if (!json) {
-                    throw new Error(`AI response did not contain a valid JSON block. Raw preamble: "${reasoning.substring(0, 100)}..."`);
+                const recordContext = { provider, voterIndex, widgetType, config, staticFeatures, geometricWarnings, imageCount: buffers.length, promptVersion: this.promptTemplates.version };
+                text = await this.generateText(prompt, buffers, recordContext, { attempt: attempts, purpose: 'verdict', calls });
+                let { aiResults, schemaErrors } = this.parseAndValidate(text);
+
+                // Schema guard: re-ask with the violations listed before giving up on the verdict
+                let schemaAttempts = 0;
+                while (schemaErrors.length > 0 && schemaAttempts < this.maxSchemaRetries) {
+                    schemaAttempts++;
+                    console.warn(`[AIEngine] ⚠️ Verdict failed schema validation (${schemaErrors.length} issue(s)). Re-asking with corrections (${schemaAttempts}/${this.maxSchemaRetries})...`);
+                    schemaErrors.forEach(e => console.warn(`   - ${e}`));
+                    const correctivePrompt = buildCorrectivePrompt(prompt, schemaErrors, text);
+                    text = await this.generateText(correctivePrompt, buffers, recordContext, { attempt: attempts, purpose: 'schema_correction', calls });
+                    ({ aiResults, schemaErrors } = this.parseAndValidate(text));
                 }
 
-                let aiResults;
-                try {
-                    aiResults = JSON.parse(json);
-                } catch (e) {
-                    // Fallback: If outer block is invalid (prose in middle?), try to find markdown block
-                    const mdMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-                    if (mdMatch) {
-                        try {
-                            aiResults = JSON.parse(mdMatch[1]);
-                        } catch (e2) {
-                            throw new Error(`The data payload from this page was invalid or incomplete (JSON Error).`);
-                        }
-                    } else {
-                        throw new Error(`The data payload from this page was invalid or incomplete (JSON Error).`);
-                    }
+                if (schemaErrors.length > 0) {
+                    console.error(`[AIEngine] ❌ Verdict still violates the schema after ${schemaAttempts} corrective re-ask(s).`);
+                    return { ...this.getSchemaErrorResult(schemaErrors, staticFeatures || (config && config.features), aiResults), promptBudget };
                 }
 
-                // Attach the reasoning block so it can be shown in the report
-                let cleanReasoning = (reasoning || "No additional reasoning provided.")
-                    .replace(/```json/gi, '')
-                    .replace(/```/gi, '')
-                    .trim();
-
-                aiResults.analysis_message = cleanReasoning;
+                const rejectedBoxes = sanitizeLocations(aiResults, buffers.length);
+                if (rejectedBoxes > 0) {
+                    console.warn(`[AIEngine] ⚠️ Rejected ${rejectedBoxes} defect box(es) pointing outside the screenshots (hallucinated locations).`);
+                }
 
                 // Post-process: Calculate status in JS for stability
-                return this.processResults(aiResults, config, widgetType, staticFeatures, geometricWarnings);
+                const processed = this.processResults(aiResults, config, widgetType, staticFeatures, geometricWarnings);
+                processed.promptBudget = promptBudget;
+                return processed;
 
             } catch (error) {
                 const isRetriable = error.message.includes('429') || error.status === 429 ||
@@ -143,7 +219,8 @@ class AIEngine {
                     error.message.includes('ETIMEDOUT');
 
                 if ((isRetriable || isTransientFetch) && attempts <= this.maxRetries) {
-                    const delay = this.initialDelay * Math.pow(2, attempts - 1);
+                    // A server-specified Retry-After wins over our own backoff (the limiter is already paused for it)
+                    const delay = error.retryAfterMs || this.initialDelay * Math.pow(2, attempts - 1);
                     const reason = isRetriable ? 'Service/Rate Limit (429/503)' : 'Transient network error';
                     console.warn(`[AIEngine] ⚠️ ${reason}. Retrying in ${delay / 1000}s... (Attempt ${attempts}/${this.maxRetries})`);
                     await new Promise(resolve => setTimeout(resolve, delay));
@@ -172,30 +249,221 @@ class AIEngine {
                 return {
                     error: error.message,
                     status: "ERROR",
-                    feature_results: fallbackResults
+                    feature_results: fallbackResults,
+                    ...(promptBudget ? { promptBudget } : {})
+                };
+            }
+        }
+    }
+
+    /**
+     * Sends one prompt to the provider (or serves it from the recorder in replay mode)
+     * and returns the trimmed raw response text. Token usage and latency are logged to `call.calls`.
+     */
+    async generateText(prompt, buffers, recordContext, call) {
+        const { attempt, purpose, calls } = call;
+        const { provider, voterIndex, ...context } = recordContext;
+        // Voters beyond the first get their own recording even when they share a model
+        const recordPrompt = voterIndex > 0 ? `${prompt}\n#voter:${voterIndex}:${provider.name}:${provider.model}` : prompt;
+        const recordKey = this.recorder.mode !== 'off' ? AIRecorder.keyFor(recordPrompt, buffers) : null;
+
+        if (this.recorder.isReplaying) {
+            const recording = this.recorder.load(recordKey);
+            if (!recording) {
+                throw new Error(`REPLAY_MISS: No recorded AI response for this prompt/screenshot set (${recordKey.substring(0, 12)}).`);
+            }
+            console.log(`[AIEngine] ⏪ Replaying recorded response ${recordKey.substring(0, 12)} for ${context.widgetType}.`);
+            calls.push(AIUsage.entry({ provider: provider.name, model: provider.model, purpose, attempt, outcome: 'replay', latencyMs: 0, usage: recording.usage }));
+            return recording.text.trim();
+        }
+
+        if (!provider.isConfigured()) {
+            throw new Error(`${provider.label} is not configured.`);
+        }
+
+        // Shared RPM/TPM scheduler: every engine and browser worker draws from the same buckets
+        const limiter = AIRateLimiter.for(provider);
+        const reservedTokens = await limiter.acquire(AIRateLimiter.estimateTokens(prompt, buffers));
+
+        console.log(`[AIEngine] Sending screenshot to ${provider.label} for ${context.widgetType} validation (Attempt ${attempt})...`);
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await provider.generate(prompt, buffers, { widgetType: context.widgetType, config: context.config, staticFeatures: context.staticFeatures });
+        } catch (error) {
+            if (error.retryAfterMs) limiter.pauseFor(error.retryAfterMs);
+            // A failed call used no tokens: give the reservation back
+            limiter.settle(reservedTokens, 0);
+            calls.push(AIUsage.entry({ provider: provider.name, model: provider.model, purpose, attempt, outcome: 'error', latencyMs: Date.now() - startedAt, error: error.message }));
+            throw error;
+        }
+        calls.push(AIUsage.entry({ provider: provider.name, model: provider.model, purpose, attempt, outcome: 'ok', latencyMs: Date.now() - startedAt, usage: response.usage }));
+        limiter.settle(reservedTokens, response.usage?.totalTokens);
+        const text = (response.text || "").trim();
+
+        // Mock verdicts are never recorded as if they were model answers
+        if (this.recorder.isRecording && provider.name !== 'mock') {
+            this.recorder.save(recordKey, {
+                provider: provider.name,
+                model: provider.model,
+                ...context,
+                usage: response.usage || null,
+                text
+            });
+        }
+
+        return text;
+    }
+
+    /**
+     * Parses a raw response and checks it against the verdict schema.
+     * Unparseable JSON is reported as a schema violation so it can be corrected too.
+     * @returns {{aiResults: Object|null, schemaErrors: string[]}}
+     */
+    parseAndValidate(text) {
+        let aiResults;
+        try {
+            aiResults = this.parseResponse(text);
+        } catch (e) {
+            return { aiResults: null, schemaErrors: [e.message] };
+        }
+        return { aiResults, schemaErrors: validateVerdict(aiResults) };
+    }
+
+    /**
+     * Verdict returned when the model keeps answering outside the schema.
+     */
+    getSchemaErrorResult(schemaErrors, features, aiResults) {
+        return {
+            overall_status: "SCHEMA_ERROR",
+            status: "SCHEMA_ERROR",
+            schema_errors: schemaErrors,
+            analysis_message: aiResults?.analysis_message || "The AI response did not match the required verdict schema.",
+            feature_results: (Array.isArray(features) ? features : []).map(f => ({
+                feature: typeof f === 'string' ? f : (f.name || 'Unknown'),
+                ui_status: 'N/A',
+                config_status: 'N/A',
+                scenario: 'Schema Violation',
+                status: 'SCHEMA_ERROR',
+                warning: `AI verdict rejected: ${schemaErrors[0]}`
+            })),
+            aesthetic_results: []
+        };
+    }
+
+    /**
+     * Extracts the reasoning preamble and JSON verdict from a raw model response.
+     * Throws when no parseable JSON block is present.
+     */
+    parseResponse(rawText) {
+        let text = rawText;
+
+        // Auto-fix for common AI truncation (missing closing braces)
+        if (text.includes('```json') && !text.endsWith('}')) {
+            const openBraces = (text.match(/{/g) || []).length;
+            const closeBraces = (text.match(/}/g) || []).length;
+            if (openBraces > closeBraces) {
+                console.warn(`[AIEngine] Detected truncated JSON (missing ${openBraces - closeBraces} braces). Appending recovery braces.`);
+                text += "\n" + "}".repeat(openBraces - closeBraces) + "\n```";
+            }
+        }
+
+        // Enhanced Debug Logging: Show full AI response in terminal
+        console.log("\n[AIEngine] --- RAW AI RESPONSE START ---");
+        console.log(text);
+        console.log("[AIEngine] --- RAW AI RESPONSE END ---\n");
+
+        // Robust JSON and Reasoning Extraction
+        const extractData = (str) => {
+            // Method 1: Look for markdown code blocks (standard for Gemini)
+            const mdMatch = str.match(/([\s\S]*?)```json\s*([\s\S]*?)\s*```/i);
+            if (mdMatch) {
+                return {
+                    json: mdMatch[2].trim(),
+                    reasoning: mdMatch[1].trim()
                 };
             }
+
+            // Method 2: Manual brace matching (fallback)
+            const firstBrace = str.indexOf('{');
+            const lastBrace = str.lastIndexOf('}');
+            if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+                return {
+                    json: str.substring(firstBrace, lastBrace + 1),
+                    reasoning: str.substring(0, firstBrace).trim()
+                };
+            }
+
+            return { json: null, reasoning: str.trim() };
+        };
+
+        const { json, reasoning } = extractData(text);
+
+        if (!json) {
+            throw new Error(`AI response did not contain a valid JSON block. Raw preamble: "${reasoning.substring(0, 100)}..."`);
+        }
+
+        let aiResults;
+        try {
+            aiResults = JSON.parse(json);
+        } catch (e) {
+            // Fallback: If outer block is invalid (prose in middle?), try to find markdown block
+            const mdMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
+            if (mdMatch) {
+                try {
+                    aiResults = JSON.parse(mdMatch[1]);
+                } catch (e2) {
+                    throw new Error(`The data payload from this page was invalid or incomplete (JSON Error).`);
+                }
+            } else {
+                throw new Error(`The data payload from this page was invalid or incomplete (JSON Error).`);
+            }
         }
+
+        // Attach the reasoning block so it can be shown in the report
+        let cleanReasoning = (reasoning || "No additional reasoning provided.")
+            .replace(/```json/gi, '')
+            .replace(/```/gi, '')
+            .trim();
+
+        aiResults.analysis_message = cleanReasoning;
+
+        return aiResults;
+    }
+
+    /**
+     * Re-runs JSON extraction and post-processing on a stored recording,
+     * without calling the model. Used to re-score saved runs offline.
+     */
+    rescoreRecording(recording) {
+        const { aiResults, schemaErrors } = this.parseAndValidate(recording.text.trim());
+        if (schemaErrors.length > 0) {
+            return this.getSchemaErrorResult(schemaErrors, recording.staticFeatures || recording.config?.features, aiResults);
+        }
+        if (recording.imageCount) sanitizeLocations(aiResults, recording.imageCount);
+        return this.processResults(aiResults, recording.config, recording.widgetType, recording.staticFeatures, recording.geometricWarnings);
     }
 
     processResults(aiData, config, widgetType, staticFeatures, geometricWarnings) {
         if (!aiData || !aiData.feature_results) return aiData;
 
-        // 1. Strict Filter: only include features defined in the config (staticFeatures)
+        // 1. Strict Filter: only include features defined in the config (staticFeatures),
+        //    matched through the feature catalog and renamed to the config's spelling
         if (Array.isArray(staticFeatures) && staticFeatures.length > 0) {
+            const catalog = FeatureCatalog.load();
+            catalog.assertKnown(staticFeatures, { source: `${widgetType} features` });
+            const expected = new Map(staticFeatures.map(sf => [catalog.resolve(sf), sf]));
+
             aiData.feature_results = aiData.feature_results.filter(res => {
-                const normalize = (str) => str.toLowerCase()
-                    .replace(/[_\- ]/g, '')
-                    .replace(/grey/g, 'gray')
-                    .replace(/grayscale/g, 'gray');
-
-                const normAI = normalize(res.feature);
-                return staticFeatures.some(sf => {
-                    const normSF = normalize(sf);
-                    return normSF === normAI ||
-                        (normSF.includes('gray') && normAI.includes('gray') &&
-                            (normAI.length - normSF.length < 10));
-                });
+                const canonical = catalog.resolve(res.feature);
+                if (!canonical) {
+                    console.warn(`[AIEngine] ⚠️ Dropping unknown feature "${res.feature}" from the verdict (not in the feature catalog).`);
+                    return false;
+                }
+                // Movement features are verified by automation and appended by PlaywrightHelper
+                if (!expected.has(canonical) || catalog.isAutomated(canonical)) return false;
+                res.feature = expected.get(canonical);
+                return true;
             });
         }
 
@@ -533,36 +801,31 @@ class AIEngine {
         });
 
         // 🛡️ TOTAL TRUTH OVERRIDE: Synchronize mathematical defects ONLY for confirmed FAILURES
-        if (geometricWarnings && geometricWarnings.length > 0) {
-            // Strictly exclude SYMMETRY_SIGNAL which is an audit suggestion, not a hard failure.
-            const clinicalDefects = geometricWarnings.filter(msg => 
-                (msg.includes('FAIL_') || msg.includes('_EDGE_CLIPPED') || 
-                msg.includes('PARTIAL') || msg.includes('CUT')) && 
-                !msg.includes('SYMMETRY_SIGNAL')
-            );
-            
-            if (clinicalDefects.length > 0) {
-                console.log(`[AIEngine] 🛡️ TRUTH OVERRIDE: Clinical boundary violation detected. Forcing FAIL.`);
-                
-                if (aiData.aesthetic_results) {
-                    clinicalDefects.forEach(defect => {
-                        let targetCategory = "A."; 
-                        if (defect.includes('SHARP') || defect.includes('MEDIA')) targetCategory = "E.";
-                        if (defect.includes('POPUP') || defect.includes('MODAL')) targetCategory = "G.";
-                        
-                        const catObj = aiData.aesthetic_results.find(r => 
-                            r.category.toUpperCase().includes(targetCategory.toUpperCase())
-                        );
-                        
-                        if (catObj) {
-                            catObj.status = 'FAIL';
-                            catObj.issue = `[CRITICAL] Mathematical Audit override: ${defect}`;
-                            catObj.severity = 'CRITICAL';
-                        }
-                    });
-                }
-                aiData.overall_status = 'FAIL';
+        // WARN (e.g. SYMMETRY_SIGNAL) and INFO warnings are left to the model; FAIL forces its category.
+        const clinicalDefects = GeometricWarning.fromAll(geometricWarnings).filter(w => w.isDefect);
+        if (clinicalDefects.length > 0) {
+            console.log(`[AIEngine] 🛡️ TRUTH OVERRIDE: ${clinicalDefects.length} clinical boundary violation(s) detected (${[...new Set(clinicalDefects.map(w => w.code))].join(', ')}). Forcing FAIL.`);
+
+            if (aiData.aesthetic_results) {
+                const byCategory = new Map();
+                clinicalDefects.forEach(defect => {
+                    const letter = defect.category || 'A';
+                    byCategory.set(letter, [...(byCategory.get(letter) || []), defect]);
+                });
+
+                byCategory.forEach((defects, letter) => {
+                    const catObj = aiData.aesthetic_results.find(r =>
+                        r.category.toUpperCase().includes(`${letter}.`)
+                    );
+
+                    if (catObj) {
+                        catObj.status = 'FAIL';
+                        catObj.issue = `[CRITICAL] Mathematical Audit override: ${defects.map(d => d.toPromptLine()).join(' | ')}`;
+                        catObj.severity = 'CRITICAL';
+                    }
+                });
             }
+            aiData.overall_status = 'FAIL';
         }
 
         // 🛡️ FINAL CONSISTENCY SYNC (IRON LOCK)
@@ -584,28 +847,6 @@ class AIEngine {
 
         return aiData;
     }
-
-    getMockResult(widgetType) {
-        return {
-            mock: true,
-            overall_status: "FAIL",
-            message: "Mock Mode: AI Validation Results (Simulated)",
-            feature_results: [
-                { feature: "Left & Right Buttons", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Slider Indicators", ui_status: "Absent", config_status: "Visible", scenario: "UI hidden but config says visible", status: "FAIL" },
-                { feature: "Show Review Date", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Show Review Ratings", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Read More", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Show Social Platform Icon", ui_status: "Absent", config_status: "Visible", scenario: "UI hidden but config says visible", status: "FAIL" },
-                { feature: "Inline CTA", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Feedspace Branding", ui_status: "Absent", config_status: "Visible", scenario: "Branding hidden visually", status: "PASS" },
-                { feature: "Review Card Border & Shadow", ui_status: "Visible", config_status: "Visible", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Left & Right Shift Buttons", ui_status: "Absent", config_status: "Absent", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Show Cross Bar", ui_status: "Absent", config_status: "Absent", scenario: "✅ Normal", status: "PASS" },
-                { feature: "Displays Gray mode", ui_status: "Absent", config_status: "Absent", scenario: "✅ Normal", status: "PASS" }
-            ]
-        };
-    }
 }
 
 module.exports = AIEngine;
\ No newline at end of file
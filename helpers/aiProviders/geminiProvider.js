@@ -0,0 +1,70 @@
+/**
+ * geminiProvider.js
+ * Google Gemini vision provider (default).
+ */
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const AIRateLimiter = require('../aiRateLimiter');
+const { detectMimeType } = require('./mimeType');
+
+class GeminiProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.apiKey] - Gemini API key (defaults to GEMINI_API_KEY)
+     * @param {string} [options.model] - Model name (defaults to gemini-2.0-flash)
+     */
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.model = options.model || 'gemini-2.0-flash';
+        if (this.apiKey) {
+            this.genAI = new GoogleGenerativeAI(this.apiKey);
+            this.client = this.genAI.getGenerativeModel({ model: this.model });
+        }
+    }
+
+    get label() {
+        return `Gemini (${this.model})`;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Sends the prompt and screenshots to Gemini.
+     * @param {string} prompt
+     * @param {Buffer[]} imageBuffers
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async generate(prompt, imageBuffers) {
+        const imageParts = imageBuffers.map(buffer => ({
+            inlineData: {
+                data: buffer.toString("base64"),
+                mimeType: detectMimeType(buffer),
+            },
+        }));
+
+        let result;
+        try {
+            result = await this.client.generateContent([prompt, ...imageParts]);
+        } catch (error) {
+            // 429s carry a google.rpc.RetryInfo detail, e.g. { retryDelay: "37s" }
+            const retryInfo = (error.errorDetails || []).find(d => (d['@type'] || '').includes('RetryInfo'));
+            if (retryInfo) error.retryAfterMs = AIRateLimiter.parseRetryAfter(retryInfo.retryDelay);
+            throw error;
+        }
+        const response = await result.response;
+        const meta = response.usageMetadata;
+        const usage = meta ? {
+            promptTokens: meta.promptTokenCount || 0,
+            imageTokens: (meta.promptTokensDetails || [])
+                .filter(d => d.modality === 'IMAGE')
+                .reduce((sum, d) => sum + (d.tokenCount || 0), 0),
+            outputTokens: meta.candidatesTokenCount || 0,
+            totalTokens: meta.totalTokenCount || 0
+        } : null;
+        return { text: response.text(), usage };
+    }
+}
+
+module.exports = GeminiProvider;
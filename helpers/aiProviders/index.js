@@ -0,0 +1,61 @@
+/**
+ * aiProviders/index.js
+ * Resolves the vision-model provider used by AIEngine.
+ *
+ * Selection order: explicit options → AI_PROVIDER / AI_MODEL env → Gemini default.
+ * Consensus mode (several voters per verdict) is configured via createVoters().
+ * Every provider exposes the same surface:
+ *   name, model, label, isConfigured(), generate(prompt, imageBuffers, context) → { text, usage }
+ * where context is { widgetType, config, staticFeatures } of the verdict being requested
+ * (only the mock engine reads it). A provider may also declare `limits: { rpm, tpm }`
+ * to override AI_RPM / AI_TPM for its own rate limiter.
+ */
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openAIProvider');
+const LocalProvider = require('./localProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    local: LocalProvider,
+    mock: MockProvider
+};
+
+function createProvider(options = {}) {
+    const name = (options.provider || process.env.AI_PROVIDER || 'gemini').toLowerCase();
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return new Provider({ ...options, model: options.model || process.env.AI_MODEL || undefined });
+}
+
+/**
+ * Builds the list of voters for consensus mode.
+ *
+ *   AI_CONSENSUS_MODELS="gemini:gemini-2.0-flash,openai:gpt-4o"  → one voter per entry
+ *   AI_CONSENSUS_SAMPLES=3                                       → 3 samples of the primary provider
+ *
+ * Returns a single-element list (the primary provider) when consensus is off.
+ */
+function createVoters(options = {}) {
+    const spec = options.consensusModels || process.env.AI_CONSENSUS_MODELS;
+    if (spec) {
+        const entries = Array.isArray(spec) ? spec : spec.split(',').map(s => s.trim()).filter(Boolean);
+        return entries.map(entry => {
+            const [name, ...modelParts] = entry.split(':');
+            const Provider = PROVIDERS[name.toLowerCase()];
+            if (!Provider) {
+                throw new Error(`Unknown provider "${name}" in AI_CONSENSUS_MODELS. Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+            }
+            return new Provider({ model: modelParts.join(':') || undefined });
+        });
+    }
+
+    const samples = Math.max(1, parseInt(options.consensusSamples ?? process.env.AI_CONSENSUS_SAMPLES ?? '1', 10) || 1);
+    const primary = createProvider(options);
+    return Array.from({ length: samples }, () => primary);
+}
+
+module.exports = { createProvider, createVoters, PROVIDERS };
@@ -0,0 +1,58 @@
+/**
+ * localProvider.js
+ * Local HTTP stand-in for offline runs. Any server that accepts
+ *   POST {url}  { model, prompt, images: [base64 PNG/JPEG/WebP, ...] }
+ * and answers with { text: "<raw model output>", usage?: { promptTokens, imageTokens, outputTokens, totalTokens } }
+ * can be plugged in.
+ */
+const AIRateLimiter = require('../aiRateLimiter');
+
+class LocalProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url] - Endpoint (defaults to LOCAL_AI_URL or http://localhost:8787/generate)
+     * @param {string} [options.model] - Label forwarded to the server (defaults to local-vision)
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.url = options.url || process.env.LOCAL_AI_URL || 'http://localhost:8787/generate';
+        this.model = options.model || 'local-vision';
+    }
+
+    get label() {
+        return `Local stand-in (${this.url})`;
+    }
+
+    isConfigured() {
+        return !!this.url;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Buffer[]} imageBuffers
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async generate(prompt, imageBuffers) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                prompt,
+                images: imageBuffers.map(buffer => buffer.toString('base64'))
+            })
+        });
+
+        if (!response.ok) {
+            const error = new Error(`[${response.status}] Local AI stand-in returned an error.`);
+            error.status = response.status;
+            error.retryAfterMs = AIRateLimiter.parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        const json = await response.json();
+        return { text: json.text || '', usage: json.usage || null };
+    }
+}
+
+module.exports = LocalProvider;
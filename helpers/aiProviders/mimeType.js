@@ -0,0 +1,13 @@
+/**
+ * mimeType.js
+ * Sniffs the image format from magic bytes so providers can label preprocessed
+ * (JPEG/WebP) and raw (PNG) screenshots correctly.
+ */
+function detectMimeType(buffer) {
+    if (!buffer || buffer.length < 12) return 'image/png';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) return 'image/jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return 'image/png';
+}
+
+module.exports = { detectMimeType };
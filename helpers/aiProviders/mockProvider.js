@@ -0,0 +1,159 @@
+/**
+ * mockProvider.js
+ * Deterministic offline stand-in for a vision model. No network, no API key.
+ *
+ * The verdict is derived from the same expected states PromptBuilder sends to the model:
+ * every feature is rendered exactly as its config says (ui_status = Config Status) and every
+ * aesthetic category passes. A scenario fixture (AI_MOCK_FIXTURE) then injects faults:
+ *
+ *   {
+ *     "default": { ... },                      // applied to every widget type
+ *     "CAROUSEL_SLIDER": {                     // merged on top for that widget type
+ *       "features":   { "Slider Indicators": { "ui_status": "Absent", "issue": "..." } },
+ *       "categories": { "C": { "status": "FAIL", "severity": "HIGH", "issue": "...",
+ *                              "token": "FAIL_CONTENT_TRUNCATED",
+ *                              "locations": [{ "image_index": 0, "box_2d": [100, 100, 300, 400] }] } },
+ *       "reasoning":  ["extra audit-trace line", ...],
+ *       "overall_status": "FAIL",              // otherwise computed from the results
+ *       "response": "malformed",               // answer without a JSON block (exercises the schema re-ask)
+ *       "error": { "status": 429, "times": 1, "retryAfterMs": 1000 }  // fail the first N calls
+ *     }
+ *   }
+ *
+ * Feature status follows the model's rule (UI state matches Config Status → PASS, else FAIL)
+ * unless the fixture sets `status` explicitly. A category `token` is written into the
+ * reasoning preamble so AIEngine.processResults audits react to it like a real response.
+ */
+const fs = require('fs');
+const path = require('path');
+const PromptBuilder = require('../promptBuilder');
+const AIRateLimiter = require('../aiRateLimiter');
+const { AESTHETIC_CATEGORIES } = require('../verdictSchema');
+
+class MockProvider {
+    /**
+     * @param {Object} options
+     * @param {string|Object} [options.mockFixture] - Fixture path or object (defaults to AI_MOCK_FIXTURE)
+     * @param {string} [options.model] - Label (defaults to mock-engine)
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || 'mock-engine';
+        this.limits = { rpm: 0, tpm: 0 };
+        this.fixture = MockProvider.loadFixture(options.mockFixture ?? process.env.AI_MOCK_FIXTURE);
+        this.callCounts = {};
+    }
+
+    get label() {
+        return `Mock engine (${this.fixture.source || 'no fixture'})`;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    static loadFixture(fixture) {
+        if (!fixture) return { scenarios: {} };
+        if (typeof fixture === 'object') return { scenarios: fixture, source: 'inline' };
+
+        const fixturePath = path.resolve(process.cwd(), fixture);
+        try {
+            return { scenarios: JSON.parse(fs.readFileSync(fixturePath, 'utf8')), source: path.basename(fixturePath) };
+        } catch (e) {
+            throw new Error(`[MockProvider] Failed to load AI_MOCK_FIXTURE ${fixturePath}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Scenario for one widget type: "default" (or "*") merged with the widget-type entry.
+     */
+    scenarioFor(widgetType) {
+        const { scenarios } = this.fixture;
+        const layers = [scenarios.default, scenarios['*'], scenarios[widgetType]].filter(Boolean);
+        return layers.reduce((merged, layer) => ({
+            ...merged,
+            ...layer,
+            features: { ...merged.features, ...layer.features },
+            categories: { ...merged.categories, ...layer.categories },
+            reasoning: [...merged.reasoning, ...(layer.reasoning || [])]
+        }), { features: {}, categories: {}, reasoning: [] });
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Buffer[]} imageBuffers
+     * @param {Object} [context] - { widgetType, config, staticFeatures } of the verdict being requested
+     * @returns {Promise<{text: string, usage: Object}>}
+     */
+    async generate(prompt, imageBuffers, context = {}) {
+        const widgetType = context.widgetType || 'UNKNOWN';
+        const scenario = this.scenarioFor(widgetType);
+
+        this.callCounts[widgetType] = (this.callCounts[widgetType] || 0) + 1;
+        if (scenario.error && this.callCounts[widgetType] <= (scenario.error.times ?? 1)) {
+            const status = scenario.error.status || 500;
+            const error = new Error(`[${status}] Mock engine injected failure (call ${this.callCounts[widgetType]}).`);
+            error.status = status;
+            error.retryAfterMs = scenario.error.retryAfterMs ?? null;
+            throw error;
+        }
+
+        const verdict = this.buildVerdict(context, scenario);
+        const reasoning = [
+            `Mock audit trace for ${widgetType} (${imageBuffers.length} screenshot(s)).`,
+            ...Object.entries(scenario.categories)
+                .filter(([, c]) => c.token)
+                .map(([letter, c]) => `${AESTHETIC_CATEGORIES[letter.toUpperCase()] || letter}: ${c.token}`),
+            ...scenario.reasoning
+        ].join('\n');
+
+        const text = scenario.response === 'malformed'
+            ? `${reasoning}\nVerdict unavailable.`
+            : `${reasoning}\n\n\`\`\`json\n${JSON.stringify(verdict, null, 2)}\n\`\`\``;
+
+        const promptTokens = AIRateLimiter.estimateTokens(prompt, imageBuffers);
+        const outputTokens = Math.ceil(text.length / 4);
+        return {
+            text,
+            usage: { promptTokens, imageTokens: null, outputTokens, totalTokens: promptTokens + outputTokens }
+        };
+    }
+
+    buildVerdict({ config, staticFeatures, widgetType }, scenario) {
+        const featureResults = PromptBuilder.expectedFeatureStates(config || {}, staticFeatures, widgetType).map(({ feature, expected }) => {
+            const override = scenario.features[feature] || {};
+            const configStatus = expected.startsWith('Visible') ? 'Visible' : 'Absent';
+            const uiStatus = override.ui_status || configStatus;
+            const matches = uiStatus === configStatus;
+            return {
+                feature,
+                ui_status: uiStatus,
+                config_status: expected,
+                issue: override.issue || (matches ? 'No visual defects detected' : `[Element: ${feature}] is ${uiStatus} but config expects ${configStatus}`),
+                remarks: override.remarks || 'Mock engine: UI state derived from config.',
+                status: override.status || (matches ? 'PASS' : 'FAIL')
+            };
+        });
+
+        const aestheticResults = Object.entries(AESTHETIC_CATEGORIES).map(([letter, category]) => {
+            const override = scenario.categories[letter] || scenario.categories[letter.toLowerCase()] || {};
+            const status = override.status || 'PASS';
+            return {
+                category,
+                issue: override.issue || (status === 'FAIL' ? `[Element: ${category}] Mock defect injected by scenario` : 'No visual defects detected'),
+                severity: override.severity || (status === 'FAIL' ? 'MEDIUM' : 'N/A'),
+                status,
+                ...(override.locations ? { locations: override.locations } : {})
+            };
+        });
+
+        const anyFail = featureResults.some(f => f.status === 'FAIL') || aestheticResults.some(a => a.status === 'FAIL');
+        return {
+            feature_results: featureResults,
+            aesthetic_results: aestheticResults,
+            overall_status: scenario.overall_status || (anyFail ? 'FAIL' : 'PASS')
+        };
+    }
+}
+
+module.exports = MockProvider;
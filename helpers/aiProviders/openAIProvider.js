@@ -0,0 +1,80 @@
+/**
+ * openAIProvider.js
+ * OpenAI-compatible chat/vision provider. Works with any endpoint that
+ * implements POST {baseUrl}/chat/completions with image_url content parts.
+ */
+const AIRateLimiter = require('../aiRateLimiter');
+const { detectMimeType } = require('./mimeType');
+
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.apiKey] - Bearer token (defaults to OPENAI_API_KEY)
+     * @param {string} [options.baseUrl] - API root (defaults to OPENAI_BASE_URL or api.openai.com/v1)
+     * @param {string} [options.model] - Model name (defaults to gpt-4o)
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.model = options.model || 'gpt-4o';
+        this.maxTokens = parseInt(options.maxTokens || process.env.OPENAI_MAX_TOKENS || '8192', 10);
+    }
+
+    get label() {
+        return `OpenAI-compatible (${this.model})`;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Sends the prompt and screenshots as a single multimodal user message.
+     * @param {string} prompt
+     * @param {Buffer[]} imageBuffers
+     * @returns {Promise<{text: string, usage: Object|null}>}
+     */
+    async generate(prompt, imageBuffers) {
+        const content = [
+            { type: 'text', text: prompt },
+            ...imageBuffers.map(buffer => ({
+                type: 'image_url',
+                image_url: { url: `data:${detectMimeType(buffer)};base64,${buffer.toString('base64')}` }
+            }))
+        ];
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.model,
+                max_tokens: this.maxTokens,
+                messages: [{ role: 'user', content }]
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new Error(`[${response.status}] OpenAI-compatible request failed: ${body.substring(0, 200)}`);
+            error.status = response.status;
+            error.retryAfterMs = AIRateLimiter.parseRetryAfter(response.headers.get('retry-after'));
+            throw error;
+        }
+
+        const json = await response.json();
+        const text = json.choices?.[0]?.message?.content || '';
+        const usage = json.usage ? {
+            promptTokens: json.usage.prompt_tokens || 0,
+            imageTokens: null, // not split out by the chat/completions API
+            outputTokens: json.usage.completion_tokens || 0,
+            totalTokens: json.usage.total_tokens || 0
+        } : null;
+        return { text, usage };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,135 @@
+/**
+ * aiRateLimiter.js
+ * Process-wide token-bucket scheduler for AI requests.
+ *
+ * One limiter per provider/model is shared by every AIEngine instance (and so every
+ * browser worker), enforcing:
+ *   AI_RPM - requests per minute (default 15; 0 = unlimited)
+ *   AI_TPM - tokens per minute   (default 1,000,000; 0 = unlimited)
+ *
+ * Callers are served FIFO. When a provider answers 429 with Retry-After (or Gemini RetryInfo),
+ * pauseFor() holds the whole queue until the server-specified time has passed.
+ */
+
+// Rough per-image cost used for pre-call estimates; settle() corrects with real usage
+const ESTIMATED_TOKENS_PER_IMAGE = 258;
+
+const limiters = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class AIRateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Label for logs
+     * @param {number} [options.rpm] - Requests per minute (defaults to AI_RPM)
+     * @param {number} [options.tpm] - Tokens per minute (defaults to AI_TPM)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.rpm = parseInt(options.rpm ?? process.env.AI_RPM ?? '15', 10);
+        this.tpm = parseInt(options.tpm ?? process.env.AI_TPM ?? '1000000', 10);
+        this.requestBucket = this.rpm;
+        this.tokenBucket = this.tpm;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Shared limiter for a provider/model pair. Providers may pin their own `limits: { rpm, tpm }`.
+     */
+    static for(provider) {
+        const key = `${provider.name}:${provider.model}`;
+        if (!limiters.has(key)) limiters.set(key, new AIRateLimiter({ name: key, ...provider.limits }));
+        return limiters.get(key);
+    }
+
+    static estimateTokens(prompt, imageBuffers = []) {
+        return Math.ceil((prompt || '').length / 4) + imageBuffers.length * ESTIMATED_TOKENS_PER_IMAGE;
+    }
+
+    /**
+     * Parses a Retry-After header value (seconds or HTTP date) or a Gemini retryDelay ("37s").
+     * @returns {number|null} Delay in ms
+     */
+    static parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const text = String(value).trim();
+        const seconds = text.match(/^(\d+(?:\.\d+)?)s?$/);
+        if (seconds) return Math.ceil(parseFloat(seconds[1]) * 1000);
+        const date = Date.parse(text);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    _refill() {
+        const now = Date.now();
+        const elapsedMinutes = (now - this.lastRefill) / 60000;
+        this.lastRefill = now;
+        if (this.rpm > 0) this.requestBucket = Math.min(this.rpm, this.requestBucket + elapsedMinutes * this.rpm);
+        if (this.tpm > 0) this.tokenBucket = Math.min(this.tpm, this.tokenBucket + elapsedMinutes * this.tpm);
+    }
+
+    /**
+     * Waits until one request and `estimatedTokens` fit in the current minute window.
+     * @returns {Promise<number>} The token amount reserved (pass back to settle()).
+     */
+    acquire(estimatedTokens = 0) {
+        // A single request larger than the whole TPM window still has to go through eventually
+        const reserved = this.tpm > 0 ? Math.min(estimatedTokens, this.tpm) : 0;
+        const turn = this.queue.then(() => this._waitFor(reserved)).then(() => reserved);
+        this.queue = turn.catch(() => { });
+        return turn;
+    }
+
+    async _waitFor(tokens) {
+        let announced = false;
+        for (;;) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                await sleep(this.pausedUntil - now);
+                continue;
+            }
+
+            this._refill();
+            const requestOk = this.rpm <= 0 || this.requestBucket >= 1;
+            const tokensOk = this.tpm <= 0 || this.tokenBucket >= tokens;
+            if (requestOk && tokensOk) {
+                if (this.rpm > 0) this.requestBucket -= 1;
+                if (this.tpm > 0) this.tokenBucket -= tokens;
+                return;
+            }
+
+            const requestWait = requestOk ? 0 : ((1 - this.requestBucket) / this.rpm) * 60000;
+            const tokenWait = tokensOk ? 0 : ((tokens - this.tokenBucket) / this.tpm) * 60000;
+            const wait = Math.max(requestWait, tokenWait, 50);
+            if (!announced) {
+                console.log(`[AIRateLimiter] ⏳ ${this.name}: ${!requestOk ? 'RPM' : 'TPM'} budget exhausted, waiting ${(wait / 1000).toFixed(1)}s...`);
+                announced = true;
+            }
+            await sleep(wait);
+        }
+    }
+
+    /**
+     * Corrects the token bucket once the real usage is known (0 for a failed call).
+     * The bucket may go negative, which delays later callers accordingly.
+     */
+    settle(reservedTokens, actualTokens) {
+        if (this.tpm <= 0 || typeof actualTokens !== 'number') return;
+        this.tokenBucket = Math.min(this.tpm, this.tokenBucket - (actualTokens - reservedTokens));
+    }
+
+    /**
+     * Holds every queued and future request until `ms` from now (server-side Retry-After).
+     */
+    pauseFor(ms) {
+        const until = Date.now() + ms;
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+            console.warn(`[AIRateLimiter] ⏸️ ${this.name}: server asked to retry after ${(ms / 1000).toFixed(1)}s. Pausing all AI requests.`);
+        }
+    }
+}
+
+module.exports = AIRateLimiter;
@@ -0,0 +1,88 @@
+/**
+ * aiRecorder.js
+ * Record-and-replay store for raw AI responses.
+ *
+ * AI_RECORD_MODE=record  → every raw model response is written to disk
+ * AI_RECORD_MODE=replay  → responses are served from disk, the model is never called
+ *
+ * Recordings are keyed by SHA-256(prompt + image buffers) and live in
+ * AI_RECORDINGS_DIR (default: reports/ai_recordings) so they travel with the
+ * uploaded report artifacts.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'record', 'replay'];
+
+class AIRecorder {
+    constructor(options = {}) {
+        const mode = (options.mode || process.env.AI_RECORD_MODE || 'off').toLowerCase();
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown AI_RECORD_MODE "${mode}". Expected one of: ${MODES.join(', ')}.`);
+        }
+        this.mode = mode;
+        this.dir = options.dir || process.env.AI_RECORDINGS_DIR || path.join(process.cwd(), 'reports', 'ai_recordings');
+    }
+
+    get isRecording() {
+        return this.mode === 'record';
+    }
+
+    get isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Content hash of everything the model sees.
+     * @param {string} prompt
+     * @param {Buffer[]} imageBuffers
+     */
+    static keyFor(prompt, imageBuffers = []) {
+        const hash = crypto.createHash('sha256');
+        hash.update(prompt);
+        imageBuffers.forEach(buffer => hash.update(buffer));
+        return hash.digest('hex');
+    }
+
+    _pathFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * @returns {Object|null} The stored recording, or null if none exists.
+     */
+    load(key) {
+        const filePath = this._pathFor(key);
+        if (!fs.existsSync(filePath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            console.warn(`[AIRecorder] Failed to read recording ${key}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Persists a raw response together with the inputs needed to re-score it.
+     */
+    save(key, entry) {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        const record = { key, recordedAt: new Date().toISOString(), ...entry };
+        fs.writeFileSync(this._pathFor(key), JSON.stringify(record, null, 2));
+        console.log(`[AIRecorder] Recorded response ${key.substring(0, 12)}…`);
+    }
+
+    /**
+     * Lists every recording in the store (used by the offline re-scoring script).
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => this.load(path.basename(f, '.json')))
+            .filter(r => r && typeof r.text === 'string');
+    }
+}
+
+module.exports = AIRecorder;
@@ -0,0 +1,114 @@
+/**
+ * aiResultCache.js
+ * Content-addressed cache of AI verdicts.
+ *
+ * Key = SHA-256 over (per-screenshot hashes + built prompt + model name), so a widget whose
+ * screenshots, config and prompt match a previous run reuses that verdict instead of calling
+ * the model again. Screenshot hashes are either:
+ *   sha256     - SHA-256 of the AI image bytes: only pixel-identical screenshots match (default)
+ *   perceptual - average hash of ImagePreprocessor's 32x32 grayscale signature of each frame,
+ *                prefixed with the frame size: anti-aliasing and re-encoding noise still match,
+ *                changed content does not. Falls back to sha256 when no signatures exist
+ *                (preprocessing disabled or failed).
+ *
+ * Env:
+ *   AI_CACHE_DIR        - Storage directory (default: .ai-cache)
+ *   AI_CACHE_TTL_HOURS  - Entry lifetime in hours (default: 24)
+ *   AI_CACHE_BYPASS=1   - Ignore existing entries (fresh entries are still written)
+ *   AI_CACHE_HASH       - sha256 | perceptual (default: sha256)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class AIResultCache {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.AI_CACHE_DIR || path.join(process.cwd(), '.ai-cache');
+        const ttlHours = parseFloat(options.ttlHours ?? process.env.AI_CACHE_TTL_HOURS ?? '24');
+        this.ttlMs = ttlHours * 60 * 60 * 1000;
+        this.bypass = options.bypass ?? (process.env.AI_CACHE_BYPASS === '1' || process.env.AI_CACHE_BYPASS === 'true');
+        this.hashMode = (options.hashMode || process.env.AI_CACHE_HASH || 'sha256').toLowerCase() === 'perceptual' ? 'perceptual' : 'sha256';
+    }
+
+    static hashBuffer(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Average hash of a grayscale signature as hex: one bit per cell, set when the cell is
+     * brighter than the signature's mean.
+     * @param {number[]} signature - Grayscale values (0-255), length a multiple of 4
+     */
+    static perceptualHash(signature) {
+        const mean = signature.reduce((sum, v) => sum + v, 0) / signature.length;
+        let hex = '';
+        for (let i = 0; i < signature.length; i += 4) {
+            let nibble = 0;
+            for (let b = 0; b < 4; b++) nibble = (nibble << 1) | (signature[i + b] > mean ? 1 : 0);
+            hex += nibble.toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * @param {Buffer[]} imageBuffers - Screenshot set in capture order
+     * @param {string} prompt - PromptBuilder.build output
+     * @param {string} model - Model name
+     * @param {Object[]|null} [signatures] - ImagePreprocessor signatures ({ width, height, signature }),
+     *                                       used in perceptual mode
+     * @returns {{key: string, imageHashes: string[], hashMode: string}}
+     */
+    keyFor(imageBuffers, prompt, model, signatures = null) {
+        const perceptual = this.hashMode === 'perceptual' && Array.isArray(signatures) && signatures.length > 0;
+        const imageHashes = perceptual
+            ? signatures.map(s => `${s.width}x${s.height}:${AIResultCache.perceptualHash(s.signature)}`)
+            : imageBuffers.map(b => AIResultCache.hashBuffer(b));
+        const key = crypto.createHash('sha256')
+            // Keeps perceptual keys apart from SHA-256 keys (existing entries keep their keys)
+            .update(perceptual ? 'perceptual\n' : '')
+            .update(imageHashes.join('|'))
+            .update('\n')
+            .update(prompt)
+            .update('\n')
+            .update(model || '')
+            .digest('hex');
+        return { key, imageHashes, hashMode: perceptual ? 'perceptual' : 'sha256' };
+    }
+
+    _pathFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * @returns {Object|null} The cached entry, or null on miss / expiry / bypass.
+     */
+    get(key) {
+        if (this.bypass) return null;
+        const filePath = this._pathFor(key);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const age = Date.now() - new Date(entry.cachedAt).getTime();
+            if (!(age >= 0 && age < this.ttlMs)) {
+                fs.unlinkSync(filePath);
+                return null;
+            }
+            return entry;
+        } catch (e) {
+            console.warn(`[AIResultCache] Discarding unreadable entry ${key}: ${e.message}`);
+            return null;
+        }
+    }
+
+    set(key, entry) {
+        try {
+            if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(this._pathFor(key), JSON.stringify({ key, cachedAt: new Date().toISOString(), ...entry }, null, 2));
+        } catch (e) {
+            console.warn(`[AIResultCache] Failed to write entry ${key}: ${e.message}`);
+        }
+    }
+}
+
+module.exports = AIResultCache;
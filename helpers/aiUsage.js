@@ -0,0 +1,160 @@
+/**
+ * aiUsage.js
+ * Token, latency and cost accounting for AI calls.
+ *
+ * Providers report usage as { promptTokens, imageTokens, outputTokens, totalTokens }
+ * (promptTokens includes image tokens; imageTokens is null when the API does not split them).
+ * AIEngine logs one entry per model call and attaches AIUsage.summarize(calls) to each verdict
+ * as `aiAnalysis.usage`; ReportHelper rolls those up per run and per widget type.
+ *
+ * Prices are USD per 1M tokens (list prices at time of writing). Override with
+ * AI_PRICE_INPUT_PER_1M / AI_PRICE_OUTPUT_PER_1M when using other models or negotiated rates.
+ */
+
+const PRICING = {
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'local-vision': { input: 0, output: 0 },
+    'mock-engine': { input: 0, output: 0 }
+};
+
+class AIUsage {
+    /**
+     * Resolves the price for a model: env override → longest matching prefix in PRICING → null.
+     */
+    static priceFor(model) {
+        if (process.env.AI_PRICE_INPUT_PER_1M || process.env.AI_PRICE_OUTPUT_PER_1M) {
+            return {
+                input: parseFloat(process.env.AI_PRICE_INPUT_PER_1M || '0'),
+                output: parseFloat(process.env.AI_PRICE_OUTPUT_PER_1M || '0')
+            };
+        }
+        const name = (model || '').toLowerCase();
+        const match = Object.keys(PRICING)
+            .filter(key => name.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? PRICING[match] : null;
+    }
+
+    /**
+     * @returns {number|null} USD cost of one call, or null when the model has no known price.
+     */
+    static costFor(model, usage) {
+        if (!usage) return 0;
+        const price = this.priceFor(model);
+        if (!price) return null;
+        const cost = ((usage.promptTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    /**
+     * Builds one call-log entry.
+     * @param {Object} call - { provider, model, purpose, attempt, outcome, latencyMs, usage, error }
+     */
+    static entry(call) {
+        const usage = call.usage || {};
+        const billable = call.outcome !== 'replay';
+        return {
+            provider: call.provider,
+            model: call.model,
+            purpose: call.purpose || 'verdict',
+            attempt: call.attempt,
+            outcome: call.outcome,
+            latencyMs: call.latencyMs,
+            promptTokens: usage.promptTokens || 0,
+            imageTokens: usage.imageTokens ?? null,
+            outputTokens: usage.outputTokens || 0,
+            totalTokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.outputTokens || 0),
+            costUsd: billable ? this.costFor(call.model, call.usage) : 0,
+            ...(call.error ? { error: call.error } : {})
+        };
+    }
+
+    /**
+     * Per-verdict summary of a call log.
+     */
+    static summarize(calls = []) {
+        const summary = this.empty();
+        calls.forEach(c => {
+            summary.calls++;
+            summary.promptTokens += c.promptTokens || 0;
+            summary.imageTokens += c.imageTokens || 0;
+            summary.outputTokens += c.outputTokens || 0;
+            summary.totalTokens += c.totalTokens || 0;
+            summary.latencyMs += c.latencyMs || 0;
+            if (c.costUsd === null) summary.unpricedCalls++;
+            else summary.costUsd += c.costUsd || 0;
+            if (c.outcome === 'error') summary.failedCalls++;
+            if (c.purpose === 'schema_correction') summary.schemaRetries++;
+        });
+        summary.retries = Math.max(0, summary.calls - 1);
+        summary.costUsd = Math.round(summary.costUsd * 1e6) / 1e6;
+        summary.log = calls;
+        return summary;
+    }
+
+    static empty() {
+        return {
+            calls: 0,
+            retries: 0,
+            failedCalls: 0,
+            schemaRetries: 0,
+            unpricedCalls: 0,
+            promptTokens: 0,
+            imageTokens: 0,
+            outputTokens: 0,
+            totalTokens: 0,
+            latencyMs: 0,
+            costUsd: 0
+        };
+    }
+
+    /**
+     * Adds several usage summaries together (consensus voters, runs, widget types).
+     * Call logs are not carried over.
+     */
+    static combine(usages = []) {
+        const total = this.empty();
+        usages.filter(Boolean).forEach(u => {
+            Object.keys(total).forEach(key => {
+                total[key] += u[key] || 0;
+            });
+        });
+        total.costUsd = Math.round(total.costUsd * 1e6) / 1e6;
+        return total;
+    }
+
+    /**
+     * Report rollup: total plus one bucket per widget type.
+     * @param {Object[]} runs - Report runs (each with aiAnalysis.usage)
+     */
+    static rollup(runs = []) {
+        const perWidget = {};
+        runs.forEach(run => {
+            const type = run.widgetType || 'UNKNOWN';
+            if (!perWidget[type]) perWidget[type] = [];
+            perWidget[type].push(run.aiAnalysis?.usage);
+        });
+
+        const per_widget = {};
+        Object.entries(perWidget).forEach(([type, usages]) => {
+            per_widget[type] = { runs: usages.length, ...this.combine(usages) };
+        });
+
+        return {
+            total: { runs: runs.length, ...this.combine(runs.map(r => r.aiAnalysis?.usage)) },
+            per_widget
+        };
+    }
+
+    static formatCost(usd) {
+        return `$${(usd || 0).toFixed(4)}`;
+    }
+}
+
+module.exports = AIUsage;
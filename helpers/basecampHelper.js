@@ -1,4 +1,5 @@
 const https = require("https");
+const AIUsage = require("./aiUsage");
 
 class BasecampHelper {
     constructor() {
@@ -23,7 +24,9 @@ class BasecampHelper {
             runDetails += `\n---\n`;
             runDetails += `website_url: "${run.url}"\n`;
             runDetails += `Widget type: "${run.widgetType}"\n`;
-            runDetails += `Status: ${statusEmoji}${run.status}\n`;
+            if (run.deviceProfile) runDetails += `Device: ${run.deviceProfile.label}\n`;
+            if (run.browser) runDetails += `Browser: ${run.browser}\n`;
+            runDetails += `Status: ${statusEmoji}${run.status}${run.aiAnalysis?.cache?.hit ? ' (cached verdict)' : ''}\n`;
 
             if (run.aiAnalysis && run.aiAnalysis.feature_results) {
                 runDetails += `\nVerification Results:\n`;
@@ -48,19 +51,38 @@ class BasecampHelper {
             }
         });
 
-        const content = `
-Feedspace AI Visual Validation Report
-
-Total widgets tested: ${stats.total}
-Passed: ${stats.passed}
-Failed: ${stats.failed}
-Errors: ⚠️ ${stats.errors}
-${runDetails}
+        const summaryLines = [
+            'Feedspace AI Visual Validation Report',
+            '',
+            `Total widgets tested: ${stats.total}`,
+            `Passed: ${stats.passed}`,
+            `Failed: ${stats.failed}`,
+            `Errors: ⚠️ ${stats.errors}`
+        ];
+        if (stats.usage) {
+            summaryLines.push(`AI cost: ${AIUsage.formatCost(stats.usage.total.costUsd)} (${stats.usage.total.totalTokens} tokens, ${stats.usage.total.calls} calls)`);
+        }
+        if (stats.budget) {
+            summaryLines.push(`Budget cap: stopped early, ${stats.budget.skipped} URL(s) deferred`);
+        }
+        if (stats.mock) {
+            summaryLines.push(`Mock engine: ${stats.mock} verdict(s) simulated (no vision model)`);
+        }
+        if (stats.prompt_versions && Object.keys(stats.prompt_versions).length) {
+            summaryLines.push(`Prompt: ${Object.keys(stats.prompt_versions).join(', ')}`);
+        }
+        if (stats.cross_browser?.divergent) {
+            summaryLines.push(`Cross-browser: ${stats.cross_browser.divergent} of ${stats.cross_browser.compared} widget(s) got a different verdict per engine`);
+        }
 
----
-GitHub Run URL:
-${runUrl}
-`.trim();
+        const content = [
+            ...summaryLines,
+            runDetails,
+            '',
+            '---',
+            'GitHub Run URL:',
+            runUrl
+        ].join('\n').trim();
 
         const data = JSON.stringify({ content });
 
@@ -0,0 +1,72 @@
+/**
+ * browserDom.js
+ * DOM helpers shared by every function that measures the widget inside the page: the shadow-root
+ * walk, visibility and element labels.
+ *
+ * Playwright serializes evaluated functions, so they cannot import these. BrowserDom.install()
+ * defines them once per document as `window.__feedspaceDom`; evaluated functions read them from there.
+ */
+
+function installDomHelpers() {
+    if (window.__feedspaceDom) return;
+
+    const parentOf = el => el.parentElement || (el.getRootNode() instanceof ShadowRoot ? el.getRootNode().host : null);
+
+    window.__feedspaceDom = {
+        /**
+         * Every element under `root`, shadow roots included, in document order (root first unless excluded).
+         */
+        deepElements(root, { includeRoot = true } = {}) {
+            const found = includeRoot ? [root] : [];
+            const walk = node => node.querySelectorAll('*').forEach(el => {
+                found.push(el);
+                if (el.shadowRoot) walk(el.shadowRoot);
+            });
+            walk(root);
+            if (root.shadowRoot) walk(root.shadowRoot);
+            return found;
+        },
+
+        /**
+         * Rendered and not hidden by display, visibility or opacity; `minSize` also requires a box larger than that in px.
+         */
+        isShown(el, minSize = 0) {
+            const style = window.getComputedStyle(el);
+            if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return false;
+            if (minSize <= 0) return true;
+            const rect = el.getBoundingClientRect();
+            return rect.width > minSize && rect.height > minSize;
+        },
+
+        /**
+         * "div.card.active": tag plus up to two classes.
+         */
+        describe(el) {
+            const cls = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+            return `${el.tagName.toLowerCase()}${cls.length ? `.${cls.join('.')}` : ''}`;
+        },
+
+        parentOf,
+
+        contains(a, b) {
+            for (let n = b; n; n = parentOf(n)) if (n === a) return true;
+            return false;
+        }
+    };
+}
+
+class BrowserDom {
+    /**
+     * Defines `window.__feedspaceDom` in the target's document. Idempotent; call it before each
+     * evaluate that uses the helpers, since navigation or a new frame starts a fresh document.
+     * @param {import('playwright').Locator|import('playwright').Page|import('playwright').Frame} target
+     */
+    static async install(target) {
+        // Locators go through evaluateAll, which neither waits for nor insists on a single element
+        await (typeof target.evaluateAll === 'function'
+            ? target.evaluateAll(installDomHelpers)
+            : target.evaluate(installDomHelpers));
+    }
+}
+
+module.exports = BrowserDom;
@@ -0,0 +1,103 @@
+/**
+ * browserMatrix.js
+ * Browser engines every URL is validated in (one browser per engine, one run record per engine).
+ *
+ * BROWSERS=chromium,firefox,webkit selects the engines (default: chromium), so a widget that only
+ * breaks in Safari's engine shows up as a WebKit FAIL next to a Chromium PASS. Unknown engine names
+ * throw, so a typo cannot silently drop an engine.
+ *
+ * The runners' launch flags and client hints are Chromium-only; launchOptions() and
+ * contextOptions() strip them for Firefox and WebKit, which then report their own user agent.
+ */
+const { chromium, firefox, webkit } = require('@playwright/test');
+
+const ENGINES = { chromium, firefox, webkit };
+
+class BrowserMatrix {
+    /**
+     * @param {Object} [options]
+     * @param {string|string[]} [options.selected] - Engines to run (defaults to BROWSERS, then chromium)
+     */
+    constructor(options = {}) {
+        const selected = options.selected ?? process.env.BROWSERS;
+        this.selected = [...new Set((Array.isArray(selected) ? selected : (selected ? String(selected).split(',') : ['chromium']))
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean))];
+
+        const unknown = this.selected.filter(name => !ENGINES[name]);
+        if (unknown.length > 0) {
+            throw new Error(`[BrowserMatrix] Unknown browser engine(s): ${unknown.join(', ')} (expected ${Object.keys(ENGINES).join(', ')}).`);
+        }
+    }
+
+    static get ENGINES() {
+        return Object.keys(ENGINES);
+    }
+
+    /**
+     * Launches every selected engine.
+     * @param {Object} chromiumOptions - The runner's launch options, written for Chromium
+     * @returns {Promise<Map<string, import('playwright').Browser>>} engine → browser, in matrix order
+     */
+    async launch(chromiumOptions = {}) {
+        const browsers = new Map();
+        try {
+            for (const engine of this.selected) {
+                const browser = await ENGINES[engine].launch(BrowserMatrix.launchOptions(engine, chromiumOptions)).catch(e => {
+                    throw new Error(`[BrowserMatrix] Failed to launch ${engine}: ${e.message.split('\n')[0]} (install it with "npx playwright install ${engine}").`);
+                });
+                console.log(`[BrowserMatrix] 🌐 Launched ${engine} ${browser.version()}`);
+                browsers.set(engine, browser);
+            }
+        } catch (e) {
+            await BrowserMatrix.closeAll(browsers);
+            throw e;
+        }
+        return browsers;
+    }
+
+    static async closeAll(browsers) {
+        for (const browser of browsers.values()) {
+            await browser.close().catch(() => { });
+        }
+    }
+
+    /**
+     * Launch options for an engine. Chrome channel and command-line switches only apply to Chromium.
+     */
+    static launchOptions(engine, chromiumOptions = {}) {
+        if (engine === 'chromium') return chromiumOptions;
+        const options = { headless: chromiumOptions.headless };
+        if (engine === 'firefox') {
+            // Counterpart of --use-fake-ui-for-media-stream / --use-fake-device-for-media-stream
+            options.firefoxUserPrefs = { 'media.navigator.streams.fake': true, 'media.navigator.permission.disabled': true };
+        }
+        return options;
+    }
+
+    /**
+     * browser.newContext() options for an engine, on top of DeviceMatrix.contextOptions().
+     * Firefox has no mobile emulation (isMobile), and Chrome's user agent and Sec-Ch-* client
+     * hints would misreport Firefox and WebKit, so those are left to the engine.
+     */
+    static contextOptions(engine, options = {}) {
+        if (engine === 'chromium') return options;
+        const { userAgent, isMobile, ...rest } = options;
+        const adjusted = {
+            ...rest,
+            extraHTTPHeaders: Object.fromEntries(Object.entries(options.extraHTTPHeaders || {})
+                .filter(([name]) => !/^sec-ch-/i.test(name)))
+        };
+        if (engine !== 'firefox' && isMobile !== undefined) adjusted.isMobile = isMobile;
+        return adjusted;
+    }
+
+    /**
+     * "WebKit"
+     */
+    static label(engine) {
+        return { chromium: 'Chromium', firefox: 'Firefox', webkit: 'WebKit' }[engine] || engine || '';
+    }
+}
+
+module.exports = BrowserMatrix;
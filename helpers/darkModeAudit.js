@@ -0,0 +1,250 @@
+/**
+ * darkModeAudit.js
+ * Optional pass that emulates `prefers-color-scheme: dark`, recaptures the widget and measures
+ * the contrast of reviewer names and review text against the card background they sit on.
+ *
+ * Runs after the AI screenshots, so the model still sees the page in its own scheme; the
+ * measured ratios reach Category F ("Theme & Color Visibility") as GeometricWarnings:
+ *   DARK_MODE_LOW_CONTRAST - FAIL: names or review text below the WCAG AA ratio
+ *                            (DARK_MODE_MIN_CONTRAST, default 4.5:1; 3:1 for large text)
+ *   DARK_MODE_CONTRAST     - INFO: lowest measured ratio per text role when everything passes
+ *
+ * The background is the first opaque background-color up the element's ancestors (through shadow
+ * hosts), with translucent layers composited on top. Text over a background image or gradient is
+ * reported as unmeasured rather than guessed.
+ *
+ * DARK_MODE_AUDIT=on enables the pass (off by default).
+ */
+const GeometricWarning = require('./geometricWarning');
+const DomRuleEngine = require('./domRuleEngine');
+const BrowserDom = require('./browserDom');
+
+const MAX_CARDS = 20;
+const MAX_SAMPLES = 80;
+const MIN_BODY_TEXT = 15;
+const LARGE_TEXT_CONTRAST = 3;
+const SETTLE_MS = 600;
+
+/**
+ * Browser-side contrast sampler: text colour against the composited background, per text role.
+ */
+function measureContrast(root, { cardSelectors, nameSelectors, maxCards, maxSamples, minBodyText }) {
+    const { deepElements, describe, parentOf, contains } = window.__feedspaceDom;
+    const isShown = el => window.__feedspaceDom.isShown(el, 1);
+    const deep = deepElements(root);
+    const parse = value => {
+        const m = (value || '').match(/rgba?\(([^)]+)\)/);
+        if (!m) return null;
+        const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return { r, g, b, a };
+    };
+    const over = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1
+    });
+    const luminance = c => {
+        const channel = v => { v /= 255; return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4); };
+        return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+    };
+    const css = c => `rgb(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)})`;
+
+    // The canvas behind everything: dark only when the page opts into a dark color-scheme
+    const rootScheme = window.getComputedStyle(document.documentElement).colorScheme || '';
+    const canvas = rootScheme.includes('dark') ? { r: 18, g: 18, b: 18, a: 1 } : { r: 255, g: 255, b: 255, a: 1 };
+
+    const backgroundOf = el => {
+        const layers = [];
+        for (let node = el; node; node = parentOf(node)) {
+            const style = window.getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') return { image: describe(node) };
+            const color = parse(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) break;
+            }
+        }
+        let result = canvas;
+        for (let i = layers.length - 1; i >= 0; i--) result = over(layers[i], result);
+        return { color: result };
+    };
+
+    const cardSel = cardSelectors.join(', ');
+    const nameSel = nameSelectors.join(', ');
+    const cardEls = deep.filter(el => el.matches(cardSel) && isShown(el));
+    const cards = cardEls.filter(el => !cardEls.some(other => other !== el && contains(other, el))).slice(0, maxCards);
+
+    const samples = [];
+    (cards.length > 0 ? cards : [root]).forEach((card, cardIndex) => {
+        for (const el of deepElements(card)) {
+            if (samples.length >= maxSamples) break;
+            const text = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join(' ').replace(/\s+/g, ' ').trim();
+            if (!text || !isShown(el)) continue;
+
+            const isName = el.matches(nameSel) || Boolean(el.closest(nameSel));
+            if (!isName && text.length < minBodyText) continue;
+
+            const style = window.getComputedStyle(el);
+            const fontSize = parseFloat(style.fontSize);
+            const fontWeight = parseInt(style.fontWeight, 10) || 400;
+            const background = backgroundOf(el);
+            const sample = {
+                role: isName ? 'name' : 'body',
+                card: cardIndex,
+                element: describe(el),
+                text: text.substring(0, 40),
+                fontSize: Math.round(fontSize * 10) / 10,
+                large: fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700)
+            };
+            const color = parse(style.color);
+            if (!color || background.image) {
+                samples.push({ ...sample, ratio: null, unmeasured: background.image ? `background image on ${background.image}` : 'unparsed color' });
+                continue;
+            }
+            const fg = color.a < 1 ? over(color, background.color) : color;
+            const [light, dark] = [luminance(fg), luminance(background.color)].sort((a, b) => b - a);
+            samples.push({
+                ...sample,
+                color: css(fg),
+                background: css(background.color),
+                ratio: Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100
+            });
+        }
+    });
+
+    return {
+        prefersDark: window.matchMedia('(prefers-color-scheme: dark)').matches,
+        colorScheme: rootScheme || 'normal',
+        cards: cards.length,
+        samples
+    };
+}
+
+class DarkModeAudit {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Defaults to DARK_MODE_AUDIT === 'on'
+     * @param {number} [options.minContrast] - Lowest accepted ratio for normal text (defaults to DARK_MODE_MIN_CONTRAST or 4.5)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? (process.env.DARK_MODE_AUDIT || 'off').toLowerCase() === 'on';
+        this.minContrast = options.minContrast ?? parseFloat(process.env.DARK_MODE_MIN_CONTRAST || '4.5');
+    }
+
+    /**
+     * Emulates the dark scheme, recaptures and samples the widget, then restores the light scheme.
+     * @param {import('playwright').Page} page
+     * @param {import('playwright').Locator} root - Widget root (or the iframe body)
+     * @param {string} widgetType
+     * @returns {Promise<Object|null>} The darkMode section with its `warnings` and `screenshot`, or null when skipped
+     */
+    async run(page, root, widgetType) {
+        if (!this.enabled || !root) return null;
+
+        try {
+            await page.emulateMedia({ colorScheme: 'dark' });
+            await page.waitForTimeout(SETTLE_MS); // Theme transitions
+
+            const screenshot = await root.screenshot({ animations: 'disabled', timeout: 10000 }).catch(e => {
+                console.warn(`[DarkModeAudit] ⚠️ Dark recapture failed: ${e.message.split('\n')[0]}`);
+                return null;
+            });
+            const { cards, names } = DomRuleEngine.SELECTORS;
+            await BrowserDom.install(root);
+            const measured = await root.evaluate(measureContrast, {
+                cardSelectors: cards,
+                nameSelectors: names,
+                maxCards: MAX_CARDS,
+                maxSamples: MAX_SAMPLES,
+                minBodyText: MIN_BODY_TEXT
+            });
+
+            const section = this.summarize(measured, widgetType);
+            console.log(`[DarkModeAudit] 🌙 ${section.status}: ${section.samples.length} text sample(s) on ${measured.cards} card(s), ${section.failing} below ${this.minContrast}:1${measured.prefersDark ? '' : ' (page ignored prefers-color-scheme)'}.`);
+            return { ...section, warnings: this.warningsFor(section), screenshot };
+        } catch (e) {
+            console.warn(`[DarkModeAudit] ⚠️ Dark-mode pass failed: ${e.message}`);
+            return { status: 'ERROR', widgetType, error: e.message, samples: [], failing: 0, byRole: {}, warnings: [], screenshot: null };
+        } finally {
+            await page.emulateMedia({ colorScheme: 'light' }).catch(() => { });
+        }
+    }
+
+    /**
+     * Grades the samples against the thresholds; pure, so it can be rebuilt from stored samples.
+     */
+    summarize(measured, widgetType) {
+        const samples = measured.samples.map(s => {
+            const required = s.large ? LARGE_TEXT_CONTRAST : this.minContrast;
+            return { ...s, required, failed: s.ratio !== null && s.ratio < required };
+        });
+
+        const byRole = {};
+        ['name', 'body'].forEach(role => {
+            const own = samples.filter(s => s.role === role);
+            const rated = own.filter(s => s.ratio !== null);
+            if (own.length === 0) return;
+            byRole[role] = {
+                samples: own.length,
+                unmeasured: own.length - rated.length,
+                failing: rated.filter(s => s.failed).length,
+                minRatio: rated.length ? Math.min(...rated.map(s => s.ratio)) : null,
+                worst: rated.length ? rated.reduce((a, b) => (b.ratio / b.required < a.ratio / a.required ? b : a)) : null
+            };
+        });
+
+        const failing = samples.filter(s => s.failed).length;
+        return {
+            status: failing > 0 ? 'FAIL' : 'PASS',
+            widgetType,
+            prefersDark: measured.prefersDark,
+            colorScheme: measured.colorScheme,
+            minContrast: this.minContrast,
+            failing,
+            byRole,
+            samples: samples.sort((a, b) => b.failed - a.failed || (a.ratio ?? Infinity) - (b.ratio ?? Infinity))
+        };
+    }
+
+    /**
+     * One Category F warning per text role: FAIL with the worst sample, or INFO with the lowest ratio.
+     */
+    warningsFor(section) {
+        const roleNames = { name: 'reviewer name(s)', body: 'review text block(s)' };
+        return Object.entries(section.byRole).filter(([, stats]) => stats.worst).map(([role, stats]) => {
+            const worst = stats.worst;
+            const measured = {
+                role,
+                minRatio: stats.minRatio,
+                required: worst.required,
+                failing: stats.failing,
+                samples: stats.samples,
+                color: worst.color,
+                background: worst.background
+            };
+            if (stats.failing > 0) {
+                return new GeometricWarning({
+                    code: 'DARK_MODE_LOW_CONTRAST',
+                    severity: 'FAIL',
+                    category: 'F',
+                    selector: worst.element,
+                    measured,
+                    source: 'DarkModeAudit',
+                    message: `DARK MODE low contrast: ${stats.failing} of ${stats.samples} ${roleNames[role]} fall below WCAG AA under prefers-color-scheme: dark; worst "${worst.text}" is ${worst.color} on ${worst.background} at ${worst.ratio}:1 (needs ${worst.required}:1).`
+                });
+            }
+            return new GeometricWarning({
+                code: 'DARK_MODE_CONTRAST',
+                severity: 'INFO',
+                category: 'F',
+                selector: worst.element,
+                measured,
+                source: 'DarkModeAudit',
+                message: `DARK MODE contrast: ${roleNames[role]} stay at or above ${stats.minRatio}:1 under prefers-color-scheme: dark (WCAG AA ${this.minContrast}:1).`
+            });
+        });
+    }
+}
+
+module.exports = DarkModeAudit;
@@ -0,0 +1,103 @@
+/**
+ * deviceMatrix.js
+ * Device profiles every URL is validated under (one browser context, and one run record, per profile).
+ *
+ * Configs/deviceProfiles.json holds:
+ *   default    - profile names run when DEVICE_PROFILES is not set
+ *   profiles   - name → { label, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent, headers }
+ *   widgetTypes - widget type → { skip: [profile names] } for types that opt out of a profile
+ *
+ * The default is desktop only; DEVICE_PROFILES=desktop,tablet,phone opts in to the matrix for a run.
+ * Unknown profile names throw, so a typo cannot silently drop the mobile runs.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = path.join(__dirname, '..', 'Configs', 'deviceProfiles.json');
+
+class DeviceMatrix {
+    /**
+     * @param {Object} config - Parsed deviceProfiles.json
+     * @param {Object} [options]
+     * @param {string|string[]} [options.selected] - Profiles to run (defaults to DEVICE_PROFILES, then config.default)
+     * @param {{width: number, height: number}} [options.desktopViewport] - Overrides the viewport of non-mobile profiles (--width/--height)
+     */
+    constructor(config, options = {}) {
+        this.profiles = config.profiles || {};
+        this.widgetTypes = config.widgetTypes || {};
+
+        const selected = options.selected ?? process.env.DEVICE_PROFILES;
+        this.selected = (Array.isArray(selected) ? selected : (selected ? String(selected).split(',') : config.default || Object.keys(this.profiles)))
+            .map(name => name.trim())
+            .filter(Boolean);
+        this.desktopViewport = options.desktopViewport || null;
+
+        const known = Object.keys(this.profiles);
+        const unknown = [
+            ...this.selected,
+            ...Object.values(this.widgetTypes).flatMap(entry => entry.skip || [])
+        ].filter(name => !known.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`[DeviceMatrix] Unknown device profile(s): ${[...new Set(unknown)].join(', ')} (expected ${known.join(', ')}).`);
+        }
+    }
+
+    static load(options = {}) {
+        return new DeviceMatrix(JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8')), options);
+    }
+
+    /**
+     * Selected profiles the widget type does not opt out of, in matrix order.
+     * @returns {Object[]} Profiles with their `name`
+     */
+    profilesFor(widgetType) {
+        const skip = (this.widgetTypes[widgetType] || {}).skip || [];
+        return this.selected
+            .filter(name => !skip.includes(name))
+            .map(name => {
+                const profile = { name, ...this.profiles[name] };
+                if (this.desktopViewport && !profile.isMobile) profile.viewport = { ...this.desktopViewport };
+                return profile;
+            });
+    }
+
+    /**
+     * browser.newContext() options for a profile, on top of the runner's own options.
+     */
+    static contextOptions(profile, base = {}) {
+        return {
+            ...base,
+            viewport: { ...profile.viewport },
+            deviceScaleFactor: profile.deviceScaleFactor,
+            isMobile: profile.isMobile,
+            hasTouch: profile.hasTouch,
+            userAgent: profile.userAgent || base.userAgent,
+            extraHTTPHeaders: { ...(base.extraHTTPHeaders || {}), ...(profile.headers || {}) }
+        };
+    }
+
+    /**
+     * Profile summary stored on the run record.
+     */
+    static describe(profile) {
+        return {
+            name: profile.name,
+            label: profile.label || profile.name,
+            viewport: { ...profile.viewport },
+            deviceScaleFactor: profile.deviceScaleFactor,
+            isMobile: Boolean(profile.isMobile),
+            hasTouch: Boolean(profile.hasTouch)
+        };
+    }
+
+    /**
+     * "Phone 390×844 @3x, touch"
+     */
+    static label(profile) {
+        if (!profile) return '';
+        const { width, height } = profile.viewport || {};
+        return `${profile.label || profile.name} ${width}×${height} @${profile.deviceScaleFactor || 1}x${profile.hasTouch ? ', touch' : ''}`;
+    }
+}
+
+module.exports = DeviceMatrix;
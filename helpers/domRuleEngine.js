@@ -0,0 +1,349 @@
+/**
+ * domRuleEngine.js
+ * Deterministic geometric assertions over the widget's DOM (shadow roots included), reported as
+ * feature_results that do not depend on the model: they are appended after the AI verdict and
+ * stand even when the AI call fails.
+ *
+ * One browser-side pass (measureWidget) collects raw measurements of the widget's cards, text,
+ * reviewer names and images; the rules below are plain functions over those measurements.
+ *
+ * Rules:
+ *   card-containment - an on-stage card must not be cut by a clipping (overflow) ancestor
+ *   card-padding     - card text keeps DOM_RULE_MIN_PADDING_PX from every card edge
+ *   element-overlap  - text does not overlap other text or media inside a card
+ *   name-truncation  - reviewer names are not clipped (scrollWidth > clientWidth)
+ *   broken-images    - loaded <img> elements with naturalWidth === 0
+ *
+ * DOM_RULES=off disables the stage. Scrolling widgets skip card-containment: their tracks
+ * clip cards by design.
+ *
+ * `npm run test:dom-rules` runs the rules over recorded measurements (scripts/domRuleRegression.js).
+ */
+const BrowserDom = require('./browserDom');
+
+const CARD_SELECTORS = [
+    '.feedspace-embed-card',
+    '.feedspace-review-card',
+    '.feedspace-marquee-box',
+    '.feedspace-element-feed-box',
+    '.feedspace-avatar-carousel-item',
+    '.review-card',
+    'div[data-feed-id]'
+];
+
+// Reviewer-name classes only: a bare [class*="name"] also matches .username-row or .company-name-container
+const NAME_SELECTORS = [
+    '.fe-reviewer-name',
+    '.feedspace-reviewer-name',
+    '.fe-name',
+    '[class*="reviewer-name"]',
+    '[class*="reviewer_name"]',
+    '[class*="user-name"]',
+    '[class*="author-name"]'
+];
+
+const SCROLLING_WIDGETS = ['MARQUEE_STRIPE', 'MARQUEE_LEFTRIGHT', 'MARQUEE_UPDOWN', 'CROSS_SLIDER', 'COMPANY_LOGO_SLIDER', 'STRIP_SLIDER'];
+
+const REMARK = 'Deterministic DOM rule (independent of the AI verdict)';
+
+/**
+ * Browser-side measurement pass over the widget (BrowserDom helpers installed first).
+ */
+function measureWidget(root, { cardSelectors, nameSelectors, maxCards, maxAtoms }) {
+    const { deepElements, isShown, describe, parentOf, contains } = window.__feedspaceDom;
+    const deep = deepElements(root);
+
+    const rectOf = r => ({ left: r.left, top: r.top, right: r.right, bottom: r.bottom, width: r.width, height: r.height });
+    const intersect = (a, b) => {
+        const left = Math.max(a.left, b.left);
+        const top = Math.max(a.top, b.top);
+        const right = Math.min(a.right, b.right);
+        const bottom = Math.min(a.bottom, b.bottom);
+        return right > left && bottom > top ? { left, top, right, bottom, width: right - left, height: bottom - top } : null;
+    };
+    const area = r => (r ? r.width * r.height : 0);
+
+    // Outermost visible cards (a card nested in another card is part of it)
+    const cardSel = cardSelectors.join(', ');
+    const cardEls = deep.filter(el => el.matches(cardSel) && isShown(el))
+        .filter(el => { const r = el.getBoundingClientRect(); return r.width > 10 && r.height > 10; });
+    const outer = cardEls.filter(el => !cardEls.some(other => other !== el && contains(other, el))).slice(0, maxCards);
+
+    const cards = outer.map((card, index) => {
+        const rect = rectOf(card.getBoundingClientRect());
+
+        // Visible part of the card inside every clipping ancestor up to the page
+        let visible = rect;
+        let clippedBy = null;
+        for (let p = parentOf(card); p && p !== document.documentElement; p = parentOf(p)) {
+            const style = window.getComputedStyle(p);
+            if (style.overflowX === 'visible' && style.overflowY === 'visible') continue;
+            const next = intersect(visible, p.getBoundingClientRect());
+            if (area(next) < area(visible) - 1) clippedBy = describe(p);
+            visible = next;
+            if (!visible) break;
+        }
+
+        // Content atoms: text runs (measured as ranges) and media
+        const atoms = [];
+        for (const el of deepElements(card, { includeRoot: false })) {
+            if (atoms.length >= maxAtoms) break;
+            if (!isShown(el)) continue;
+            if (['IMG', 'SVG', 'VIDEO', 'PICTURE'].includes(el.tagName.toUpperCase())) {
+                const r = el.getBoundingClientRect();
+                if (r.width > 2 && r.height > 2) atoms.push({ kind: 'media', el, label: describe(el), rect: rectOf(r) });
+                continue;
+            }
+            el.childNodes.forEach(child => {
+                if (child.nodeType !== Node.TEXT_NODE || !child.textContent.trim() || atoms.length >= maxAtoms) return;
+                const range = document.createRange();
+                range.selectNodeContents(child);
+                const r = range.getBoundingClientRect();
+                if (r.width > 1 && r.height > 1) {
+                    atoms.push({ kind: 'text', el, label: `"${child.textContent.trim().substring(0, 24)}"`, rect: rectOf(r) });
+                }
+            });
+        }
+
+        const textAtoms = atoms.filter(a => a.kind === 'text');
+        const padding = textAtoms.length === 0 ? null : {
+            top: Math.min(...textAtoms.map(a => a.rect.top - rect.top)),
+            right: Math.min(...textAtoms.map(a => rect.right - a.rect.right)),
+            bottom: Math.min(...textAtoms.map(a => rect.bottom - a.rect.bottom)),
+            left: Math.min(...textAtoms.map(a => a.rect.left - rect.left))
+        };
+
+        const overlaps = [];
+        textAtoms.forEach(t => atoms.forEach(o => {
+            if (o === t || (o.kind === 'text' && atoms.indexOf(o) < atoms.indexOf(t))) return;
+            if (o.el === t.el || contains(o.el, t.el) || contains(t.el, o.el)) return;
+            const shared = area(intersect(t.rect, o.rect));
+            const smaller = Math.min(area(t.rect), area(o.rect));
+            if (shared > 16 && smaller > 0 && shared / smaller > 0.25) {
+                overlaps.push({ a: t.label, b: o.label, pct: Math.round((shared / smaller) * 100) });
+            }
+        }));
+
+        return {
+            index: index + 1,
+            label: describe(card),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+            visibleRatio: area(rect) > 0 ? area(visible) / area(rect) : 0,
+            clippedBy,
+            padding,
+            overlaps
+        };
+    });
+
+    const nameSel = nameSelectors.join(', ');
+    const names = deep.filter(el => el.matches(nameSel) && isShown(el))
+        .filter(el => [...el.childNodes].some(c => c.nodeType === Node.TEXT_NODE && c.textContent.trim()))
+        .map(el => {
+            const style = window.getComputedStyle(el);
+            return {
+                text: el.textContent.trim().substring(0, 40),
+                scrollWidth: el.scrollWidth,
+                clientWidth: el.clientWidth,
+                scrollHeight: el.scrollHeight,
+                clientHeight: el.clientHeight,
+                clipsX: style.overflowX !== 'visible' || style.textOverflow === 'ellipsis',
+                clipsY: style.overflowY !== 'visible'
+            };
+        })
+        .filter(n => n.clientWidth > 0);
+
+    const images = deep.filter(el => el.tagName === 'IMG').map(img => ({
+        src: (img.currentSrc || img.getAttribute('src') || '').substring(0, 200),
+        complete: img.complete,
+        naturalWidth: img.naturalWidth,
+        renderedWidth: Math.round(img.getBoundingClientRect().width),
+        renderedHeight: Math.round(img.getBoundingClientRect().height)
+    }));
+
+    return { cards, names, images };
+}
+
+const listOffenders = (items, format, max = 3) =>
+    items.slice(0, max).map(format).join('; ') + (items.length > max ? `; +${items.length - max} more` : '');
+
+const RULES = [
+    {
+        id: 'card-containment',
+        feature: 'Card Edge Containment (DOM)',
+        expected: 'Every on-stage card fully inside its container',
+        skipWidgetTypes: SCROLLING_WIDGETS,
+        check(m, t) {
+            // Cards less than half visible are slides waiting off-stage, not clipped cards
+            const onStage = m.cards.filter(c => c.visibleRatio >= 0.5);
+            if (onStage.length === 0) return null;
+            const clipped = onStage.filter(c => c.visibleRatio < t.minVisibleRatio);
+            return {
+                failed: clipped.length > 0,
+                ui: clipped.length ? `${clipped.length} of ${onStage.length} card(s) clipped` : `${onStage.length} card(s) contained`,
+                issue: clipped.length
+                    ? `Card clipped by its container: ${listOffenders(clipped, c => `card ${c.index} ${Math.round(c.visibleRatio * 100)}% visible (cut by ${c.clippedBy})`)}.`
+                    : 'All on-stage cards are fully inside their containers.',
+                measured: { cards: onStage.length, clipped: clipped.map(c => ({ card: c.index, visiblePct: Math.round(c.visibleRatio * 100), clippedBy: c.clippedBy })) }
+            };
+        }
+    },
+    {
+        id: 'card-padding',
+        feature: 'Card Padding (DOM)',
+        expected: 'Text at least the minimum padding from card edges',
+        check(m, t) {
+            const measured = m.cards.filter(c => c.visibleRatio >= 0.5 && c.padding);
+            if (measured.length === 0) return null;
+            const tight = measured.map(c => {
+                const [edge, px] = Object.entries(c.padding).sort((a, b) => a[1] - b[1])[0];
+                return { card: c.index, edge, px: Math.round(px) };
+            }).filter(p => p.px < t.minPaddingPx);
+            return {
+                failed: tight.length > 0,
+                ui: tight.length ? `${tight.length} of ${measured.length} card(s) under ${t.minPaddingPx}px` : `${measured.length} card(s) padded`,
+                issue: tight.length
+                    ? `Text too close to the card edge: ${listOffenders(tight, p => `card ${p.card} ${p.edge} ${p.px}px`)} (minimum ${t.minPaddingPx}px).`
+                    : `All card text keeps at least ${t.minPaddingPx}px from the card edges.`,
+                measured: { cards: measured.length, minPaddingPx: t.minPaddingPx, tight }
+            };
+        }
+    },
+    {
+        id: 'element-overlap',
+        feature: 'Element Overlap (DOM)',
+        expected: 'No text overlapping other card content',
+        check(m) {
+            const measured = m.cards.filter(c => c.visibleRatio >= 0.5);
+            if (measured.length === 0) return null;
+            const overlaps = measured.flatMap(c => c.overlaps.map(o => ({ card: c.index, ...o })));
+            return {
+                failed: overlaps.length > 0,
+                ui: overlaps.length ? `${overlaps.length} overlap(s)` : 'No overlaps',
+                issue: overlaps.length
+                    ? `Overlapping content: ${listOffenders(overlaps, o => `card ${o.card} ${o.a} over ${o.b} (${o.pct}%)`)}.`
+                    : 'No text overlaps other card content.',
+                measured: { cards: measured.length, overlaps }
+            };
+        }
+    },
+    {
+        id: 'name-truncation',
+        feature: 'Reviewer Name Truncation (DOM)',
+        expected: 'Reviewer names shown in full',
+        check(m) {
+            if (m.names.length === 0) return null;
+            const truncated = m.names.filter(n =>
+                (n.clipsX && n.scrollWidth > n.clientWidth + 1) || (n.clipsY && n.scrollHeight > n.clientHeight + 1)
+            );
+            return {
+                failed: truncated.length > 0,
+                ui: truncated.length ? `${truncated.length} of ${m.names.length} name(s) truncated` : `${m.names.length} name(s) complete`,
+                issue: truncated.length
+                    ? `Reviewer name cut off: ${listOffenders(truncated, n => `"${n.text}" (${n.scrollWidth}px in ${n.clientWidth}px)`)}.`
+                    : 'No reviewer name is clipped.',
+                measured: { names: m.names.length, truncated }
+            };
+        }
+    },
+    {
+        id: 'broken-images',
+        feature: 'Broken Images (DOM)',
+        expected: 'Every loaded image decodes',
+        check(m) {
+            const loaded = m.images.filter(i => i.complete && i.src);
+            if (loaded.length === 0) return null;
+            const broken = loaded.filter(i => i.naturalWidth === 0);
+            return {
+                failed: broken.length > 0,
+                ui: broken.length ? `${broken.length} of ${loaded.length} image(s) broken` : `${loaded.length} image(s) loaded`,
+                issue: broken.length
+                    ? `Image failed to load (naturalWidth 0): ${listOffenders(broken, i => i.src)}.`
+                    : 'All loaded images have pixel data.',
+                measured: { images: loaded.length, broken: broken.map(i => i.src) }
+            };
+        }
+    }
+];
+
+class DomRuleEngine {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Defaults to DOM_RULES !== 'off'
+     * @param {number} [options.minPaddingPx] - Defaults to DOM_RULE_MIN_PADDING_PX or 4
+     * @param {number} [options.minVisibleRatio] - Share of an on-stage card that must be visible (0.98)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? (process.env.DOM_RULES || 'on').toLowerCase() !== 'off';
+        this.thresholds = {
+            minPaddingPx: options.minPaddingPx ?? parseInt(process.env.DOM_RULE_MIN_PADDING_PX || '4', 10),
+            minVisibleRatio: options.minVisibleRatio ?? 0.98
+        };
+    }
+
+    static get RULES() {
+        return RULES;
+    }
+
+    /**
+     * Card and reviewer-name selectors, shared with the other widget probes (darkModeAudit.js).
+     */
+    static get SELECTORS() {
+        return { cards: CARD_SELECTORS, names: NAME_SELECTORS };
+    }
+
+    /**
+     * Measures the widget and runs every rule that applies to the widget type.
+     * @param {import('playwright').Locator} locator - Widget root (or the iframe body)
+     * @param {string} widgetType
+     * @returns {Promise<Object[]>} feature_results entries (empty when disabled or unmeasurable)
+     */
+    async run(locator, widgetType) {
+        if (!this.enabled || !locator) return [];
+        const measurements = await BrowserDom.install(locator).then(() => locator.evaluate(measureWidget, {
+            cardSelectors: CARD_SELECTORS,
+            nameSelectors: NAME_SELECTORS,
+            maxCards: 40,
+            maxAtoms: 60
+        })).catch(e => {
+            console.warn(`[DomRuleEngine] ⚠️ Measurement failed: ${e.message}`);
+            return null;
+        });
+        if (!measurements) return [];
+
+        const results = this.evaluate(measurements, widgetType);
+        const failed = results.filter(r => r.status === 'FAIL');
+        console.log(`[DomRuleEngine] 📐 ${results.length} DOM rule(s) on ${measurements.cards.length} card(s), ${measurements.names.length} name(s), ${measurements.images.length} image(s): ${failed.length ? `${failed.length} FAIL (${failed.map(r => r.rule).join(', ')})` : 'all PASS'}.`);
+        return results;
+    }
+
+    /**
+     * Applies the rules to a measurement snapshot (pure; no browser needed).
+     * @returns {Object[]} feature_results entries
+     */
+    evaluate(measurements, widgetType) {
+        return RULES.map(rule => {
+            if ((rule.skipWidgetTypes || []).includes(widgetType)) {
+                return this._result(rule, 'Not Applicable', 'Skipped', `Not checked for ${widgetType}.`);
+            }
+            const outcome = rule.check(measurements, this.thresholds);
+            if (!outcome) return this._result(rule, 'Not Applicable', 'Nothing to measure', 'No matching elements found in the widget DOM.');
+            return this._result(rule, outcome.failed ? 'FAIL' : 'PASS', outcome.ui, outcome.issue, outcome.measured);
+        });
+    }
+
+    _result(rule, status, uiStatus, issue, measured) {
+        return {
+            feature: rule.feature,
+            ui_status: uiStatus,
+            config_status: rule.expected,
+            status,
+            issue,
+            remarks: REMARK,
+            rule: rule.id,
+            ...(measured ? { measured } : {})
+        };
+    }
+}
+
+module.exports = DomRuleEngine;
@@ -0,0 +1,238 @@
+/**
+ * featureCatalog.js
+ * Single definition of every validatable feature, shared by PromptBuilder, AIEngine and the runners.
+ *
+ * Configs/featureCatalog.json holds:
+ *   widgetConfigs - widget type → Configs/<file>.json listing the features tested for that type
+ *   features      - canonical feature name → {
+ *                     configKeys:  widget config keys (any enabled key → Visible)
+ *                     inverted:    true when an enabled key hides the feature (e.g. hideBranding)
+ *                     dataRule:    feed-data exception applied to a Visible state (see DATA_RULES)
+ *                     widgetTypes: "*" or the widget types the feature exists on
+ *                     aliases:     other spellings the model or older configs use
+ *                     verifiedBy:  "automation" when Playwright, not the model, checks it
+ *                   }
+ *
+ * A feature name that is not in the catalog is an error, never a silent "Absent".
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'Configs', 'featureCatalog.json');
+const CONFIGS_DIR = path.join(__dirname, '..', 'Configs');
+
+/**
+ * Feed-data exceptions: when the rule matches, a config-Visible feature is expected Absent.
+ */
+const DATA_RULES = {
+    ratings: {
+        state: 'Absent (Data-Driven / Social Exception)',
+        matches: feeds => feeds.every(f => f.rating === null || f.rating === 0 || f.rating === '0')
+    },
+    socialIcon: {
+        state: 'Absent (Data-Driven)',
+        matches: feeds => !feeds.some(f => f.feed_type === 'social_feed' || f.social_platform)
+    }
+};
+
+const loaded = new Map();
+
+class FeatureCatalog {
+    /**
+     * @param {Object} catalog - Parsed featureCatalog.json
+     * @param {string} [source] - File the catalog came from (for error messages)
+     */
+    constructor(catalog, source = 'inline') {
+        this.source = source;
+        this.widgetConfigs = catalog.widgetConfigs || {};
+        this.features = catalog.features || {};
+        this.lookup = new Map();
+
+        Object.entries(this.features).forEach(([name, entry]) => {
+            if (entry.dataRule && !DATA_RULES[entry.dataRule]) {
+                throw new Error(`[FeatureCatalog] "${name}" uses unknown dataRule "${entry.dataRule}" (${source}).`);
+            }
+            [name, ...(entry.aliases || [])].forEach(spelling => this.lookup.set(FeatureCatalog.normalize(spelling), name));
+        });
+    }
+
+    /**
+     * Shared, cached catalog (defaults to Configs/featureCatalog.json).
+     */
+    static load(file = CATALOG_FILE) {
+        if (!loaded.has(file)) {
+            let catalog;
+            try {
+                catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (e) {
+                throw new Error(`[FeatureCatalog] Failed to load ${file}: ${e.message}`);
+            }
+            loaded.set(file, new FeatureCatalog(catalog, path.basename(file)));
+        }
+        return loaded.get(file);
+    }
+
+    static normalize(name) {
+        return String(name).toLowerCase()
+            .replace(/[_\- ]/g, '')
+            .replace(/grey/g, 'gray')
+            .replace(/grayscale/g, 'gray');
+    }
+
+    /**
+     * Canonical name for a feature as written by a config or the model, or null when unknown.
+     * Gray-mode spellings keep the historical fuzzy match ("Displays Grayscale Mode Toggle").
+     */
+    resolve(name) {
+        if (typeof name !== 'string') return null;
+        const normalized = FeatureCatalog.normalize(name);
+        if (this.lookup.has(normalized)) return this.lookup.get(normalized);
+
+        if (normalized.includes('gray')) {
+            const match = Object.keys(this.features).find(canonical => {
+                const normCanonical = FeatureCatalog.normalize(canonical);
+                return normCanonical.includes('gray') && normalized.length - normCanonical.length < 10;
+            });
+            if (match) return match;
+        }
+        return null;
+    }
+
+    get(name) {
+        const canonical = this.resolve(name);
+        return canonical ? { name: canonical, ...this.features[canonical] } : null;
+    }
+
+    appliesTo(name, widgetType) {
+        const entry = this.get(name);
+        if (!entry) return false;
+        return entry.widgetTypes === '*' || !widgetType || (entry.widgetTypes || []).includes(widgetType);
+    }
+
+    isAutomated(name) {
+        return this.get(name)?.verifiedBy === 'automation';
+    }
+
+    configFileFor(widgetType) {
+        return this.widgetConfigs[widgetType] || null;
+    }
+
+    /**
+     * Catalog features whose config keys are present in the widget config
+     * (used when no static feature list is given).
+     */
+    featuresInConfig(config, widgetType) {
+        return Object.keys(this.features).filter(name =>
+            this.appliesTo(name, widgetType) && this._keyPresent(this.features[name].configKeys, config)
+        );
+    }
+
+    /**
+     * Expected UI state of one feature for a widget config and its feed data.
+     */
+    expectedState(name, config) {
+        const entry = this.get(name);
+        if (!entry) {
+            throw new Error(`[FeatureCatalog] Unknown feature "${name}"${this._suggestion(name)}.`);
+        }
+
+        const keys = entry.configKeys || [];
+        if (!this._keyPresent(keys, config)) return 'Absent';
+
+        const isEnabled = keys.some(key => this._contexts(config).some(ctx => {
+            const val = ctx[key];
+            return val === '1' || val === 1 || val === true || val === 'true';
+        }));
+        const expected = entry.inverted
+            ? (isEnabled ? 'Absent' : 'Visible')
+            : (isEnabled ? 'Visible' : 'Absent');
+
+        // Data-aware override: the feature cannot render without the underlying feed data
+        if (expected === 'Visible' && entry.dataRule) {
+            const rawFeeds = config.feeds_data || config.data?.feeds_data || [];
+            if (rawFeeds.length > 0 && DATA_RULES[entry.dataRule].matches(rawFeeds)) {
+                return DATA_RULES[entry.dataRule].state;
+            }
+        }
+        return expected;
+    }
+
+    /**
+     * Problems with a feature list: names missing from the catalog and, when a widget type is
+     * given, features that do not exist on that widget type.
+     * @returns {string[]}
+     */
+    problems(features, widgetType) {
+        if (!Array.isArray(features)) return [`feature list must be an array (got ${typeof features})`];
+        return features.flatMap(name => {
+            if (!this.resolve(name)) return [`unknown feature "${name}"${this._suggestion(name)}`];
+            if (widgetType && !this.appliesTo(name, widgetType)) {
+                return [`"${name}" does not apply to ${widgetType} (catalog: ${this.get(name).widgetTypes.join(', ')})`];
+            }
+            return [];
+        });
+    }
+
+    /**
+     * Throws when the feature list has any problem, naming its source.
+     * @param {string[]} features
+     * @param {Object} [options] - { widgetType, source }
+     */
+    assertKnown(features, { widgetType, source = 'feature list' } = {}) {
+        const problems = this.problems(features, widgetType);
+        if (problems.length > 0) {
+            throw new Error(`[FeatureCatalog] ${source}: ${problems.join('; ')}. Add the feature to ${this.source} or fix the name.`);
+        }
+    }
+
+    /**
+     * Validates every Configs/<file>.json referenced by widgetConfigs against the widget
+     * types that use it. Meant to run at startup so a typo stops the run before any browser opens.
+     * @param {string} [dir] - Directory holding the config files
+     * @returns {number} Number of config files checked
+     */
+    validateConfigs(dir = CONFIGS_DIR) {
+        const byFile = {};
+        Object.entries(this.widgetConfigs).forEach(([widgetType, file]) => {
+            (byFile[file] = byFile[file] || []).push(widgetType);
+        });
+
+        const errors = Object.entries(byFile).flatMap(([file, widgetTypes]) => {
+            const configPath = path.join(dir, `${file}.json`);
+            if (!fs.existsSync(configPath)) return [`${file}.json: missing (mapped from ${widgetTypes.join(', ')})`];
+            let features;
+            try {
+                const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                features = parsed.features || parsed;
+            } catch (e) {
+                return [`${file}.json: ${e.message}`];
+            }
+            return widgetTypes.flatMap(widgetType => this.problems(features, widgetType)
+                .map(problem => `${file}.json (${widgetType}): ${problem}`));
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`[FeatureCatalog] Invalid feature configs:\n  - ${[...new Set(errors)].join('\n  - ')}`);
+        }
+        return Object.keys(byFile).length;
+    }
+
+    _contexts(config) {
+        return [config, config?.widget_customization, config?.data].filter(Boolean);
+    }
+
+    _keyPresent(keys, config) {
+        return (keys || []).some(key => this._contexts(config).some(ctx => key in ctx));
+    }
+
+    _suggestion(name) {
+        const normalized = FeatureCatalog.normalize(name);
+        const match = Object.keys(this.features).find(canonical => {
+            const normCanonical = FeatureCatalog.normalize(canonical);
+            return normalized && (normCanonical.includes(normalized) || normalized.includes(normCanonical));
+        });
+        return match ? ` (did you mean "${match}"?)` : '';
+    }
+}
+
+module.exports = FeatureCatalog;
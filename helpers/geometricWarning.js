@@ -0,0 +1,128 @@
+/**
+ * geometricWarning.js
+ * Typed "truth data" measured by PlaywrightHelper and the interactive widget helpers.
+ *
+ * Every probe result is one GeometricWarning:
+ *   code      - stable identifier, e.g. FAIL_BOTTOM_EDGE_CLIPPED, OVERBLEED_RIGHT, DOM_TRUTH_SOCIAL_ICONS
+ *   severity  - FAIL: measured defect, forces its aesthetic category to FAIL (AIEngine.processResults)
+ *               WARN: measured anomaly the model must confirm visually
+ *               INFO: DOM fact or instruction that steers the verdict
+ *   category  - aesthetic category A–G the warning belongs to (null for feature/DOM facts)
+ *   selector  - CSS selector of the measured element(s)
+ *   measured  - raw values behind the warning ({ gapPx: 12, card: 3 })
+ *   source    - helper that produced it
+ *   message   - sentence sent to the model (keeps the keywords the MAPPING RULES refer to)
+ *
+ * Recordings and fixtures made before warnings were typed hold plain strings; from() reads them
+ * with the old keyword rules so a replayed verdict comes out the same.
+ */
+const { AESTHETIC_CATEGORIES } = require('./verdictSchema');
+
+const SEVERITIES = ['FAIL', 'WARN', 'INFO'];
+
+class GeometricWarning {
+    /**
+     * @param {Object} fields - { code, severity, category, selector, measured, source, message }
+     */
+    constructor({ code, severity = 'INFO', category = null, selector = null, measured = {}, source = 'unknown', message }) {
+        if (!code) throw new Error('[GeometricWarning] code is required.');
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`[GeometricWarning] ${code}: unknown severity "${severity}" (expected ${SEVERITIES.join(', ')}).`);
+        }
+        if (category !== null && !AESTHETIC_CATEGORIES[category]) {
+            throw new Error(`[GeometricWarning] ${code}: unknown category "${category}" (expected A–G or null).`);
+        }
+        this.code = code;
+        this.severity = severity;
+        this.category = category;
+        this.selector = selector;
+        this.measured = measured || {};
+        this.source = source;
+        this.message = message || code;
+    }
+
+    static get SEVERITIES() {
+        return SEVERITIES;
+    }
+
+    /**
+     * A GeometricWarning from an instance, a serialized object (recordings, fixtures) or a legacy string.
+     */
+    static from(value) {
+        if (value instanceof GeometricWarning) return value;
+        if (typeof value === 'string') return GeometricWarning.fromLegacy(value);
+        return new GeometricWarning(value || {});
+    }
+
+    static fromAll(list) {
+        return (list || []).map(GeometricWarning.from);
+    }
+
+    /**
+     * Reads an untyped warning the way AIEngine did before warnings were typed:
+     * FAIL_/_EDGE_CLIPPED/PARTIAL/CUT (but not SYMMETRY_SIGNAL) was a defect on A, E (SHARP/MEDIA) or G (POPUP/MODAL).
+     */
+    static fromLegacy(text) {
+        const isDefect = (text.includes('FAIL_') || text.includes('_EDGE_CLIPPED') ||
+            text.includes('PARTIAL') || text.includes('CUT')) && !text.includes('SYMMETRY_SIGNAL');
+        let category = null;
+        if (isDefect) {
+            category = 'A';
+            if (text.includes('SHARP') || text.includes('MEDIA')) category = 'E';
+            if (text.includes('POPUP') || text.includes('MODAL')) category = 'G';
+        }
+        const code = (text.match(/\b[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+\b/) || [])[0] || 'LEGACY';
+        return new GeometricWarning({
+            code,
+            severity: isDefect ? 'FAIL' : 'INFO',
+            category,
+            source: 'legacy',
+            message: text
+        });
+    }
+
+    get isDefect() {
+        return this.severity === 'FAIL';
+    }
+
+    get categoryLabel() {
+        return this.category ? AESTHETIC_CATEGORIES[this.category] : '';
+    }
+
+    /**
+     * "gapPx=12, card=3"
+     */
+    measuredText() {
+        return Object.entries(this.measured)
+            .map(([key, value]) => `${key}=${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`)
+            .join(', ');
+    }
+
+    /**
+     * Line in the prompt's SYSTEM FORCE OVERRIDE / SYSTEM LOG sections.
+     */
+    toPromptLine() {
+        if (this.source === 'legacy') return this.message;
+        const tags = [this.code, this.severity, this.category && `Category ${this.category}`].filter(Boolean).join(' · ');
+        const details = [this.measuredText(), this.selector && `at ${this.selector}`].filter(Boolean).join('; ');
+        return `[${tags}] ${this.message}${details ? ` (${details})` : ''}`;
+    }
+
+    toString() {
+        return this.toPromptLine();
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            severity: this.severity,
+            category: this.category,
+            selector: this.selector,
+            measured: this.measured,
+            source: this.source,
+            message: this.message
+        };
+    }
+}
+
+module.exports = GeometricWarning;
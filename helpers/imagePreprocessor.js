@@ -0,0 +1,252 @@
+/**
+ * imagePreprocessor.js
+ * Shrinks the screenshot set before it is sent to the vision model, without touching
+ * the originals saved for the report.
+ *
+ * Per screenshot (pixel work runs on an OffscreenCanvas in a blank Playwright page):
+ *   1. Crop   - viewport / full-page shots with a known widget box are cropped to that box + padding
+ *   2. Dedup  - frames whose 32x32 grayscale signature matches an earlier frame are dropped
+ *   3. Tile   - images wider than AI_IMAGE_MAX_DIM are scaled down; taller ones are sliced into
+ *               overlapping tiles so nothing is lost at the seams
+ *   4. Encode - re-encoded (WebP by default) with quality stepped down until the size budget fits;
+ *               untouched images that already fit are passed through as the original PNG
+ *
+ * Every AI image keeps a sourceMap entry ({ source, region }) so defect boxes reported against
+ * tiles/crops can be mapped back onto the original screenshots (remapLocations). The signatures
+ * of the kept frames are returned too, for AIResultCache's perceptual keys.
+ *
+ * Env:
+ *   AI_IMAGE_PREPROCESS=0          - Disable the stage (send originals)
+ *   AI_IMAGE_MAX_DIM               - Max output width / tile height in px (default 2048)
+ *   AI_IMAGE_FORMAT                - webp | jpeg | png (default webp)
+ *   AI_IMAGE_MAX_BYTES             - Per-image budget (default 1500000)
+ *   AI_IMAGE_TOTAL_BYTES           - Whole-request budget (default 15000000)
+ *   AI_IMAGE_CROP_PADDING          - Padding around the widget box in CSS px (default 48)
+ *   AI_IMAGE_DEDUP_THRESHOLD       - Mean grayscale difference (0-255) below which frames are duplicates (default 1.5; 0 = off)
+ */
+
+const FORMATS = { webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+const TILE_OVERLAP = 64;
+const SIGNATURE_SIZE = 32;
+
+class ImagePreprocessor {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? !['0', 'false', 'off'].includes((process.env.AI_IMAGE_PREPROCESS || '').toLowerCase());
+        this.maxDim = parseInt(options.maxDim ?? process.env.AI_IMAGE_MAX_DIM ?? '2048', 10);
+        const format = (options.format || process.env.AI_IMAGE_FORMAT || 'webp').toLowerCase();
+        this.mimeType = FORMATS[format] || FORMATS.webp;
+        this.maxBytes = parseInt(options.maxBytes ?? process.env.AI_IMAGE_MAX_BYTES ?? '1500000', 10);
+        this.totalBytes = parseInt(options.totalBytes ?? process.env.AI_IMAGE_TOTAL_BYTES ?? '15000000', 10);
+        this.cropPadding = parseInt(options.cropPadding ?? process.env.AI_IMAGE_CROP_PADDING ?? '48', 10);
+        this.dedupThreshold = parseFloat(options.dedupThreshold ?? process.env.AI_IMAGE_DEDUP_THRESHOLD ?? '1.5');
+    }
+
+    /**
+     * @param {import('playwright').Page} page - Any page of the run; a blank sibling page does the pixel work
+     * @param {Buffer[]} buffers - Original screenshots (AI order)
+     * @param {Array<Object|undefined>} [meta] - Per-screenshot capture info: { widgetBox: {x,y,width,height}, scale }
+     *                                          with the widget box in CSS px of that screenshot
+     * @returns {Promise<{buffers: Buffer[], sourceMap: Object[], stats: Object, signatures: Object[]|null}>}
+     */
+    async process(page, buffers, meta = []) {
+        const passthrough = {
+            buffers,
+            sourceMap: buffers.map((b, i) => ({ source: i, region: null })),
+            stats: null,
+            signatures: null
+        };
+        if (!this.enabled || buffers.length === 0 || !page || page.isClosed()) return passthrough;
+
+        let worker;
+        try {
+            worker = await page.context().newPage();
+            const perImageBudget = Math.min(this.maxBytes, Math.floor(this.totalBytes / buffers.length));
+
+            const out = [];
+            const sourceMap = [];
+            const kept = [];
+            const dropped = [];
+            let tiles = 0;
+
+            for (let i = 0; i < buffers.length; i++) {
+                const m = meta[i] || {};
+                const crop = m.widgetBox ? this._cropRect(m.widgetBox, m.scale || 1) : null;
+                const result = await worker.evaluate(PROCESS_IN_BROWSER, {
+                    b64: buffers[i].toString('base64'),
+                    crop,
+                    maxDim: this.maxDim,
+                    overlap: TILE_OVERLAP,
+                    mimeType: this.mimeType,
+                    maxBytes: perImageBudget,
+                    originalBytes: buffers[i].length,
+                    signatureSize: SIGNATURE_SIZE
+                });
+
+                const duplicateOf = this._findDuplicate(result, kept);
+                if (duplicateOf !== null) {
+                    dropped.push({ source: i, duplicateOf });
+                    continue;
+                }
+                kept.push({ index: i, width: result.region.width, height: result.region.height, signature: result.signature });
+
+                result.tiles.forEach(tile => {
+                    out.push(tile.passthrough ? buffers[i] : Buffer.from(tile.b64, 'base64'));
+                    sourceMap.push({ source: i, region: tile.region, sourceWidth: result.width, sourceHeight: result.height });
+                });
+                if (result.tiles.length > 1) tiles += result.tiles.length;
+            }
+
+            const stats = {
+                sourceImages: buffers.length,
+                aiImages: out.length,
+                droppedDuplicates: dropped,
+                tiles,
+                cropped: meta.filter(m => m && m.widgetBox).length,
+                originalBytes: buffers.reduce((sum, b) => sum + b.length, 0),
+                processedBytes: out.reduce((sum, b) => sum + b.length, 0)
+            };
+            console.log(`[ImagePreprocessor] ${stats.sourceImages} screenshot(s) → ${stats.aiImages} AI image(s), ${(stats.originalBytes / 1e6).toFixed(1)}MB → ${(stats.processedBytes / 1e6).toFixed(1)}MB (${dropped.length} duplicate(s) dropped, ${stats.cropped} cropped).`);
+
+            const signatures = kept.map(k => ({ source: k.index, width: k.width, height: k.height, signature: k.signature }));
+            return { buffers: out, sourceMap, stats, signatures };
+        } catch (e) {
+            console.warn(`[ImagePreprocessor] Preprocessing failed, sending original screenshots: ${e.message}`);
+            return passthrough;
+        } finally {
+            if (worker) await worker.close().catch(() => { });
+        }
+    }
+
+    _cropRect(box, scale) {
+        const pad = this.cropPadding;
+        return {
+            x: Math.max(0, Math.floor((box.x - pad) * scale)),
+            y: Math.max(0, Math.floor((box.y - pad) * scale)),
+            width: Math.ceil((box.width + pad * 2) * scale),
+            height: Math.ceil((box.height + pad * 2) * scale)
+        };
+    }
+
+    /**
+     * @returns {number|null} Source index of an earlier frame this one duplicates.
+     */
+    _findDuplicate(result, kept) {
+        if (!(this.dedupThreshold > 0)) return null;
+        for (const k of kept) {
+            // Only compare frames of the same geometry; a resized frame is different evidence
+            if (k.width !== result.region.width || k.height !== result.region.height) continue;
+            let diff = 0;
+            for (let p = 0; p < k.signature.length; p++) diff += Math.abs(k.signature[p] - result.signature[p]);
+            if (diff / k.signature.length < this.dedupThreshold) return k.index;
+        }
+        return null;
+    }
+
+    /**
+     * Rewrites defect boxes from AI-image coordinates (tiles/crops) to the original screenshots.
+     * @param {Object} aiResults - Verdict with aesthetic_results[].locations (mutated in place)
+     * @param {Object[]} sourceMap - From process()
+     */
+    static remapLocations(aiResults, sourceMap) {
+        (aiResults?.aesthetic_results || []).forEach(a => {
+            if (!Array.isArray(a.locations)) return;
+            a.locations = a.locations.map(loc => {
+                const entry = sourceMap[loc.image_index];
+                if (!entry) return loc;
+                if (!entry.region) return { ...loc, image_index: entry.source };
+
+                const [ymin, xmin, ymax, xmax] = loc.box_2d;
+                const { region, sourceWidth, sourceHeight } = entry;
+                const toY = v => Math.round(((region.y + (v / 1000) * region.height) / sourceHeight) * 1000);
+                const toX = v => Math.round(((region.x + (v / 1000) * region.width) / sourceWidth) * 1000);
+                return { image_index: entry.source, box_2d: [toY(ymin), toX(xmin), toY(ymax), toX(xmax)] };
+            });
+        });
+        return aiResults;
+    }
+}
+
+/**
+ * Runs inside the blank page. Decodes one screenshot, crops, fingerprints, tiles and encodes it.
+ * Regions are reported in source-image pixels.
+ */
+const PROCESS_IN_BROWSER = async ({ b64, crop, maxDim, overlap, mimeType, maxBytes, originalBytes, signatureSize }) => {
+    const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([bytes]));
+    const width = bitmap.width;
+    const height = bitmap.height;
+
+    let region = { x: 0, y: 0, width, height };
+    if (crop) {
+        const x = Math.min(Math.max(0, crop.x), width - 1);
+        const y = Math.min(Math.max(0, crop.y), height - 1);
+        region = {
+            x,
+            y,
+            width: Math.max(1, Math.min(crop.width, width - x)),
+            height: Math.max(1, Math.min(crop.height, height - y))
+        };
+    }
+
+    // Grayscale fingerprint for near-duplicate detection
+    const sigCanvas = new OffscreenCanvas(signatureSize, signatureSize);
+    const sigCtx = sigCanvas.getContext('2d');
+    sigCtx.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, signatureSize, signatureSize);
+    const sigData = sigCtx.getImageData(0, 0, signatureSize, signatureSize).data;
+    const signature = [];
+    for (let p = 0; p < sigData.length; p += 4) {
+        signature.push(Math.round(0.299 * sigData[p] + 0.587 * sigData[p + 1] + 0.114 * sigData[p + 2]));
+    }
+
+    const untouched = region.width === width && region.height === height;
+    if (untouched && width <= maxDim && height <= maxDim && originalBytes <= maxBytes) {
+        return { width, height, region, signature, tiles: [{ passthrough: true, region }] };
+    }
+
+    // Scale so the width fits, then slice the height into overlapping tiles of at most maxDim
+    const scale = Math.min(1, maxDim / region.width);
+    const tileSourceHeight = Math.floor(maxDim / scale);
+    const overlapSource = Math.floor(overlap / scale);
+    const regions = [];
+    if (region.height <= tileSourceHeight) {
+        regions.push(region);
+    } else {
+        for (let top = 0; top < region.height; top += tileSourceHeight - overlapSource) {
+            const h = Math.min(tileSourceHeight, region.height - top);
+            regions.push({ x: region.x, y: region.y + top, width: region.width, height: h });
+            if (top + h >= region.height) break;
+        }
+    }
+
+    const toBase64 = async (blob) => {
+        const buf = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < buf.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, buf.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    };
+
+    const tiles = [];
+    for (const r of regions) {
+        let outScale = scale;
+        let blob = null;
+        for (let shrink = 0; shrink < 4; shrink++) {
+            const canvas = new OffscreenCanvas(Math.max(1, Math.round(r.width * outScale)), Math.max(1, Math.round(r.height * outScale)));
+            canvas.getContext('2d').drawImage(bitmap, r.x, r.y, r.width, r.height, 0, 0, canvas.width, canvas.height);
+            for (let quality = 0.92; quality >= 0.6; quality -= 0.08) {
+                blob = await canvas.convertToBlob({ type: mimeType, quality });
+                // PNG ignores quality (and some engines fall back to PNG), so only resizing helps
+                if (blob.size <= maxBytes || blob.type === 'image/png') break;
+            }
+            if (blob.size <= maxBytes) break;
+            outScale *= 0.8;
+        }
+        tiles.push({ b64: await toBase64(blob), region: r, bytes: blob.size });
+    }
+
+    bitmap.close();
+    return { width, height, region, signature, tiles };
+};
+
+module.exports = ImagePreprocessor;
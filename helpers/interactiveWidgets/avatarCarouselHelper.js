@@ -1,3 +1,5 @@
+const GeometricWarning = require('../geometricWarning');
+
 class AvatarCarouselHelper {
     static async interact(page, widgetLocator, geometricWarnings) {
         console.log('[AvatarCarouselHelper] Starting advanced shadow-aware interaction...');
@@ -60,8 +62,8 @@ class AvatarCarouselHelper {
                         const distToTop = r.top;
 
                         // 1. Vertical Clipping (Zero-Tolerance)
-                        if (distToBottom < -1) results.push(`FAIL_BOTTOM_EDGE_CLIPPED (Card ${idx+1}, Bleed: ${Math.abs(Math.round(distToBottom))}px)`);
-                        else if (distToTop < -1) results.push(`FAIL_TOP_EDGE_CLIPPED (Card ${idx+1}, Bleed: ${Math.abs(Math.round(distToTop))}px)`);
+                        if (distToBottom < -1) results.push({ code: 'FAIL_BOTTOM_EDGE_CLIPPED', card: idx + 1, measured: { bleedPx: Math.abs(Math.round(distToBottom)) } });
+                        else if (distToTop < -1) results.push({ code: 'FAIL_TOP_EDGE_CLIPPED', card: idx + 1, measured: { bleedPx: Math.abs(Math.round(distToTop)) } });
 
                         // 🛡️ SYMMETRY AUDIT (End-Cap Audit)
                         const isEndCard = (r.right > vw - 15) || (r.left < 15);
@@ -70,24 +72,33 @@ class AvatarCarouselHelper {
 
                         // Soften threshold to 20px (allow for standard swiper peeking/scaling)
                         if (isEndCard && widthDelta > 20) {
-                            results.push(`SYMMETRY_SIGNAL: Width Delta ${Math.round(widthDelta)}px detected on Card ${idx+1}. (Visual Audit Mandatory)`);
+                            results.push({ code: 'SYMMETRY_SIGNAL_WIDTH', card: idx + 1, measured: { widthDeltaPx: Math.round(widthDelta) } });
                         }
 
                         if (isEndCard && trRadius < 2) {
-                            results.push(`SYMMETRY_SIGNAL: Sharp corner detected on Card ${idx+1}. (Visual Audit Mandatory)`);
+                            results.push({ code: 'SYMMETRY_SIGNAL_CORNER', card: idx + 1, measured: { topRightRadiusPx: trRadius } });
                         }
                     }
                 });
                 return results;
             }, { selList: itemSelectors, vw: page.viewportSize().width, vh: page.viewportSize().height });
 
-            if (sentinelResults.length > 0) {
-                sentinelResults.forEach(msg => {
-                    const level = msg.includes('FAIL_') ? 'FAIL_LAYOUT_CLIPPED' : 'AUDIT_SIGNAL';
-                    console.log(`[SYSTEM ALERT] TRUTH DATA: ${level} detected on Slide ${slide}. Issue: ${msg}`);
-                    if (geometricWarnings) geometricWarnings.push(`${level}: ${msg}`);
+            sentinelResults.forEach(({ code, card, measured }) => {
+                const isClip = code.startsWith('FAIL_');
+                const warning = new GeometricWarning({
+                    code,
+                    severity: isClip ? 'FAIL' : 'WARN',
+                    category: 'A',
+                    selector: itemSelectors.join(', '),
+                    measured: { slide, card, ...measured },
+                    source: 'AvatarCarouselHelper',
+                    message: isClip
+                        ? `FAIL_LAYOUT_CLIPPED: Card ${card} on slide ${slide} is CLIPPED at the ${code.includes('BOTTOM') ? 'bottom' : 'top'} edge.`
+                        : `SYMMETRY_SIGNAL: ${code.endsWith('WIDTH') ? 'Width delta' : 'Sharp corner'} detected on Card ${card} (slide ${slide}); visual audit mandatory.`
                 });
-            }
+                console.log(`[SYSTEM ALERT] TRUTH DATA: ${warning.toPromptLine()}`);
+                if (geometricWarnings) geometricWarnings.push(warning);
+            });
 
             // 2. Capture Slide Screenshot
             const slideShot = await page.screenshot({ animations: 'disabled' }).catch(() => null);
@@ -1,8 +1,15 @@
+const GeometricWarning = require('../geometricWarning');
+
 class AvatarGroupHelper {
     static async interact(page, widgetLocator, geometricWarnings) {
         console.log('[AvatarGroupHelper] Starting sequential interaction (5+ avatars, 1536x700)...');
 
         const screenshotBuffers = [];
+        const addWarning = (fields) => {
+            const warning = new GeometricWarning({ ...fields, source: 'AvatarGroupHelper' });
+            console.log(`[SYSTEM ALERT] ${warning.toPromptLine()}`);
+            if (geometricWarnings) geometricWarnings.push(warning);
+        };
 
         // 1️⃣ Initial State: Identify Row & Run Static Integrity Probes (Overbleed/Truncation)
         try {
@@ -47,7 +54,12 @@ class AvatarGroupHelper {
                         starSelectors.forEach(s => {
                             node.querySelectorAll(s).forEach(el => {
                                 if (el.getBoundingClientRect().width > 2) {
-                                    warnings.push(`STAR RATING VISIBLE: Found stars at (${Math.round(el.getBoundingClientRect().x)}, ${Math.round(el.getBoundingClientRect().y)})`);
+                                    const r = el.getBoundingClientRect();
+                                    warnings.push({
+                                        code: 'STAR_RATING_VISIBLE', severity: 'INFO', category: null, selector: s,
+                                        measured: { x: Math.round(r.x), y: Math.round(r.y) },
+                                        message: `STAR RATING VISIBLE: Found stars at (${Math.round(r.x)}, ${Math.round(r.y)})`
+                                    });
                                 }
                             });
                         });
@@ -68,14 +80,23 @@ class AvatarGroupHelper {
                         const rowLeft = Math.min(first.left, last.left);
                         const rowRight = Math.max(first.right, last.right);
 
-                        const container = document.querySelector('.feedspace-inner-box, .feedspace-inner-container, #brxe-1cbbc3');
+                        const containerSelector = '.feedspace-inner-box, .feedspace-inner-container, #brxe-1cbbc3';
+                        const container = document.querySelector(containerSelector);
                         if (container) {
                             const cRect = container.getBoundingClientRect();
                             if (rowLeft < cRect.left - 10) {
-                                warnings.push(`OVERBLEED DETECTED: Avatar row bleeds ${Math.round(cRect.left - rowLeft)}px outside the LEFT edge of the parent.`);
+                                const bleedPx = Math.round(cRect.left - rowLeft);
+                                warnings.push({
+                                    code: 'OVERBLEED_LEFT', severity: 'WARN', category: 'B', selector: containerSelector, measured: { bleedPx },
+                                    message: `OVERBLEED DETECTED: Avatar row bleeds ${bleedPx}px outside the LEFT edge of the parent.`
+                                });
                             }
                             if (rowRight > cRect.right + 10) {
-                                warnings.push(`OVERBLEED DETECTED: Avatar row bleeds ${Math.round(rowRight - cRect.right)}px outside the RIGHT edge of the parent.`);
+                                const bleedPx = Math.round(rowRight - cRect.right);
+                                warnings.push({
+                                    code: 'OVERBLEED_RIGHT', severity: 'WARN', category: 'B', selector: containerSelector, measured: { bleedPx },
+                                    message: `OVERBLEED DETECTED: Avatar row bleeds ${bleedPx}px outside the RIGHT edge of the parent.`
+                                });
                             }
                         }
                     }
@@ -86,10 +107,18 @@ class AvatarGroupHelper {
                         const isDuplicated = el.textContent.toLowerCase().split('trusted by').length > 2;
 
                         if (isTruncated) {
-                            warnings.push(`TEXT TRUNCATION: "${el.textContent.substring(0, 20)}..." is mathematically cut off (scrollWidth > clientWidth).`);
+                            warnings.push({
+                                code: 'TEXT_TRUNCATION', severity: 'WARN', category: 'C', selector: 'span, div, p (Trusted by)',
+                                measured: { scrollWidth: el.scrollWidth, clientWidth: el.clientWidth },
+                                message: `TEXT TRUNCATION: "${el.textContent.substring(0, 20)}..." is mathematically cut off (scrollWidth > clientWidth).`
+                            });
                         }
                         if (isDuplicated) {
-                            warnings.push(`TEXT CORRUPTION: "${el.textContent.substring(0, 30)}..." appears duplicated or corrupt.`);
+                            warnings.push({
+                                code: 'TEXT_CORRUPTION', severity: 'WARN', category: 'C', selector: 'span, div, p (Trusted by)',
+                                measured: { occurrences: el.textContent.toLowerCase().split('trusted by').length - 1 },
+                                message: `TEXT CORRUPTION: "${el.textContent.substring(0, 30)}..." appears duplicated or corrupt.`
+                            });
                         }
 
                         // Overlap with stars
@@ -98,19 +127,20 @@ class AvatarGroupHelper {
                         if (stars) {
                             const sRect = stars.getBoundingClientRect();
                             const overlap = !(rect.right < sRect.left || rect.left > sRect.right || rect.bottom < sRect.top || rect.top > sRect.bottom);
-                            if (overlap) warnings.push(`LAYOUT OVERLAP: "Trusted by" text overlaps the star ratings element.`);
+                            if (overlap) {
+                                warnings.push({
+                                    code: 'LAYOUT_OVERLAP', severity: 'WARN', category: 'B', selector: '.feedspace-stars, .fe-stars, [class*="stars"]',
+                                    measured: {},
+                                    message: `LAYOUT OVERLAP: "Trusted by" text overlaps the star ratings element.`
+                                });
+                            }
                         }
                     });
 
                     return warnings;
                 });
 
-                if (integrityResults && integrityResults.length > 0) {
-                    integrityResults.forEach(msg => {
-                        console.log(`[SYSTEM ALERT] ${msg}`);
-                        if (geometricWarnings) geometricWarnings.push(`TRUTH DATA: ${msg}`);
-                    });
-                }
+                (integrityResults || []).forEach(addWarning);
             }
         } catch (e) {
             console.warn(`[AvatarGroupHelper] Initial capture/integrity check failed: ${e.message}`);
@@ -240,15 +270,17 @@ class AvatarGroupHelper {
 
                     // 🛡️ UNIVERSAL EDGE SENTINEL Logic
                     let edgeFail = null;
-                    if (distToBottom < 20) edgeFail = `FAIL_BOTTOM_EDGE_CLIPPED (Gap: ${Math.round(distToBottom)}px)`;
-                    else if (rect.y < 5) edgeFail = `FAIL_TOP_EDGE_CLIPPED (y: ${Math.round(rect.y)}px)`;
-                    else if (distToRight < 10) edgeFail = `FAIL_RIGHT_EDGE_CLIPPED (Gap: ${Math.round(distToRight)}px)`;
-                    else if (rect.x < 5) edgeFail = `FAIL_LEFT_EDGE_CLIPPED (x: ${Math.round(rect.x)}px)`;
+                    if (distToBottom < 20) edgeFail = { code: 'FAIL_BOTTOM_EDGE_CLIPPED', edge: 'bottom', measured: { gapPx: Math.round(distToBottom) } };
+                    else if (rect.y < 5) edgeFail = { code: 'FAIL_TOP_EDGE_CLIPPED', edge: 'top', measured: { y: Math.round(rect.y) } };
+                    else if (distToRight < 10) edgeFail = { code: 'FAIL_RIGHT_EDGE_CLIPPED', edge: 'right', measured: { gapPx: Math.round(distToRight) } };
+                    else if (rect.x < 5) edgeFail = { code: 'FAIL_LEFT_EDGE_CLIPPED', edge: 'left', measured: { x: Math.round(rect.x) } };
 
                     if (edgeFail) {
-                        const msg = `TRUTH DATA: FAIL_LAYOUT_CLIPPED detected. Popup ${i + 1} is SLICED at the boundary. Issue: ${edgeFail}.`;
-                        console.log(`[SYSTEM ALERT] ${msg}`);
-                        if (geometricWarnings) geometricWarnings.push(msg);
+                        addWarning({
+                            code: edgeFail.code, severity: 'FAIL', category: 'G', selector: popupSelectors,
+                            measured: { popup: i + 1, ...edgeFail.measured },
+                            message: `FAIL_LAYOUT_CLIPPED detected. Popup ${i + 1} is SLICED at the ${edgeFail.edge} boundary.`
+                        });
                     }
 
                     // 🛡️ Parent Container Clipping Check (New) - Detects if parent has overflow:hidden
@@ -271,9 +303,11 @@ class AvatarGroupHelper {
                     }).catch(() => null);
 
                     if (isParentClipped) {
-                        const msg = `TRUTH DATA: FAIL_CONTAINER_CLIPPED detected. Popup ${i + 1} is sliced by parent container (${isParentClipped}). The text is being cut off vertically.`;
-                        console.log(`[SYSTEM ALERT] ${msg}`);
-                        if (geometricWarnings) geometricWarnings.push(msg);
+                        addWarning({
+                            code: 'FAIL_CONTAINER_CLIPPED', severity: 'FAIL', category: 'G', selector: popupSelectors,
+                            measured: { popup: i + 1, clippedBy: isParentClipped },
+                            message: `FAIL_CONTAINER_CLIPPED detected. Popup ${i + 1} is sliced by parent container (${isParentClipped}). The text is being cut off vertically.`
+                        });
                     }
 
                     // 🛡️ Intersection Audit (Strict visibility check)
@@ -288,9 +322,11 @@ class AvatarGroupHelper {
                     }).catch(() => 1);
 
                     if (visibleRatio < 0.98) {
-                        const msg = `TRUTH DATA: FAIL_LAYOUT_CLIPPED detected. Only ${Math.round(visibleRatio * 100)}% of the review card is visible. Content is being SQUEEZED or SLICED.`;
-                        console.log(`[SYSTEM ALERT] ${msg}`);
-                        if (geometricWarnings) geometricWarnings.push(msg);
+                        addWarning({
+                            code: 'FAIL_LAYOUT_CLIPPED', severity: 'FAIL', category: 'G', selector: popupSelectors,
+                            measured: { popup: i + 1, visiblePct: Math.round(visibleRatio * 100) },
+                            message: `FAIL_LAYOUT_CLIPPED detected. Only ${Math.round(visibleRatio * 100)}% of the review card is visible. Content is being SQUEEZED or SLICED.`
+                        });
                     }
 
                     // 🛡️ Internal Overflow Audit (Detects text hidden inside the box)
@@ -300,9 +336,11 @@ class AvatarGroupHelper {
                     }).catch(() => ({ isClipped: false }));
 
                     if (internalOverflow.isClipped) {
-                        const msg = `TRUTH DATA: FAIL_TEXT_TRUNCATED detected. Content is ${internalOverflow.sh}px but the box is only ${internalOverflow.ch}px. Text is sliced inside the container.`;
-                        console.log(`[SYSTEM ALERT] ${msg}`);
-                        if (geometricWarnings) geometricWarnings.push(msg);
+                        addWarning({
+                            code: 'FAIL_TEXT_TRUNCATED', severity: 'FAIL', category: 'C', selector: popupSelectors,
+                            measured: { popup: i + 1, scrollHeight: internalOverflow.sh, clientHeight: internalOverflow.ch },
+                            message: `FAIL_TEXT_TRUNCATED detected. Content is ${internalOverflow.sh}px but the box is only ${internalOverflow.ch}px. Text is sliced inside the container.`
+                        });
                     }
 
                     // 🛡️ Content Fingerprint Check
@@ -339,9 +377,11 @@ class AvatarGroupHelper {
                         }).catch(() => '');
 
                         if (lastWords) {
-                            const msg = `TRUTH DATA: DOM_END_TEXT is "${lastWords}". If the screenshot ends before these words, it is a FAIL.`;
-                            console.log(`[SYSTEM ALERT] ${msg}`);
-                            if (geometricWarnings) geometricWarnings.push(msg);
+                            addWarning({
+                                code: 'DOM_END_TEXT', severity: 'INFO', category: 'C', selector: '.fe-review-text, [class*="text"]',
+                                measured: { popup: i + 1 },
+                                message: `DOM_END_TEXT is "${lastWords}". If the screenshot ends before these words, it is a FAIL.`
+                            });
                         }
 
                         // 📸 Viewport Capture (Restored Baseline)
@@ -1,3 +1,5 @@
+const EdgeSentinel = require('./edgeSentinel');
+
 class AvatarSliderHelper {
     /**
      * Interact with Avatar Slider widgets (Single Slider) by clicking arrows or avatars.
@@ -5,7 +7,7 @@ class AvatarSliderHelper {
      *
      * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
      * @param {import('playwright').Locator} widgetLocator - The parent widget container
-     * @param {string[]} geometricWarnings - Array to collect truth-data warnings
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      * @returns {Promise<Buffer[]>} - Array of screenshot buffers
      */
     static async interact(context, widgetLocator, geometricWarnings = []) {
@@ -122,6 +124,10 @@ class AvatarSliderHelper {
                 }
             }
 
+            await EdgeSentinel.report(context, '.feedspace-items-slider, .feedspace-single-review-widget, .feedspace-elements-wrapper', geometricWarnings, {
+                source: 'AvatarSliderHelper', severity: 'WARN', label: 'Slider'
+            });
+
             console.log(`[AvatarSliderHelper] Interaction complete. Captured ${screenshotBuffers.length} states.`);
         } catch (error) {
             console.warn(`[AvatarSliderHelper] Error: ${error.message}`);
@@ -1,9 +1,15 @@
+const EdgeSentinel = require('./edgeSentinel');
+
 class CarouselSliderHelper {
     /**
      * Interact with Carousel Slider widgets.
      * Navigates the slider and captures screenshots.
+     *
+     * @param {import('playwright').Page|import('playwright').Frame} interactionContext - Playwright context
+     * @param {import('playwright').Locator} widgetLocator - The parent widget container
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      */
-    static async interact(interactionContext, widgetLocator) {
+    static async interact(interactionContext, widgetLocator, geometricWarnings = []) {
         console.log('[CarouselSliderHelper] Starting interactive carousel validation...');
         const screenshots = [];
 
@@ -99,28 +105,7 @@ class CarouselSliderHelper {
 
             // 🛡️ UNIVERSAL EDGE SENTINEL Logic: Check all visible cards for clipping
             const cardSelector = '.feedspace-embed-card, .feedspace-review-card, .swiper-slide-active, .slick-active';
-            const vSize = page.viewportSize();
-
-            const clips = await page.evaluate((sel, vw, vh) => {
-                const results = [];
-                document.querySelectorAll(sel).forEach((el, idx) => {
-                    const r = el.getBoundingClientRect();
-                    if (r.width > 10 && r.height > 10) {
-                        if (r.right > vw + 5) results.push(`FAIL_RIGHT_EDGE_CLIPPED (Card ${idx + 1})`);
-                        if (r.bottom > vh + 5) results.push(`FAIL_BOTTOM_EDGE_CLIPPED (Card ${idx + 1})`);
-                        if (r.left < -5) results.push(`FAIL_LEFT_EDGE_CLIPPED (Card ${idx + 1})`);
-                        if (r.top < -5) results.push(`FAIL_TOP_EDGE_CLIPPED (Card ${idx + 1})`);
-                    }
-                });
-                return results;
-            }, cardSelector, vSize.width, vSize.height);
-
-            if (clips && clips.length > 0) {
-                clips.forEach(msg => {
-                    console.log(`[SYSTEM ALERT] TRUTH DATA: FAIL_LAYOUT_CLIPPED detected in carousel. Issue: ${msg}`);
-                    if (interactionContext.geometricWarnings) interactionContext.geometricWarnings.push(msg);
-                });
-            }
+            await EdgeSentinel.report(interactionContext, cardSelector, geometricWarnings, { source: 'CarouselSliderHelper' });
 
             console.log(`[CarouselSliderHelper] Interaction complete. ${screenshots.length} screenshots captured.`);
 
@@ -1,4 +1,5 @@
 const { WidgetDetector } = require('../widgetDetector');
+const EdgeSentinel = require('./edgeSentinel');
 
 class CompanyLogoSliderHelper {
     /**
@@ -8,8 +9,10 @@ class CompanyLogoSliderHelper {
      * 3. Wait for ACTUAL modal (.custom-modal).
      * 4. Capture expanded state.
      * 5. Close and repeat for multiple logos.
+     *
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      */
-    static async interact(context, locator) {
+    static async interact(context, locator, geometricWarnings = []) {
         const page = context.page || context;
         const screenshotBuffers = [];
 
@@ -45,6 +48,11 @@ class CompanyLogoSliderHelper {
             console.log(`[LogoSliderHelper] Found ${count} unique logos.`);
             if (count === 0) throw new Error("No clickable logos found.");
 
+            // The track is unlocked to overflow sideways, so only a top/bottom cut is a defect
+            await EdgeSentinel.report(page, itemSel, geometricWarnings, {
+                source: 'CompanyLogoSliderHelper', edges: ['top', 'bottom'], severity: 'WARN', label: 'Logo'
+            });
+
             // Target all unique logos (capped at 10 for performance, but satisfying 7+ requirement)
             const targetIndices = Array.from({ length: Math.min(count, 10) }, (_, i) => i);
 
@@ -10,6 +10,7 @@
  *   interact(context, widgetLocator, geometricWarnings)
  *   → returns screenshotBuffers[]
  */
+const GeometricWarning = require('../geometricWarning');
 
 class CrossSliderHelper {
 
@@ -93,9 +94,14 @@ class CrossSliderHelper {
 
                 if (directions.l2r && directions.r2l) {
                     console.log('[CrossSliderHelper] Cross bar detected — both L2R and R2L tracks visible.');
-                    geometricWarnings.push(
-                        "CROSS BAR DETECTED: Both diagonal marquee tracks (L2R and R2L) are visibly rendered forming an X-shape intersection."
-                    );
+                    geometricWarnings.push(new GeometricWarning({
+                        code: 'CROSS_BAR_DETECTED',
+                        severity: 'INFO',
+                        selector: '[class*="cross-slider-l2r"], [class*="cross-slider-r2l"]',
+                        measured: { l2r: directions.l2r, r2l: directions.r2l },
+                        source: 'CrossSliderHelper',
+                        message: "CROSS BAR DETECTED: Both diagonal marquee tracks (L2R and R2L) are visibly rendered forming an X-shape intersection."
+                    }));
                 } else {
                     console.log(`[CrossSliderHelper] Track status — L2R: ${directions.l2r}, R2L: ${directions.r2l}`);
                 }
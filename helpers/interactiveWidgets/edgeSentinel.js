@@ -0,0 +1,80 @@
+const GeometricWarning = require('../geometricWarning');
+
+const ALL_EDGES = ['top', 'right', 'bottom', 'left'];
+
+class EdgeSentinel {
+    /**
+     * UNIVERSAL EDGE SENTINEL: measures every on-stage element matching `selector` (shadow DOM
+     * included) against the viewport of the interaction context and reports each edge it crosses.
+     *
+     * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
+     * @param {string} selector - Elements to measure (cards, popups, logos)
+     * @param {Object} options
+     * @param {string} options.source - Helper name recorded on the warnings
+     * @param {string[]} [options.edges] - Edges to check; marquees skip the axis they scroll along
+     * @param {number} [options.tolerance] - Overflow in px that still counts as inside
+     * @param {string} [options.severity] - FAIL forces the category; WARN leaves it to the model
+     * @param {string} [options.category] - Aesthetic category (A–G)
+     * @param {string} [options.label] - Element name used in the message ("Card", "Popup", "Logo")
+     * @returns {Promise<GeometricWarning[]>}
+     */
+    static async check(context, selector, options = {}) {
+        const { source, edges = ALL_EDGES, tolerance = 5, severity = 'FAIL', category = 'A', label = 'Card' } = options;
+
+        const clips = await context.evaluate(({ sel, edges, tolerance }) => {
+            const vw = window.innerWidth;
+            const vh = window.innerHeight;
+            const found = [];
+            const scan = (root) => {
+                root.querySelectorAll(sel).forEach(el => found.push(el));
+                root.querySelectorAll('*').forEach(el => { if (el.shadowRoot) scan(el.shadowRoot); });
+            };
+            scan(document);
+
+            const results = [];
+            found.forEach((el, idx) => {
+                const r = el.getBoundingClientRect();
+                if (r.width <= 10 || r.height <= 10) return;
+                // 🛡️ ON-STAGE BUFFER: off-screen slides waiting their turn are not clipped
+                const isOnStage = r.right > 20 && r.left < vw - 20 && r.bottom > 0 && r.top < vh;
+                if (!isOnStage) return;
+
+                const overflow = { top: -r.top, right: r.right - vw, bottom: r.bottom - vh, left: -r.left };
+                edges.forEach(edge => {
+                    if (overflow[edge] > tolerance) {
+                        results.push({ edge, index: idx + 1, bleedPx: Math.round(overflow[edge]), viewport: `${vw}x${vh}` });
+                    }
+                });
+            });
+            return results;
+        }, { sel: selector, edges, tolerance }).catch(e => {
+            console.warn(`[EdgeSentinel] ${source}: edge check failed: ${e.message}`);
+            return [];
+        });
+
+        return clips.map(clip => new GeometricWarning({
+            code: `${severity === 'FAIL' ? 'FAIL_' : ''}${clip.edge.toUpperCase()}_EDGE_CLIPPED`,
+            severity,
+            category,
+            selector,
+            measured: { [label.toLowerCase()]: clip.index, bleedPx: clip.bleedPx, viewport: clip.viewport },
+            source,
+            message: `${label} ${clip.index} is CLIPPED: it bleeds ${clip.bleedPx}px past the ${clip.edge} edge of the viewport.`
+        }));
+    }
+
+    /**
+     * Runs check() and appends the results to the run's warnings, logging each one.
+     * @returns {Promise<GeometricWarning[]>} The warnings that were added
+     */
+    static async report(context, selector, geometricWarnings, options = {}) {
+        const warnings = await EdgeSentinel.check(context, selector, options);
+        warnings.forEach(w => {
+            console.log(`[SYSTEM ALERT] TRUTH DATA: ${w.toPromptLine()}`);
+            if (geometricWarnings) geometricWarnings.push(w);
+        });
+        return warnings;
+    }
+}
+
+module.exports = EdgeSentinel;
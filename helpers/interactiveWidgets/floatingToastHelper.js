@@ -1,3 +1,5 @@
+const GeometricWarning = require('../geometricWarning');
+
 class FloatingToastHelper {
     /**
      * Helper to find an element even if it's inside a Shadow DOM.
@@ -186,15 +188,23 @@ class FloatingToastHelper {
                         const vSize = page.viewportSize();
                         let edgeFail = null;
                         
-                        if (truncationCheck.distToBottom < 20) edgeFail = `FAIL_BOTTOM_EDGE_CLIPPED (Gap: ${Math.round(truncationCheck.distToBottom)}px)`;
-                        else if (rect.y < 5) edgeFail = `FAIL_TOP_EDGE_CLIPPED (y: ${Math.round(rect.y)}px)`;
-                        else if ((vSize.width - rect.right) < 10) edgeFail = `FAIL_RIGHT_EDGE_CLIPPED (Gap: ${Math.round(vSize.width - rect.right)}px)`;
-                        else if (rect.x < 5) edgeFail = `FAIL_LEFT_EDGE_CLIPPED (x: ${Math.round(rect.x)}px)`;
+                        if (truncationCheck.distToBottom < 20) edgeFail = { code: 'FAIL_BOTTOM_EDGE_CLIPPED', edge: 'bottom', measured: { gapPx: Math.round(truncationCheck.distToBottom) } };
+                        else if (rect.y < 5) edgeFail = { code: 'FAIL_TOP_EDGE_CLIPPED', edge: 'top', measured: { y: Math.round(rect.y) } };
+                        else if ((vSize.width - rect.right) < 10) edgeFail = { code: 'FAIL_RIGHT_EDGE_CLIPPED', edge: 'right', measured: { gapPx: Math.round(vSize.width - rect.right) } };
+                        else if (rect.x < 5) edgeFail = { code: 'FAIL_LEFT_EDGE_CLIPPED', edge: 'left', measured: { x: Math.round(rect.x) } };
 
                         if (edgeFail) {
-                            const msg = `TRUTH DATA: FAIL_LAYOUT_CLIPPED detected. Floating Toast popup is SLICED. Issue: ${edgeFail}.`;
-                            console.log(`[SYSTEM ALERT] ${msg}`);
-                            if (geometricWarnings) geometricWarnings.push(msg);
+                            const warning = new GeometricWarning({
+                                code: edgeFail.code,
+                                severity: 'FAIL',
+                                category: 'G',
+                                selector: expandedSelectors.join(', '),
+                                measured: edgeFail.measured,
+                                source: 'FloatingToastHelper',
+                                message: `FAIL_LAYOUT_CLIPPED detected. Floating Toast popup is SLICED at the ${edgeFail.edge} boundary.`
+                            });
+                            console.log(`[SYSTEM ALERT] ${warning.toPromptLine()}`);
+                            if (geometricWarnings) geometricWarnings.push(warning);
                         }
                     }
 
@@ -2,34 +2,27 @@
  * HorizontalScrollHelper.js
  * Programmatically verifies horizontal scroll movement and row directions.
  */
+const EdgeSentinel = require('./edgeSentinel');
+const MarqueeMotion = require('./marqueeMotion');
+
 class HorizontalScrollHelper {
     /**
      * Verifies horizontal scroll movement and row directions.
      * 
      * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
      * @param {import('playwright').Locator} widgetLocator - Locator for the marquee widget
-     * @param {Object} config - Widget configuration (includes allow_cross_scrolling_animation)
+     * @param {Object} config - Widget configuration (is_autoplay, marquee_speed, allow_cross_scrolling_animation, pause_on_hover)
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      * @returns {Promise<Object>} - Verification results
      */
-    static async interact(context, widgetLocator, config = {}) {
+    static async interact(context, widgetLocator, config = {}, geometricWarnings = []) {
         console.log('[HorizontalScrollHelper] Starting horizontal movement verification & capture...');
         const screenshots = [];
         const page = context.page ? context.page() : context;
 
         try {
-            // 🛡️ Prevent "Freezing": Move mouse to safe corner and force animations
+            // Keep the pointer off the widget: pause-on-hover would read as "stationary"
             await page.mouse.move(0, 0);
-            await page.addStyleTag({
-                content: `
-                    * { 
-                        animation-play-state: running !important; 
-                        transition-property: none !important;
-                    }
-                    *:hover { 
-                        animation-play-state: running !important; 
-                    }
-                `
-            }).catch(() => null);
 
             // Warmup: Scroll slightly to wake up rendering pipeline in headless
             await page.evaluate(() => window.scrollBy(0, 1));
@@ -98,36 +91,50 @@ class HorizontalScrollHelper {
                 }
             }
 
-            // 2️⃣ Capture Sequence (3 shots with 2s delay)
-            console.log(`[HorizontalScrollHelper] Tracking ${rowCount} rows. Proceeding with 3 capture phases...`);
+            // 2️⃣ Motion Timeline (natural state: before the styles below force animations to run)
+            let motion = [];
+            let pausesOnHover = null;
+            if (rowCount > 0) {
+                motion = await MarqueeMotion.measure(rows, 'x');
+                motion.forEach(m => console.log(`[HorizontalScrollHelper] Row ${m.rowIndex}: ${m.velocity} px/s (jitter ${m.jitter}) -> ${m.direction}`));
+                pausesOnHover = await MarqueeMotion.measureHover(page, widgetLocator, rows, 'x', motion).catch(() => null);
+            }
 
-            // Phase 1
-            const initialStates = rowCount > 0 ? await this.getPositions(rows) : null;
-            if (initialStates) this.logPositions('Initial', initialStates);
+            // 🛡️ Prevent "Freezing": force animations for the captures
+            await page.addStyleTag({
+                content: `
+                    * { 
+                        animation-play-state: running !important; 
+                        transition-property: none !important;
+                    }
+                    *:hover { 
+                        animation-play-state: running !important; 
+                    }
+                `
+            }).catch(() => null);
+
+            // 3️⃣ Capture Sequence (3 shots with 2s delay)
+            console.log(`[HorizontalScrollHelper] Tracking ${rowCount} rows. Proceeding with 3 capture phases...`);
 
             const buf1 = await widgetLocator.screenshot({ animations: 'disabled' }).catch(() => null);
             if (buf1) screenshots.push(buf1);
 
             await page.waitForTimeout(2000);
 
-            // Phase 2
-            const midStates = rowCount > 0 ? await this.getPositions(rows) : null;
-            if (midStates) this.logPositions('Midway', midStates);
-
             const buf2 = await widgetLocator.screenshot({ animations: 'disabled' }).catch(() => null);
             if (buf2) screenshots.push(buf2);
 
             await page.waitForTimeout(2000);
 
-            // Phase 3
-            const finalStates = rowCount > 0 ? await this.getPositions(rows) : null;
-            if (finalStates) this.logPositions('Final', finalStates);
-
             const buf3 = await widgetLocator.screenshot({ animations: 'disabled' }).catch(() => null);
             if (buf3) screenshots.push(buf3);
 
-            // 3️⃣ Analysis Logic - COMMENTED OUT FOR NOW
-            /*
+            // Cards scroll sideways, so only a cut along the top/bottom edge is a defect
+            await EdgeSentinel.report(context, '.feedspace-marquee-box, .feedspace-element-feed-box, .review-card, div[data-feed-id]', geometricWarnings, {
+                source: 'HorizontalScrollHelper', edges: ['top', 'bottom'], severity: 'WARN'
+            });
+
+            // 4️⃣ Compare velocity, direction, autoplay and hover with marquee_speed, is_autoplay, cross scrolling and pause_on_hover
             if (rowCount === 0) {
                 return {
                     result: { status: 'UNKNOWN', message: 'No rows identified for programmatic tracking.' },
@@ -135,102 +142,15 @@ class HorizontalScrollHelper {
                 };
             }
 
-            const crossScrollingEnabled = config.horizontal_marquee_direction === 'alter' || config.allow_cross_scrolling_animation === '1';
-            const rowResults = [];
-
-            for (let i = 0; i < rowCount; i++) {
-                const initial = initialStates[i];
-                const final = finalStates[i];
-                if (!initial || !final) continue;
-
-                let totalShift = 0;
-                let count = 0;
-                for (const id in initial) {
-                    if (final[id]) {
-                        totalShift += (final[id].x - initial[id].x);
-                        count++;
-                    }
-                }
-
-                const avgShift = count > 0 ? totalShift / count : 0;
-                const direction = avgShift > 1 ? 'RIGHT' : (avgShift < -1 ? 'LEFT' : 'STATIONARY');
-
-                rowResults.push({ rowIndex: i, avgShift: avgShift, direction: direction });
-                console.log(`[HorizontalScrollHelper] Row ${i}: Shift=${avgShift.toFixed(2)} -> ${direction}`);
-            }
-
-            let resultStatus = 'PASS';
-            let message = '';
-
-            if (rowCount >= 2) {
-                const dir1 = rowResults[0].direction;
-                const dir2 = rowResults[1].direction;
-                const areOpposite = (dir1 === 'LEFT' && dir2 === 'RIGHT') || (dir1 === 'RIGHT' && dir2 === 'LEFT');
-
-                if (crossScrollingEnabled) {
-                    message = areOpposite ? 'Opposite row movement verified.' : `Failed: Rows moving in ${dir1 === dir2 ? 'SAME' : 'INCORRECT'} direction.`;
-                    if (!areOpposite) resultStatus = 'FAIL';
-                } else {
-                    const areSame = (dir1 === dir2) && dir1 !== 'STATIONARY';
-                    message = areSame ? 'Parallel row movement verified.' : 'Movement direction discrepancy detected.';
-                    if (areOpposite) resultStatus = 'FAIL';
-                }
-            } else {
-                const row = rowResults[0];
-                if (row && row.direction === 'STATIONARY') {
-                    resultStatus = 'FAIL';
-                    message = 'No horizontal movement detected.';
-                } else {
-                    message = `Movement detected: ${row ? row.direction : 'UNKNOWN'}`;
-                }
-            }
-
-            return { result: { status: resultStatus, message, details: rowResults }, screenshots };
-            */
-
-           return { 
-               result: { 
-                   status: 'SKIPPED', 
-                   message: 'Horizontal movement check is currently disabled (commented out).' 
-               }, 
-               screenshots 
-           };
+            const result = MarqueeMotion.compare(motion, config, { directionKey: 'horizontal_marquee_direction', unit: 'row', pausesOnHover });
+            console.log(`[HorizontalScrollHelper] ${result.status}: ${result.message}`);
+            return { result, screenshots };
 
         } catch (e) {
             console.warn(`[HorizontalScrollHelper] ERROR: ${e.message}`);
             return { result: { status: 'ERROR', message: e.message }, screenshots };
         }
     }
-
-    /**
-     * Helper to log positions for debugging
-     */
-    static logPositions(label, states) {
-        states.forEach((row, i) => {
-            const xPositions = Object.values(row).map(p => Math.round(p.x)).join(', ');
-            console.log(`[HorizontalScrollHelper] ${label} positions (Row ${i}): [${xPositions}]`);
-        });
-    }
-
-    /**
-     * Gets horizontal positions of children in each row.
-     */
-    static async getPositions(rowsLocator) {
-        const rowCount = await rowsLocator.count();
-        const positions = [];
-        for (let i = 0; i < rowCount; i++) {
-            const row = rowsLocator.nth(i);
-            const children = row.locator('> *');
-            const childCount = await children.count();
-            const rowMap = {};
-            for (let j = 0; j < Math.min(5, childCount); j++) {
-                const box = await children.nth(j).boundingBox();
-                if (box) rowMap[j] = { x: box.x };
-            }
-            positions.push(rowMap);
-        }
-        return positions;
-    }
 }
 
 module.exports = HorizontalScrollHelper;
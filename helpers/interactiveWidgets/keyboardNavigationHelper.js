@@ -0,0 +1,299 @@
+const BrowserDom = require('../browserDom');
+
+const POPUP_SELECTORS = '.feedspace-avatar-review-popup, .fe-review-box, .fe-modal-content';
+const SLIDER_TYPES = ['CAROUSEL_SLIDER', 'AVATAR_CAROUSEL', 'SINGLE_SLIDER', 'AVATAR_SLIDER'];
+const POPUP_TYPES = ['AVATAR_GROUP'];
+const MAX_RING_STOPS = 3;
+const MAX_POPUP_STOPS = 10;
+const REMARK = 'Keyboard pass (Playwright, independent of the AI verdict)';
+
+// Styles a focus indicator can change; compared focused vs. blurred
+const RING_STYLES = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderColor', 'backgroundColor', 'textDecorationLine'];
+
+class KeyboardNavigationHelper {
+    /**
+     * Keyboard operability pass for sliders and review popups. Runs after the storyboard, so the
+     * slides it moves and the popups it opens never reach the AI screenshots.
+     *
+     * Steps (each one feature result with its screenshots):
+     *   Keyboard Focus Entry        - Tab from just before the widget lands inside it
+     *   Visible Focus Indicator     - the first tab stops change outline/box-shadow/colors when focused
+     *   Arrow Key Slide Navigation  - ArrowRight moves the slides (sliders), ArrowLeft brings them back
+     *   Keyboard Open Review Popup  - Enter on a tab stop opens a review popup
+     *   Keyboard Close Review Popup - Escape closes it again
+     * If the pass aborts (evaluate timeout, page closed), the steps done so far are kept and a
+     * "Keyboard Navigation" ERROR / "Not Verified" result is added; it never flips overall_status.
+     *
+     * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
+     * @param {import('playwright').Locator} widgetLocator - Widget on the page (the <iframe> when the widget is framed)
+     * @param {string} widgetType - Normalized widget type
+     * @returns {Promise<Object[]>} feature_results entries; `screenshots` holds Buffers until they are saved
+     */
+    static async verify(context, widgetLocator, widgetType) {
+        const isSlider = SLIDER_TYPES.includes(widgetType);
+        const isPopupWidget = POPUP_TYPES.includes(widgetType);
+        if (!widgetLocator || (!isSlider && !isPopupWidget)) return [];
+
+        console.log(`[KeyboardNavigationHelper] ⌨️ Starting keyboard pass for ${widgetType}...`);
+        const page = context.page ? context.page() : context;
+        const root = context === page ? widgetLocator : context.locator('body');
+        const results = [];
+
+        try {
+            // 1️⃣ Tab into the widget: start just before it, then let Tab pick its first tab stop
+            await KeyboardNavigationHelper.focusStart(widgetLocator);
+            await page.keyboard.press('Tab');
+            await page.waitForTimeout(300);
+
+            const entered = await KeyboardNavigationHelper.isFocusInside(widgetLocator);
+            const entry = await KeyboardNavigationHelper.focusedElement(context);
+            results.push(KeyboardNavigationHelper.result('Keyboard Focus Entry', entered ? 'PASS' : 'FAIL',
+                entered ? `Focused ${entry.label}` : 'Not reachable',
+                'Tab reaches the widget',
+                entered
+                    ? `Tab moved focus into the widget (${entry.label}).`
+                    : `Tab skipped the widget: focus went to ${entry.label || 'nothing'}. Keyboard users cannot reach it.`,
+                entered ? [await KeyboardNavigationHelper.focusShot(page, entry.handle)].filter(Boolean) : []));
+
+            if (!entered) {
+                if (isSlider) results.push(KeyboardNavigationHelper.result('Arrow Key Slide Navigation', 'FAIL', 'Not reachable', 'Arrow keys change the slide', 'The widget never receives keyboard focus, so arrow keys cannot move it.'));
+                if (isPopupWidget) results.push(KeyboardNavigationHelper.result('Keyboard Open Review Popup', 'FAIL', 'Not reachable', 'Enter opens the review popup', 'The widget never receives keyboard focus, so Enter cannot open a popup.'));
+                return results;
+            }
+
+            // 2️⃣ Focus rings on the first tab stops
+            results.push(await KeyboardNavigationHelper.checkFocusRings(page, context, widgetLocator));
+
+            // 3️⃣ Arrow keys (sliders)
+            if (isSlider) {
+                await entry.handle.focus().catch(() => { });
+                results.push(await KeyboardNavigationHelper.checkArrowKeys(page, root));
+            }
+
+            // 4️⃣ Enter / Escape on review popups
+            await KeyboardNavigationHelper.focusStart(widgetLocator);
+            results.push(...await KeyboardNavigationHelper.checkPopup(page, context, widgetLocator, isPopupWidget));
+        } catch (e) {
+            console.warn(`[KeyboardNavigationHelper] ⚠️ Keyboard pass aborted: ${e.message}`);
+            // Infrastructure error, not a verdict on the widget: never flips overall_status
+            results.push(KeyboardNavigationHelper.result('Keyboard Navigation', 'ERROR', 'Not Verified', 'Keyboard pass completes', `Keyboard pass aborted: ${e.message}`));
+        } finally {
+            await page.keyboard.press('Escape').catch(() => { });
+        }
+
+        const failed = results.filter(r => r.status === 'FAIL').map(r => r.feature);
+        const aborted = results.some(r => r.status === 'ERROR');
+        console.log(`[KeyboardNavigationHelper] ${failed.length ? `❌ ${failed.join(', ')}` : (aborted ? '⚠️ No keyboard check failed before the pass aborted' : '✅ All keyboard checks passed')}.`);
+        return results;
+    }
+
+    static async checkFocusRings(page, context, widgetLocator) {
+        const stops = [];
+        const screenshots = [];
+        for (let i = 0; i < MAX_RING_STOPS; i++) {
+            if (i > 0) {
+                await page.keyboard.press('Tab');
+                await page.waitForTimeout(200);
+                if (!await KeyboardNavigationHelper.isFocusInside(widgetLocator)) break;
+            }
+            const focused = await KeyboardNavigationHelper.focusedElement(context);
+            if (!focused.handle) break;
+            const shot = await KeyboardNavigationHelper.focusShot(page, focused.handle);
+            if (shot) screenshots.push(shot);
+
+            // Same element without focus: any difference is the focus indicator
+            const blurred = await focused.handle.evaluate((el, props) => {
+                el.blur();
+                const style = window.getComputedStyle(el);
+                return Object.fromEntries(props.map(p => [p, style[p]]));
+            }, RING_STYLES);
+            await focused.handle.focus();
+            const changed = RING_STYLES.filter(p => focused.styles[p] !== blurred[p]);
+            const hasOutline = focused.styles.outlineStyle !== 'none' && parseFloat(focused.styles.outlineWidth) > 0;
+            stops.push({ label: focused.label, visible: changed.length > 0 && (hasOutline || changed.some(p => p !== 'outlineColor')), changed });
+        }
+
+        const missing = stops.filter(s => !s.visible);
+        return KeyboardNavigationHelper.result('Visible Focus Indicator', missing.length ? 'FAIL' : 'PASS',
+            `${stops.length - missing.length} of ${stops.length} tab stop(s) show focus`,
+            'Every focused element shows a focus ring',
+            missing.length
+                ? `No visible focus indicator on ${missing.map(s => s.label).join(', ')}.`
+                : `Focus is visible on ${stops.map(s => `${s.label} (${s.changed.join(', ')})`).join('; ')}.`,
+            screenshots);
+    }
+
+    static async checkArrowKeys(page, root) {
+        const before = await KeyboardNavigationHelper.slideSignature(root);
+        await page.waitForTimeout(800);
+        const idle = await KeyboardNavigationHelper.slideSignature(root);
+        const beforeShot = await root.screenshot({ animations: 'disabled' }).catch(() => null);
+
+        if (before !== idle) {
+            return KeyboardNavigationHelper.result('Arrow Key Slide Navigation', 'Not Applicable', 'Autoplaying',
+                'Arrow keys change the slide', 'Slides move on their own (autoplay), so the effect of the arrow keys cannot be isolated.',
+                [beforeShot].filter(Boolean));
+        }
+
+        await page.keyboard.press('ArrowRight');
+        await page.waitForTimeout(800);
+        const afterRight = await KeyboardNavigationHelper.slideSignature(root);
+        const rightShot = await root.screenshot({ animations: 'disabled' }).catch(() => null);
+        const movedRight = afterRight !== idle;
+
+        let movedBack = false;
+        if (movedRight) {
+            await page.keyboard.press('ArrowLeft');
+            await page.waitForTimeout(800);
+            movedBack = (await KeyboardNavigationHelper.slideSignature(root)) !== afterRight;
+        }
+
+        return KeyboardNavigationHelper.result('Arrow Key Slide Navigation', movedRight ? 'PASS' : 'FAIL',
+            movedRight ? (movedBack ? 'Right and Left' : 'Right only') : 'No movement',
+            'Arrow keys change the slide',
+            movedRight
+                ? `ArrowRight advanced the slides${movedBack ? ' and ArrowLeft moved them back' : '; ArrowLeft did not move them back'}.`
+                : 'ArrowRight did not move the slides while the widget had focus.',
+            [beforeShot, rightShot].filter(Boolean));
+    }
+
+    static async checkPopup(page, context, widgetLocator, required) {
+        const popup = context.locator(POPUP_SELECTORS).filter({ visible: true }).first();
+        let opened = null;
+
+        for (let i = 0; i < MAX_POPUP_STOPS && !opened; i++) {
+            await page.keyboard.press('Tab');
+            await page.waitForTimeout(200);
+            if (!await KeyboardNavigationHelper.isFocusInside(widgetLocator)) break;
+            const focused = await KeyboardNavigationHelper.focusedElement(context);
+            // Enter on a real link would navigate away from the widget
+            if (focused.navigates) continue;
+
+            await page.keyboard.press('Enter');
+            await page.waitForTimeout(800);
+            if (await popup.isVisible().catch(() => false)) opened = focused;
+        }
+
+        if (!opened) {
+            return [KeyboardNavigationHelper.result('Keyboard Open Review Popup', required ? 'FAIL' : 'Not Applicable',
+                required ? 'Not opened' : 'No popup',
+                'Enter opens the review popup',
+                required
+                    ? 'Enter on the widget\'s tab stops never opened a review popup.'
+                    : 'No review popup opened from the keyboard; the widget may not have one.')];
+        }
+
+        const openShot = await popup.screenshot({ animations: 'disabled' }).catch(() => null);
+        const focusInPopup = await popup.evaluate(el => {
+            let active = document.activeElement;
+            while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement;
+            return el.contains(active);
+        }).catch(() => false);
+
+        await page.keyboard.press('Escape');
+        await page.waitForTimeout(600);
+        const closed = !await popup.isVisible().catch(() => false);
+        const closedShot = await page.screenshot({ animations: 'disabled' }).catch(() => null);
+
+        return [
+            KeyboardNavigationHelper.result('Keyboard Open Review Popup', 'PASS', 'Opened',
+                'Enter opens the review popup',
+                `Enter on ${opened.label} opened the review popup${focusInPopup ? ' and moved focus into it' : ' (focus stayed outside the popup)'}.`,
+                [openShot].filter(Boolean)),
+            KeyboardNavigationHelper.result('Keyboard Close Review Popup', closed ? 'PASS' : 'FAIL',
+                closed ? 'Closed' : 'Still open',
+                'Escape closes the review popup',
+                closed ? 'Escape closed the review popup.' : 'The review popup stayed open after Escape.',
+                [closedShot].filter(Boolean))
+        ];
+    }
+
+    /**
+     * Makes the widget root the sequential focus starting point, so the next Tab lands on its first tab stop.
+     */
+    static async focusStart(widgetLocator) {
+        await widgetLocator.evaluate(el => {
+            const hadTabindex = el.hasAttribute('tabindex');
+            if (!hadTabindex) el.setAttribute('tabindex', '-1');
+            el.focus({ preventScroll: true });
+            if (!hadTabindex) el.removeAttribute('tabindex');
+        });
+    }
+
+    /**
+     * True when the focused element (through shadow roots) is the widget or inside it.
+     */
+    static async isFocusInside(widgetLocator) {
+        return widgetLocator.evaluate(el => {
+            if (el.tagName === 'IFRAME') return document.activeElement === el;
+            let active = document.activeElement;
+            while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement;
+            for (let node = active; node; node = node.parentElement || (node.getRootNode() instanceof ShadowRoot ? node.getRootNode().host : null)) {
+                if (node === el) return true;
+            }
+            return false;
+        }).catch(() => false);
+    }
+
+    /**
+     * Deepest focused element of the context with its label and focus-relevant styles.
+     */
+    static async focusedElement(context) {
+        const handle = await context.evaluateHandle(() => {
+            let active = document.activeElement;
+            while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement;
+            return active === document.body ? null : active;
+        }).catch(() => null);
+        const element = handle ? handle.asElement() : null;
+        if (!element) return { handle: null, label: '', styles: {}, navigates: false };
+
+        const info = await element.evaluate((el, props) => {
+            const style = window.getComputedStyle(el);
+            const cls = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+            const name = (el.getAttribute('aria-label') || el.textContent || '').trim().substring(0, 30);
+            const href = el.tagName === 'A' ? (el.getAttribute('href') || '') : '';
+            return {
+                label: `${el.tagName.toLowerCase()}${cls.length ? `.${cls.join('.')}` : ''}${name ? ` "${name}"` : ''}`,
+                styles: Object.fromEntries(props.map(p => [p, style[p]])),
+                navigates: Boolean(href) && !href.startsWith('#') && !href.startsWith('javascript:')
+            };
+        }, RING_STYLES);
+        return { handle: element, ...info };
+    }
+
+    /**
+     * Screenshot around the focused element, with room for an outline drawn outside its box.
+     */
+    static async focusShot(page, handle) {
+        const box = handle ? await handle.boundingBox().catch(() => null) : null;
+        if (!box || box.width === 0 || box.height === 0) return null;
+        const viewport = page.viewportSize() || { width: 1920, height: 1080 };
+        const pad = 12;
+        const x = Math.max(0, box.x - pad);
+        const y = Math.max(0, box.y - pad);
+        const width = Math.min(box.width + pad * 2, viewport.width - x);
+        const height = Math.min(box.height + pad * 2, viewport.height - y);
+        if (width <= 0 || height <= 0) return null;
+        return page.screenshot({ clip: { x, y, width, height }, animations: 'disabled' }).catch(() => null);
+    }
+
+    /**
+     * Positions of slides/cards and scroll offsets inside the widget; changes when a slide moves.
+     */
+    static async slideSignature(root) {
+        return BrowserDom.install(root).then(() => root.evaluate(el => {
+            const found = window.__feedspaceDom.deepElements(el, { includeRoot: false });
+            const slides = found.filter(n => /slide|card|item/i.test(typeof n.className === 'string' ? n.className : '')).slice(0, 50);
+            return [
+                ...slides.map(n => Math.round(n.getBoundingClientRect().left)),
+                ...found.filter(n => n.scrollLeft > 0).map(n => `s${Math.round(n.scrollLeft)}`)
+            ].join(',');
+        })).catch(() => '');
+    }
+
+    static result(feature, status, uiStatus, expected, issue, screenshots = []) {
+        return { feature, ui_status: uiStatus, config_status: expected, status, issue, remarks: REMARK, screenshots };
+    }
+}
+
+module.exports = KeyboardNavigationHelper;
@@ -0,0 +1,251 @@
+/**
+ * marqueeMotion.js
+ * Shared motion measurement for the marquee helpers: a dense position timeline per row/column
+ * (or per card, for ReducedMotionHelper), reduced to velocity, jitter, direction and
+ * pause-on-hover, then compared with the widget config.
+ */
+const BrowserDom = require('../browserDom');
+
+const TIMELINE_MS = 3000;
+const HOVER_MS = 1500;
+const STEP_MS = 100;
+const MAX_CHILDREN = 5;
+const MAX_CARDS = 12;
+const MAX_JUMP_PX = 300;   // Per step; larger jumps are the marquee looping back, not motion
+const STATIONARY_PX_PER_S = 2;
+
+const DIRECTIONS = {
+    x: { index: 0, negative: 'LEFT', positive: 'RIGHT' },
+    y: { index: 1, negative: 'UP', positive: 'DOWN' }
+};
+
+/**
+ * Browser-side sampler: [left, top] of every tracked element, every `stepMs`.
+ * `track: 'rows'` follows the first children of each matched row as one group per row;
+ * `track: 'cards'` follows each visible card under the first matched root as its own group
+ * (BrowserDom helpers installed first).
+ */
+async function sampleTimeline(matched, { track, cardSelectors, durationMs, stepMs, maxTracked }) {
+    let groups;
+    if (track === 'cards') {
+        const { deepElements, isShown } = window.__feedspaceDom;
+        const root = matched[0];
+        const cardSel = cardSelectors.join(', ');
+        let cards = deepElements(root, { includeRoot: false }).filter(el => el.matches(cardSel) && isShown(el, 4));
+        if (cards.length === 0) cards = [...(root.shadowRoot || root).children].filter(el => isShown(el, 4));
+        groups = cards.slice(0, maxTracked).map(card => [card]);
+    } else {
+        groups = matched.map(row => [...row.children].slice(0, maxTracked));
+    }
+    const read = () => groups.map(group => group.map(el => {
+        const r = el.getBoundingClientRect();
+        return [r.left, r.top];
+    }));
+
+    const samples = [];
+    const start = performance.now();
+    while (true) {
+        samples.push({ t: performance.now() - start, positions: read() });
+        if (performance.now() - start >= durationMs) break;
+        await new Promise(resolve => setTimeout(resolve, stepMs));
+    }
+    return samples;
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+class MarqueeMotion {
+    /**
+     * Samples the rows for `durationMs` and returns one motion summary per row (along `axis`).
+     *
+     * @param {import('playwright').Locator} rowsLocator - Rows (horizontal) or columns (vertical)
+     * @param {'x'|'y'} axis - Scroll axis
+     * @param {number} [durationMs]
+     * @returns {Promise<Object[]>} { rowIndex, velocity, speed, jitter, direction, steps } per row
+     */
+    static async measure(rowsLocator, axis, durationMs = TIMELINE_MS) {
+        const samples = await rowsLocator.evaluateAll(sampleTimeline, {
+            track: 'rows', durationMs, stepMs: STEP_MS, maxTracked: MAX_CHILDREN
+        });
+        const rowCount = samples[0]?.positions.length || 0;
+        return Array.from({ length: rowCount }, (_, rowIndex) => MarqueeMotion.summarize(samples, rowIndex, axis));
+    }
+
+    /**
+     * Median card speed (px/s) under `root`, along whichever axis each card moves most.
+     *
+     * @param {import('playwright').Locator} root - Widget root (or the iframe body)
+     * @param {string[]} cardSelectors
+     * @param {number} durationMs
+     * @returns {Promise<{elements: number, speed: number, speeds: number[]}>}
+     */
+    static async measureCards(root, cardSelectors, durationMs) {
+        await BrowserDom.install(root);
+        const samples = await root.evaluateAll(sampleTimeline, {
+            track: 'cards', cardSelectors, durationMs, stepMs: STEP_MS, maxTracked: MAX_CARDS
+        });
+        const cardCount = samples[0]?.positions.length || 0;
+        const speeds = Array.from({ length: cardCount }, (_, i) =>
+            Math.max(MarqueeMotion.summarize(samples, i, 'x').speed, MarqueeMotion.summarize(samples, i, 'y').speed));
+        return { elements: cardCount, speed: median(speeds), speeds };
+    }
+
+    /**
+     * Velocity (signed px/s, mean over the timeline), jitter (standard deviation of the per-step
+     * velocity in px/s) and direction of one row. Loop-back jumps are left out.
+     */
+    static summarize(samples, rowIndex, axis) {
+        const names = DIRECTIONS[axis];
+        const stepVelocities = [];
+        let distance = 0;
+        let seconds = 0;
+
+        for (let i = 1; i < samples.length; i++) {
+            const prev = samples[i - 1].positions[rowIndex] || [];
+            const next = samples[i].positions[rowIndex] || [];
+            const deltas = next
+                .map((pos, c) => prev[c] ? pos[names.index] - prev[c][names.index] : NaN)
+                .filter(d => Number.isFinite(d) && Math.abs(d) <= MAX_JUMP_PX);
+            const dt = (samples[i].t - samples[i - 1].t) / 1000;
+            if (deltas.length === 0 || dt <= 0) continue;
+
+            const delta = deltas.reduce((sum, d) => sum + d, 0) / deltas.length;
+            stepVelocities.push(delta / dt);
+            distance += delta;
+            seconds += dt;
+        }
+
+        const velocity = seconds > 0 ? distance / seconds : 0;
+        const mean = stepVelocities.reduce((sum, v) => sum + v, 0) / (stepVelocities.length || 1);
+        const variance = stepVelocities.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (stepVelocities.length || 1);
+        const direction = velocity > STATIONARY_PX_PER_S ? names.positive
+            : (velocity < -STATIONARY_PX_PER_S ? names.negative : 'STATIONARY');
+
+        return {
+            rowIndex,
+            velocity: round(velocity),
+            speed: round(Math.abs(velocity)),
+            jitter: round(Math.sqrt(variance)),
+            direction,
+            steps: stepVelocities.length
+        };
+    }
+
+    /**
+     * Hovers the widget and reports whether every row stops. Null when nothing was moving to begin with.
+     * The pointer is parked at (0, 0) again afterwards.
+     */
+    static async measureHover(page, widgetLocator, rowsLocator, axis, baseline) {
+        if (!baseline.some(row => row.direction !== 'STATIONARY')) return null;
+        try {
+            await widgetLocator.hover({ timeout: 5000 });
+            const hovered = await MarqueeMotion.measure(rowsLocator, axis, HOVER_MS);
+            return hovered.every(row => row.direction === 'STATIONARY');
+        } finally {
+            await page.mouse.move(0, 0).catch(() => { });
+        }
+    }
+
+    /**
+     * Expected motion from the widget config.
+     *   is_autoplay                      - "0" expects a stationary widget; anything else expects movement
+     *   marquee_speed                    - expected speed in px/s = marquee_speed × MARQUEE_SPEED_PX_PER_UNIT
+     *                                      (default 1, i.e. marquee_speed is px/s; 0 = do not compare speed)
+     *   allow_cross_scrolling_animation  - "1" (or `directionKey` = "alter") expects adjacent rows to move opposite ways
+     *   pause_on_hover                   - "1" expects every row to stop on hover, "0" expects it to keep moving;
+     *                                      absent = not compared
+     */
+    static expectations(config = {}, directionKey) {
+        const autoplay = String(config.is_autoplay ?? '1') !== '0';
+        const configured = parseFloat(config.marquee_speed);
+        const pxPerUnit = parseFloat(process.env.MARQUEE_SPEED_PX_PER_UNIT || '1');
+        const pauseOnHover = config.pause_on_hover ?? null;
+        return {
+            autoplay,
+            marqueeSpeed: config.marquee_speed ?? null,
+            speed: autoplay && configured > 0 && pxPerUnit > 0 ? round(configured * pxPerUnit) : null,
+            cross: config[directionKey] === 'alter' || config.allow_cross_scrolling_animation === '1',
+            pauseOnHover: pauseOnHover === null ? null : String(pauseOnHover) === '1'
+        };
+    }
+
+    /**
+     * Compares the measured rows with the config expectations. An autoplay, direction, speed or
+     * pause-on-hover mismatch fails the animation feature; jitter is reported but never fails it.
+     * The median speed of the moving rows may be off the expected speed by MARQUEE_SPEED_TOLERANCE
+     * (a fraction, default 0.35 = ±35%).
+     *
+     * @param {Object[]} rows - MarqueeMotion.measure() output
+     * @param {Object} config - Widget configuration
+     * @param {Object} options
+     * @param {string} options.directionKey - Config key holding "alter" for cross scrolling
+     * @param {string} options.unit - "row" or "column" (messages)
+     * @param {boolean|null} [options.pausesOnHover] - MarqueeMotion.measureHover() output
+     * @returns {{status: string, message: string, ui_status: string, config_status: string, details: Object}}
+     */
+    static compare(rows, config, { directionKey, unit, pausesOnHover = null }) {
+        const expected = MarqueeMotion.expectations(config, directionKey);
+        const tolerance = parseFloat(process.env.MARQUEE_SPEED_TOLERANCE || '0.35');
+        const moving = rows.filter(row => row.direction !== 'STATIONARY');
+        const measuredSpeed = round(median(moving.map(row => row.speed)));
+        const label = unit.charAt(0).toUpperCase() + unit.slice(1);
+        const mismatches = [];
+
+        if (expected.autoplay && moving.length === 0) {
+            mismatches.push(`No ${unit} moves although autoplay is on.`);
+        } else if (!expected.autoplay && moving.length > 0) {
+            mismatches.push(`${moving.length} ${unit}(s) move although is_autoplay is "0".`);
+        }
+
+        if (expected.speed && moving.length > 0) {
+            const deviation = Math.abs(measuredSpeed - expected.speed) / expected.speed;
+            if (deviation > tolerance) {
+                mismatches.push(`Speed ${measuredSpeed} px/s is ${Math.round(deviation * 100)}% off marquee_speed ${expected.marqueeSpeed} (${expected.speed} px/s, allowed ±${Math.round(tolerance * 100)}%).`);
+            }
+        }
+
+        if (rows.length >= 2 && moving.length > 0) {
+            for (let i = 1; i < rows.length; i++) {
+                const [a, b] = [rows[i - 1].direction, rows[i].direction];
+                const opposite = a !== 'STATIONARY' && b !== 'STATIONARY' && a !== b;
+                if (expected.cross && !opposite) {
+                    mismatches.push(`${label} ${i - 1} (${a}) and ${unit} ${i} (${b}) should move in opposite directions (cross scrolling on).`);
+                } else if (!expected.cross && opposite) {
+                    mismatches.push(`${label} ${i - 1} (${a}) and ${unit} ${i} (${b}) move in opposite directions (cross scrolling off).`);
+                }
+            }
+        }
+
+        if (expected.pauseOnHover !== null && pausesOnHover !== null && pausesOnHover !== expected.pauseOnHover) {
+            mismatches.push(expected.pauseOnHover
+                ? 'Keeps moving on hover although pause_on_hover is "1".'
+                : 'Stops on hover although pause_on_hover is "0".');
+        }
+
+        const uiStatus = rows.map(row => row.direction === 'STATIONARY' ? 'Stationary' : `${row.direction} ${row.speed} px/s`).join(' / ');
+        const hoverExpectation = expected.pauseOnHover === null ? '' : `, ${expected.pauseOnHover ? 'pauses' : 'keeps moving'} on hover`;
+        const configStatus = !expected.autoplay ? 'No autoplay'
+            : `Autoplay${expected.speed ? ` ${expected.speed} px/s` : ''}, ${expected.cross ? 'opposite' : 'same'} direction${hoverExpectation}`;
+        const jitter = rows.map(row => row.jitter).join(' / ');
+        const hover = pausesOnHover === null ? '' : ` Pauses on hover: ${pausesOnHover ? 'yes' : 'no'}.`;
+
+        return {
+            status: mismatches.length > 0 ? 'FAIL' : 'PASS',
+            message: mismatches.length > 0
+                ? `${mismatches.join(' ')} Jitter: ${jitter} px/s.${hover}`
+                : `Motion matches the config (${uiStatus}). Jitter: ${jitter} px/s.${hover}`,
+            ui_status: uiStatus || 'Not tracked',
+            config_status: configStatus,
+            details: { rows, expected, measuredSpeed, tolerance, pausesOnHover, mismatches }
+        };
+    }
+}
+
+MarqueeMotion.STATIONARY_PX_PER_S = STATIONARY_PX_PER_S;
+
+module.exports = MarqueeMotion;
@@ -1,13 +1,20 @@
 const { WidgetDetector } = require('../widgetDetector');
+const EdgeSentinel = require('./edgeSentinel');
 
 class MasonryHelper {
     /**
      * Masonry Interaction Delegate:
      * Logic is centralized in PlaywrightHelper._handleLoadMoreLoop 
      * to provide a consistent 4-shot storyboard across all widgets.
+     * Only the edge sentinel runs here; the grid grows downwards, so only left/right cuts count.
+     *
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      */
-    static async interact(context, locator) {
+    static async interact(context, locator, geometricWarnings = []) {
         console.log("[MasonryHelper] Centralized pagination active. Skipping internal loop.");
+        await EdgeSentinel.report(context, '.feedspace-element-feed-box, .feedspace-review-card, div[data-feed-id]', geometricWarnings, {
+            source: 'MasonryHelper', edges: ['left', 'right'], severity: 'WARN'
+        });
         return []; 
     }
 }
@@ -0,0 +1,101 @@
+const DomRuleEngine = require('../domRuleEngine');
+const MarqueeMotion = require('./marqueeMotion');
+
+const MARQUEE_TYPES = ['MARQUEE_LEFTRIGHT', 'MARQUEE_UPDOWN', 'MARQUEE_STRIPE', 'STRIP_SLIDER', 'CROSS_SLIDER'];
+const FEATURE = 'Reduced Motion Respected';
+const EXPECTED = 'Stops or slows under prefers-reduced-motion';
+const SAMPLE_MS = 2000;
+const SETTLE_MS = 500;
+const REMARK = 'Reduced-motion check (Playwright, independent of the AI verdict)';
+
+class ReducedMotionHelper {
+    /**
+     * Emulates `prefers-reduced-motion: reduce` and checks whether a marquee stops or slows its
+     * autoplay. Runs before the marquee helpers, whose injected styles force or freeze animations.
+     *
+     * The card speed is sampled with no preference, then again after switching to `reduce` on the
+     * live page (CSS media queries and matchMedia listeners react; scripts that read the setting
+     * only at start-up count as not respecting it).
+     *   PASS           - stops (< 2 px/s) or slows to REDUCED_MOTION_MAX_RATIO of the baseline (default 0.5)
+     *   FAIL           - keeps moving faster than that
+     *   Not Applicable - the widget does not move in the first place
+     *   ERROR          - the check aborted (evaluate timeout, page closed); "Not Verified", run status unchanged
+     *
+     * REDUCED_MOTION_CHECK=off skips the check.
+     *
+     * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
+     * @param {import('playwright').Locator} widgetLocator - Widget on the page (the <iframe> when the widget is framed)
+     * @param {string} widgetType - Normalized widget type
+     * @returns {Promise<Object[]>} feature_results entries; `screenshots` holds Buffers until they are saved
+     */
+    static async verify(context, widgetLocator, widgetType) {
+        if (!widgetLocator || !MARQUEE_TYPES.includes(widgetType)) return [];
+        if ((process.env.REDUCED_MOTION_CHECK || 'on').toLowerCase() === 'off') return [];
+
+        console.log(`[ReducedMotionHelper] 🐢 Checking prefers-reduced-motion for ${widgetType}...`);
+        const page = context.page ? context.page() : context;
+        const root = context === page ? widgetLocator : context.locator('body');
+        const maxRatio = parseFloat(process.env.REDUCED_MOTION_MAX_RATIO || '0.5');
+
+        try {
+            // Keep the pointer off the widget: pause-on-hover would read as "stopped"
+            await page.mouse.move(0, 0);
+            await page.emulateMedia({ reducedMotion: 'no-preference' });
+            const baseline = await ReducedMotionHelper.measure(root);
+
+            if (baseline.speed < MarqueeMotion.STATIONARY_PX_PER_S) {
+                return [ReducedMotionHelper.result('Not Applicable', 'Not animating', `The widget does not move without reduced motion (${baseline.speed} px/s over ${baseline.elements} card(s)), so there is no autoplay to reduce.`, { baseline })];
+            }
+
+            await page.emulateMedia({ reducedMotion: 'reduce' });
+            await page.waitForTimeout(SETTLE_MS);
+            const reduced = await ReducedMotionHelper.measure(root);
+            const shot = await widgetLocator.screenshot({ timeout: 10000 }).catch(() => null);
+
+            const ratio = Math.round((reduced.speed / baseline.speed) * 100) / 100;
+            const percent = Math.round(ratio * 100);
+            const stopped = reduced.speed < MarqueeMotion.STATIONARY_PX_PER_S;
+            const slowed = ratio <= maxRatio;
+            const measured = { baseline, reduced, ratio, maxRatio };
+
+            let result;
+            if (stopped) {
+                result = ReducedMotionHelper.result('PASS', 'Stops', `Autoplay stops under prefers-reduced-motion: reduce (${baseline.speed} → ${reduced.speed} px/s).`, measured, [shot]);
+            } else if (slowed) {
+                result = ReducedMotionHelper.result('PASS', `Slows to ${percent}%`, `Autoplay slows under prefers-reduced-motion: reduce (${baseline.speed} → ${reduced.speed} px/s).`, measured, [shot]);
+            } else {
+                result = ReducedMotionHelper.result('FAIL', `Keeps moving (${percent}%)`, `Autoplay ignores prefers-reduced-motion: reduce (${baseline.speed} → ${reduced.speed} px/s, allowed ≤ ${Math.round(maxRatio * 100)}%). Users who ask for less motion still get a moving marquee.`, measured, [shot]);
+            }
+            console.log(`[ReducedMotionHelper] ${result.status === 'PASS' ? '✅' : '❌'} ${result.ui_status}: ${baseline.speed} → ${reduced.speed} px/s.`);
+            return [result];
+        } catch (e) {
+            console.warn(`[ReducedMotionHelper] ⚠️ Reduced-motion check aborted: ${e.message}`);
+            // Infrastructure error, not a verdict on the widget: never flips overall_status
+            return [ReducedMotionHelper.result('ERROR', 'Not Verified', `Reduced-motion check aborted: ${e.message}`)];
+        } finally {
+            await page.emulateMedia({ reducedMotion: 'no-preference' }).catch(() => { });
+        }
+    }
+
+    /**
+     * Median card speed of the widget in px/s (MarqueeMotion's sampler, one track per card).
+     */
+    static async measure(root) {
+        return MarqueeMotion.measureCards(root, DomRuleEngine.SELECTORS.cards, SAMPLE_MS);
+    }
+
+    static result(status, uiStatus, issue, measured, screenshots = []) {
+        return {
+            feature: FEATURE,
+            ui_status: uiStatus,
+            config_status: EXPECTED,
+            status,
+            issue,
+            remarks: REMARK,
+            ...(measured ? { measured } : {}),
+            screenshots: screenshots.filter(Boolean)
+        };
+    }
+}
+
+module.exports = ReducedMotionHelper;
@@ -1,9 +1,15 @@
+const EdgeSentinel = require('./edgeSentinel');
+
 class StripSliderHelper {
     /**
      * Interact with Strip Slider (Marquee Stripe) widgets.
      * Clicks review cards to open popups and captures high-res screenshots.
+     *
+     * @param {import('playwright').Page|import('playwright').Frame} context - Playwright context
+     * @param {import('playwright').Locator} widgetLocator - The parent widget container
+     * @param {GeometricWarning[]} geometricWarnings - Array to collect truth-data warnings
      */
-    static async interact(context, widgetLocator, captureCallback) {
+    static async interact(context, widgetLocator, geometricWarnings = []) {
         console.log('[StripSliderHelper] Starting interactive stripe/marquee validation...');
         const screenshots = [];
         const page = context.page ? context.page() : context;
@@ -46,6 +52,11 @@ class StripSliderHelper {
             const allCards = await cardLocator.all();
             console.log(`[StripSliderHelper] Identified ${allCards.length} visible elements matching card selectors.`);
 
+            // Cards scroll sideways, so only a cut along the top/bottom edge is a defect
+            await EdgeSentinel.report(context, cardSelectors.join(', '), geometricWarnings, {
+                source: 'StripSliderHelper', edges: ['top', 'bottom'], severity: 'WARN'
+            });
+
             let targetsToClick = [];
             const seenIds = new Set();
             const MAX_CAPTURES = 6;
@@ -115,6 +126,9 @@ class StripSliderHelper {
                         // ENSURE FULL VISIBILITY: Scroll the popup itself into the center of the viewport
                         await popup.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => { });
                         await context.waitForTimeout(500);
+                        await EdgeSentinel.report(context, popupSelectors.join(', '), geometricWarnings, {
+                            source: 'StripSliderHelper', category: 'G', label: 'Popup'
+                        });
 
                         // Capture the full viewport while the popup is open
                         // This provides the "In-Context" view requested by the user.
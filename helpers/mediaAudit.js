@@ -0,0 +1,275 @@
+/**
+ * mediaAudit.js
+ * Deterministic checks on the widget's media, so Category E ("Media & Images") does not rest on
+ * the model's eyes alone.
+ *
+ * Every <img>, <video> and CSS background-image inside the widget (shadow roots and iframes
+ * included) is recorded with its HTTP status and MIME type, its natural and rendered size and its
+ * upscale ratio: how much larger than its native resolution it is drawn, in CSS px.
+ *
+ * Only the page's own responses can fail an asset. When the browser served it from cache, a HEAD
+ * (then GET) probe fills in status and MIME; a probe that errors marks the asset `unverified`,
+ * since many CDNs refuse HEAD or bot requests for assets the browser loaded fine.
+ *
+ * Defects become GeometricWarnings on Category E:
+ *   MEDIA_HTTP_ERROR  - FAIL: the page's request failed or answered 4xx/5xx
+ *   MEDIA_WRONG_MIME  - FAIL: the page got a document (text/html, JSON) instead of media
+ *   MEDIA_ZERO_SIZE   - FAIL: a raster image loaded but has no pixels (naturalWidth === 0)
+ *   MEDIA_UPSCALED    - WARN: drawn above native resolution by more than MEDIA_MAX_UPSCALE (default 1.5)
+ *
+ * MEDIA_AUDIT=off skips the audit.
+ */
+const GeometricWarning = require('./geometricWarning');
+const BrowserDom = require('./browserDom');
+
+const MAX_ASSETS = 150;
+const MAX_PROBES = 20;
+const DOCUMENT_MIME = /^(text\/|application\/(json|xml|javascript))/;
+
+/**
+ * Browser-side collector: every image, video and background URL under the root, with its sizes.
+ */
+async function collectMedia(root, { maxAssets }) {
+    const { deepElements, describe } = window.__feedspaceDom;
+    const deep = deepElements(root);
+    const absolute = url => { try { return new URL(url, document.baseURI).href; } catch (e) { return url; } };
+    const naturalSizeOf = url => new Promise(resolve => {
+        const img = new Image();
+        const timer = setTimeout(() => resolve(null), 3000);
+        img.onload = () => { clearTimeout(timer); resolve({ width: img.naturalWidth, height: img.naturalHeight }); };
+        img.onerror = () => { clearTimeout(timer); resolve(null); };
+        img.src = url;
+    });
+
+    const assets = [];
+    for (const el of deep) {
+        if (assets.length >= maxAssets) break;
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        const rendered = { width: Math.round(rect.width), height: Math.round(rect.height) };
+        const tag = el.tagName.toUpperCase();
+
+        if (tag === 'IMG') {
+            const url = el.currentSrc || el.getAttribute('src');
+            if (!url) continue;
+            assets.push({
+                kind: 'img', url: absolute(url), element: describe(el), complete: el.complete,
+                natural: el.complete ? { width: el.naturalWidth, height: el.naturalHeight } : null,
+                rendered, fit: style.objectFit
+            });
+        } else if (tag === 'VIDEO') {
+            const url = el.currentSrc || el.getAttribute('src') || el.querySelector('source')?.getAttribute('src');
+            if (!url) continue;
+            assets.push({
+                kind: 'video', url: absolute(url), element: describe(el), complete: el.readyState >= 1,
+                natural: el.readyState >= 1 ? { width: el.videoWidth, height: el.videoHeight } : null,
+                rendered, fit: style.objectFit === 'fill' ? 'contain' : style.objectFit
+            });
+        }
+
+        const background = style.backgroundImage;
+        if (background && background !== 'none') {
+            const urls = [...background.matchAll(/url\(["']?([^"')]+)["']?\)/g)].map(m => m[1]);
+            const size = style.backgroundSize.split(',')[0].trim();
+            for (const url of urls) {
+                assets.push({
+                    kind: 'background', url: absolute(url), element: describe(el), complete: true, natural: null, rendered,
+                    fit: size === 'cover' || size === 'contain' ? size : (/^auto( auto)?$/.test(size) ? 'none' : 'fill')
+                });
+            }
+        }
+    }
+
+    await Promise.all(assets.filter(a => a.kind === 'background').map(async a => { a.natural = await naturalSizeOf(a.url); }));
+    return { assets, dpr: window.devicePixelRatio || 1 };
+}
+
+class MediaAudit {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Defaults to MEDIA_AUDIT !== 'off'
+     * @param {number} [options.maxUpscale] - Largest accepted CSS-px upscale (defaults to MEDIA_MAX_UPSCALE or 1.5)
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? (process.env.MEDIA_AUDIT || 'on').toLowerCase() !== 'off';
+        this.maxUpscale = options.maxUpscale ?? parseFloat(process.env.MEDIA_MAX_UPSCALE || '1.5');
+        this.responses = new Map(); // url → { status, mime } for every image/media response on the page
+    }
+
+    /**
+     * Records the status and MIME type of every image and media response, iframes included.
+     */
+    attach(page) {
+        if (!this.enabled) return;
+        page.on('response', response => {
+            const type = response.request().resourceType();
+            if (type !== 'image' && type !== 'media') return;
+            this.responses.set(response.url(), {
+                status: response.status(),
+                mime: (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase()
+            });
+        });
+        page.on('requestfailed', request => {
+            const type = request.resourceType();
+            if (type !== 'image' && type !== 'media') return;
+            this.responses.set(request.url(), { status: 0, mime: '', failure: request.failure()?.errorText || 'request failed' });
+        });
+    }
+
+    /**
+     * Audits the widget's media and its nested iframes.
+     * @param {import('playwright').Locator} root - Widget root (or the iframe body)
+     * @param {import('playwright').APIRequestContext} [request] - Probes assets the page served from cache
+     * @returns {Promise<{assets: Object[], dpr: number, defects: number, warnings: GeometricWarning[]}|null>}
+     */
+    async run(root, request) {
+        if (!this.enabled || !root) return null;
+
+        const roots = [root];
+        const frames = await root.locator('iframe').elementHandles().catch(() => []);
+        for (const handle of frames) {
+            const frame = await handle.contentFrame().catch(() => null);
+            if (frame) roots.push(frame.locator('body'));
+        }
+
+        let assets = [];
+        let dpr = 1;
+        for (const target of roots) {
+            const collected = await BrowserDom.install(target).then(() => target.evaluate(collectMedia, { maxAssets: MAX_ASSETS })).catch(e => {
+                console.warn(`[MediaAudit] ⚠️ Collection failed: ${e.message}`);
+                return null;
+            });
+            if (!collected) continue;
+            dpr = collected.dpr;
+            assets.push(...collected.assets);
+        }
+        assets = assets.slice(0, MAX_ASSETS);
+
+        await this._resolveNetwork(assets, request);
+        assets.forEach(asset => this._measure(asset, dpr));
+
+        const warnings = assets.map(asset => this._defectOf(asset)).filter(Boolean);
+        console.log(`[MediaAudit] 🖼️ ${assets.length} media asset(s) audited: ${warnings.length ? `${warnings.length} defect(s)` : 'no defects'}.`);
+        return { assets, dpr, defects: warnings.length, warnings };
+    }
+
+    async _resolveNetwork(assets, request) {
+        let probes = 0;
+        for (const asset of assets) {
+            if (asset.url.startsWith('data:')) {
+                asset.status = 'inline';
+                asset.mime = (asset.url.match(/^data:([^;,]+)/) || [])[1] || '';
+                continue;
+            }
+            if (!/^https?:/.test(asset.url)) continue;
+
+            const seen = this.responses.get(asset.url);
+            if (seen) {
+                Object.assign(asset, seen);
+            } else if (request && probes < MAX_PROBES) {
+                probes++;
+                Object.assign(asset, await this._probe(request, asset.url));
+            }
+        }
+    }
+
+    /**
+     * HEAD, then GET when HEAD is refused. A probe never fails an asset: on error it is `unverified`.
+     */
+    async _probe(request, url) {
+        const attempt = method => request.fetch(url, { method, timeout: 5000 })
+            .then(res => ({ status: res.status(), mime: (res.headers()['content-type'] || '').split(';')[0].trim().toLowerCase() }))
+            .catch(e => ({ status: 0, mime: '', failure: e.message.split('\n')[0] }));
+        const ok = res => res.status > 0 && res.status < 400;
+
+        let probed = await attempt('HEAD');
+        if (!ok(probed)) probed = await attempt('GET');
+        return ok(probed)
+            ? { ...probed, probed: true }
+            : { probed: true, unverified: probed.status ? `probe answered HTTP ${probed.status}` : `probe failed (${probed.failure})` };
+    }
+
+    /**
+     * Upscale ratio: how much larger than native the asset is drawn, honouring object-fit / background-size.
+     */
+    _measure(asset, dpr) {
+        asset.upscale = null;
+        const { natural, rendered } = asset;
+        if (MediaAudit.isVector(asset) || !natural || natural.width * natural.height <= 4 || !rendered.width || !rendered.height) return;
+
+        const sx = rendered.width / natural.width;
+        const sy = rendered.height / natural.height;
+        const scales = {
+            cover: Math.max(sx, sy),
+            contain: Math.min(sx, sy),
+            none: 1,
+            'scale-down': Math.min(1, Math.min(sx, sy))
+        };
+        const scale = scales[asset.fit] ?? Math.max(sx, sy);
+        asset.upscale = Math.round(scale * 100) / 100;
+        asset.deviceUpscale = Math.round(scale * dpr * 100) / 100;
+    }
+
+    static isVector(asset) {
+        return (asset.mime || '').includes('svg') || /\.svg(\?|#|$)/i.test(asset.url);
+    }
+
+    _defectOf(asset) {
+        const name = `${asset.kind} ${asset.url.length > 80 ? `${asset.url.substring(0, 80)}…` : asset.url}`;
+        const base = {
+            severity: 'FAIL',
+            category: 'E',
+            selector: asset.element,
+            source: 'MediaAudit'
+        };
+
+        // Probe results (and `unverified` probes) are informational; only page responses fail an asset
+        if (!asset.probed && typeof asset.status === 'number' && (asset.status === 0 || asset.status >= 400)) {
+            asset.defect = 'MEDIA_HTTP_ERROR';
+            return new GeometricWarning({
+                ...base,
+                code: 'MEDIA_HTTP_ERROR',
+                measured: { status: asset.status, ...(asset.failure ? { failure: asset.failure } : {}) },
+                message: `MEDIA broken: ${name} ${asset.status ? `returned HTTP ${asset.status}` : `failed to load (${asset.failure})`}.`
+            });
+        }
+        if (!asset.probed && asset.mime && DOCUMENT_MIME.test(asset.mime)) {
+            asset.defect = 'MEDIA_WRONG_MIME';
+            return new GeometricWarning({
+                ...base,
+                code: 'MEDIA_WRONG_MIME',
+                measured: { status: asset.status, mime: asset.mime },
+                message: `MEDIA broken: ${name} was served as ${asset.mime}, not as media.`
+            });
+        }
+        // SVGs without intrinsic dimensions report naturalWidth 0 and still render
+        if (MediaAudit.isVector(asset)) return null;
+        if (asset.complete && asset.natural && asset.natural.width === 0) {
+            asset.defect = 'MEDIA_ZERO_SIZE';
+            return new GeometricWarning({
+                ...base,
+                code: 'MEDIA_ZERO_SIZE',
+                measured: { naturalWidth: 0, rendered: `${asset.rendered.width}x${asset.rendered.height}` },
+                message: `MEDIA broken: ${name} loaded without pixel data (naturalWidth 0).`
+            });
+        }
+        if (asset.upscale !== null && asset.upscale > this.maxUpscale) {
+            asset.defect = 'MEDIA_UPSCALED';
+            return new GeometricWarning({
+                ...base,
+                severity: 'WARN',
+                code: 'MEDIA_UPSCALED',
+                measured: {
+                    natural: `${asset.natural.width}x${asset.natural.height}`,
+                    rendered: `${asset.rendered.width}x${asset.rendered.height}`,
+                    upscale: asset.upscale,
+                    maxUpscale: this.maxUpscale
+                },
+                message: `MEDIA upscaled: ${name} is drawn at ${asset.upscale}x its native resolution and will look soft.`
+            });
+        }
+        return null;
+    }
+}
+
+module.exports = MediaAudit;
@@ -8,7 +8,18 @@
 const fs = require('fs');
 const path = require('path');
 const AIEngine = require('./aiEngine');
+const AIResultCache = require('./aiResultCache');
+const AIUsage = require('./aiUsage');
+const ImagePreprocessor = require('./imagePreprocessor');
 const ReportHelper = require('./reportHelper');
+const FeatureCatalog = require('./featureCatalog');
+const GeometricWarning = require('./geometricWarning');
+const DomRuleEngine = require('./domRuleEngine');
+const MediaAudit = require('./mediaAudit');
+const DarkModeAudit = require('./darkModeAudit');
+const AccessibilityAudit = require('./accessibilityAudit');
+const DeviceMatrix = require('./deviceMatrix');
+const BrowserDom = require('./browserDom');
 const { WidgetDetector } = require('./widgetDetector');
 
 const AvatarGroupHelper = require('./interactiveWidgets/avatarGroupHelper');
@@ -22,6 +33,8 @@ const AvatarSliderHelper = require('./interactiveWidgets/avatarSliderHelper');
 const VerticalScrollHelper = require('./interactiveWidgets/verticalScrollHelper');
 const HorizontalScrollHelper = require('./interactiveWidgets/horizontalScrollHelper');
 const MasonryHelper = require('./interactiveWidgets/masonryHelper');
+const KeyboardNavigationHelper = require('./interactiveWidgets/keyboardNavigationHelper');
+const ReducedMotionHelper = require('./interactiveWidgets/reducedMotionHelper');
 
 // All Feedspace widget selectors — ordered from most specific to least specific
 const FEEDSPACE_SELECTORS = [
@@ -82,10 +95,18 @@ class PlaywrightHelper {
     constructor(page) {
         this.page = page;
         this.aiEngine = new AIEngine();
+        this.aiCache = new AIResultCache();
+        this.imagePreprocessor = new ImagePreprocessor();
         this.reportHelper = new ReportHelper();
+        this.domRuleEngine = new DomRuleEngine();
+        this.mediaAudit = new MediaAudit();
+        this.accessibilityAudit = new AccessibilityAudit();
+        this.darkModeAudit = new DarkModeAudit();
         this.config = null;
 
         this.expectedType = 'Unknown';   // Resolved from config API type field
+        this.deviceProfile = null;       // Device profile of this run (deviceMatrix.js); null = legacy desktop viewport
+        this.browserName = page.context().browser()?.browserType().name() || 'chromium'; // Engine of this run (browserMatrix.js)
         this.networkWidgetMap = {};      // UUID → TypeName from network payloads
         this.detectedNetworkTypes = new Set(); // All type names seen in network traffic
         this.widgetType = 'Unknown';     // Final resolved type from live page
@@ -93,7 +114,15 @@ class PlaywrightHelper {
 
         this.aiResults = null;
         this.movementVerification = null;
-        this.geometricWarnings = []; // TRUTH DATA: Collected from mathematical probes to prevent AI hallucinations
+        this.domRuleResults = [];    // Deterministic DOM rule feature_results (stand without the AI verdict)
+        this.keyboardResults = [];   // Keyboard pass feature_results; screenshots saved beside the AI ones
+        this.reducedMotionResults = []; // prefers-reduced-motion feature_results for marquees (screenshots saved like the keyboard ones)
+        this.mediaAuditResult = null; // Widget media assets: HTTP status, MIME, natural vs rendered size
+        this.accessibility = null;    // axe-core section: violations per rule, PASS/FAIL against the type's threshold
+        this.darkMode = null;         // prefers-color-scheme: dark pass: contrast samples per text role (screenshot saved on finalize)
+        this.geometricWarnings = []; // TRUTH DATA: GeometricWarning[] from the DOM sniff and widget probes (prevents AI hallucinations)
+        this.screenshotMeta = [];    // Capture info per screenshot index (widget box for page-level shots)
+        this.visibleText = [];       // Widget text on screen when captured (ranks the prompt's ground-truth feeds)
         this.useFullPage = false;
     }
 
@@ -123,6 +152,7 @@ class PlaywrightHelper {
         console.log(`[PlaywrightHelper] Expected widget type from config: ${this.expectedType} (raw: ${widgetTypeId})`);
 
         // ── Network interception ────────────────────────────────────────────
+        this.mediaAudit.attach(this.page);
         this.page.on('response', async (response) => {
             try {
                 // 1. Status & Resource Filtering (Fastest exits)
@@ -608,25 +638,9 @@ class PlaywrightHelper {
             // Force-load widget-specific features now that the type is IDENTIFIED.
             // This ensures absolute feature isolation across all widget types.
             try {
-                const WIDGET_CONFIG_MAP = {
-                    'COMPANY_LOGO_SLIDER': 'companyLogoSliderFeature',
-                    'CROSS_SLIDER': 'crossSliderFeature',
-                    'AVATAR_CAROUSEL': 'avatarCarouselFeature',
-                    'STRIP_SLIDER': 'stripSliderFeature',
-                    'MARQUEE_STRIPE': 'stripSliderFeature',
-                    'SINGLE_SLIDER': 'avatarSliderFeature',
-                    'AVATAR_SLIDER': 'avatarSliderFeature',
-                    'AVATAR_GROUP': 'avatarGroupFeature',
-                    'CAROUSEL_SLIDER': 'carouselslider',
-                    'MASONRY': 'masonryFeature',
-                    'GRID': 'masonryFeature',
-                    'MARQUEE_UPDOWN': 'verticalScrollFeature',
-                    'MARQUEE_LEFTRIGHT': 'horizontalScrollFeature',
-                    'FLOATING_TOAST': 'floatingCardsFeature'
-                };
                 const lookupType = this.widgetType || this.expectedType;
                 if (lookupType && lookupType !== 'Unknown' && lookupType !== '--url') {
-                    const configName = WIDGET_CONFIG_MAP[lookupType] || lookupType.toLowerCase();
+                    const configName = FeatureCatalog.load().configFileFor(lookupType) || lookupType.toLowerCase();
                     const configPath = path.join(process.cwd(), 'Configs', `${configName}.json`);
                     console.log(`[PlaywrightHelper] 🛡️  Isolation Check: Looking for ${configPath} (Type: ${lookupType})`);
                     if (fs.existsSync(configPath)) {
@@ -647,9 +661,10 @@ class PlaywrightHelper {
             const normalizedType = this.widgetType.toUpperCase();
 
             // 🚨 Viewport Lockdown: To reproduce the user's slicing issue, we must lock the height to 700px.
-            // At 1080px (default), the review box fits and we get a false PASS.
-            const vHeight = normalizedType === 'AVATAR_GROUP' ? 700 : 1080;
-            await this.page.setViewportSize({ width: 1536, height: vHeight });
+            // At 1080px (default), the review box fits and we get a false PASS. Mobile profiles keep their device height.
+            const viewport = this.deviceProfile?.viewport || { width: 1536, height: 1080 };
+            const vHeight = normalizedType === 'AVATAR_GROUP' && !this.deviceProfile?.isMobile ? Math.min(700, viewport.height) : viewport.height;
+            await this.page.setViewportSize({ width: viewport.width, height: vHeight });
 
             await this.page.evaluate((selectors) => {
                 selectors.forEach(sel => {
@@ -743,22 +758,38 @@ class PlaywrightHelper {
 
                 if (domTruth.itemCount === 0) {
                     console.warn('[PlaywrightHelper] 🛰️  DOM Sniff: EMPTY STATE DETECTED. No review cards found.');
-                    this.geometricWarnings.push("EMPTY_STATE_FORCE_PASS: This widget is currently empty (Zero review items found in DOM). You are PROHIBITED from reporting layout failures on cards. Circular objects are Navigation Arrows, NOT review cards. Mark Feature categories as 'PASS (Empty State)' and Aesthetic categories as 'PASS'.");
+                    this.geometricWarnings.push(new GeometricWarning({
+                        code: 'EMPTY_STATE_FORCE_PASS',
+                        measured: { itemCount: 0 },
+                        source: 'PlaywrightHelper',
+                        message: "EMPTY_STATE_FORCE_PASS: This widget is currently empty (Zero review items found in DOM). You are PROHIBITED from reporting layout failures on cards. Circular objects are Navigation Arrows, NOT review cards. Mark Feature categories as 'PASS (Empty State)' and Aesthetic categories as 'PASS'."
+                    }));
                 } else {
                     console.log(`[PlaywrightHelper] 🛰️  DOM Sniff: Found ${domTruth.itemCount} candidate item(s).`);
                 }
 
                 if (domTruth.iconsFound) {
                     console.log(`[PlaywrightHelper] 🛰️  DOM Sniff: Social Icons DETECTED within widget.`);
-                    this.geometricWarnings.push("DOM_TRUTH: Social Platform Icons ARE present in the top-right corner of the review cards. You MUST report them as 'Visible'.");
+                    this.geometricWarnings.push(new GeometricWarning({
+                        code: 'DOM_TRUTH_SOCIAL_ICONS',
+                        measured: { itemCount: domTruth.itemCount },
+                        source: 'PlaywrightHelper',
+                        message: "DOM_TRUTH: Social Platform Icons ARE present in the top-right corner of the review cards. You MUST report them as 'Visible'."
+                    }));
                 }
                 if (!domTruth.starsFound && domTruth.itemCount > 0) {
                     console.log(`[PlaywrightHelper] 🛰️  DOM Sniff: Review Ratings NOT FOUND within widget.`);
-                    this.geometricWarnings.push("DOM_TRUTH: Review Ratings (Stars) are NOT present inside the widget review cards. Ignore any stars visible on the background page outside the widget.");
+                    this.geometricWarnings.push(new GeometricWarning({
+                        code: 'DOM_TRUTH_NO_RATINGS',
+                        measured: { itemCount: domTruth.itemCount },
+                        source: 'PlaywrightHelper',
+                        message: "DOM_TRUTH: Review Ratings (Stars) are NOT present inside the widget review cards. Ignore any stars visible on the background page outside the widget."
+                    }));
                 }
             } else {
                 console.warn('[PlaywrightHelper] Skipping DOM Sniff: No valid widget locator found.');
             }
+            await this._collectVisibleText(locator);
 
             // ── STEP 6: Widget-specific interaction ──────────────────────────
             const box = locator ? await locator.boundingBox().catch(() => null) : null;
@@ -780,6 +811,21 @@ class PlaywrightHelper {
                 }
             }
 
+            // ── STEP 6.1: Deterministic DOM rules (before any interaction moves the widget) ──
+            if (locator) {
+                this.domRuleResults = await this.domRuleEngine.run(
+                    interactionContext === this.page ? locator : interactionContext.locator('body'), normalizedType
+                );
+            }
+
+            // ── STEP 6.2: Accessibility audit (axe-core, scoped to the widget) ──
+            this.accessibility = await this.accessibilityAudit.run(this.page, locator, normalizedType);
+
+            // ── STEP 6.3: Reduced motion (before the marquee helpers force or freeze animations) ──
+            if (locator) {
+                this.reducedMotionResults = await ReducedMotionHelper.verify(interactionContext, locator, normalizedType);
+            }
+
             // ── STEP 6.5: Pagination Handling (Context Aware Storyboard) ─────
             // This loop handles capturing the 4-shot storyboard progression (0, 1, 4, Final)
             await this._handleLoadMoreLoop(interactionContext, screenshotBuffers);
@@ -870,18 +916,69 @@ class PlaywrightHelper {
             if (!this.page.isClosed()) {
                 const isWall = (normalizedType === 'MASONRY' || normalizedType === 'GRID');
 
+                // Widget box in viewport CSS px + scroll offset, so the preprocessor can crop page-level shots
+                const widgetBox = locator ? await locator.boundingBox().catch(() => null) : null;
+                const { scrollX, scrollY, scale } = await this.page.evaluate(() => ({
+                    scrollX: window.scrollX, scrollY: window.scrollY, scale: window.devicePixelRatio || 1
+                })).catch(() => ({ scrollX: 0, scrollY: 0, scale: 1 }));
+
+                const widgetRoot = interactionContext === this.page ? locator : interactionContext.locator('body');
+
+                // Media audit: broken, mistyped, empty and upscaled assets are Category E truth data
+                const media = await this.mediaAudit.run(widgetRoot, this.page.request);
+                if (media) {
+                    media.warnings.forEach(w => {
+                        console.log(`[SYSTEM ALERT] TRUTH DATA: ${w.toPromptLine()}`);
+                        this.geometricWarnings.push(w);
+                    });
+                    this.mediaAuditResult = { assets: media.assets, dpr: media.dpr, defects: media.defects };
+                }
+
+                await this._collectVisibleText(widgetRoot);
+
                 // Final Viewport Shot (Catch truncation)
                 const viewportShot = await this.page.screenshot({ fullPage: false, animations: 'disabled' });
-                if (viewportShot) screenshotBuffers.push(viewportShot);
+                if (viewportShot) {
+                    if (widgetBox) this.screenshotMeta[screenshotBuffers.length] = { kind: 'viewport', widgetBox, scale };
+                    screenshotBuffers.push(viewportShot);
+                }
 
                 // Full Page Shot (Context for long widgets)
                 if (isWall) {
                     console.log('[PlaywrightHelper] Capturing Full Page shot for Wall of Love context.');
                     const fullShot = await this.page.screenshot({ fullPage: true, animations: 'disabled' }).catch(() => null);
-                    if (fullShot) screenshotBuffers.push(fullShot);
+                    if (fullShot) {
+                        if (widgetBox) {
+                            this.screenshotMeta[screenshotBuffers.length] = {
+                                kind: 'fullPage',
+                                widgetBox: { ...widgetBox, x: widgetBox.x + scrollX, y: widgetBox.y + scrollY },
+                                scale
+                            };
+                        }
+                        screenshotBuffers.push(fullShot);
+                    }
+                }
+            }
+
+            // ── STEP 8.5: Dark-mode pass (after the AI shots, so the model sees the page's own scheme) ──
+            if (locator && !this.page.isClosed()) {
+                const widgetRoot = interactionContext === this.page ? locator : interactionContext.locator('body');
+                const dark = await this.darkModeAudit.run(this.page, widgetRoot, normalizedType);
+                if (dark) {
+                    const { warnings, ...section } = dark;
+                    warnings.forEach(w => {
+                        console.log(`[SYSTEM ALERT] TRUTH DATA: ${w.toPromptLine()}`);
+                        this.geometricWarnings.push(w);
+                    });
+                    this.darkMode = section;
                 }
             }
 
+            // ── STEP 9: Keyboard pass (after the storyboard, so moved slides and open popups never reach the AI) ──
+            if (locator && !this.page.isClosed()) {
+                this.keyboardResults = await KeyboardNavigationHelper.verify(interactionContext, locator, normalizedType);
+            }
+
         } catch (error) {
             console.error('[PlaywrightHelper] Validation error:', error.message);
             if (screenshotBuffers.length === 0 && !this.page.isClosed()) {
@@ -962,24 +1059,104 @@ class PlaywrightHelper {
         }
 
         const savedPaths = [];
+        const label = `${this.widgetType !== 'Unknown' ? this.widgetType : 'DETECTION_FAIL'}${this.deviceProfile ? `_${this.deviceProfile.name}` : ''}_${this.browserName}`;
         for (let i = 0; i < screenshotBuffers.length; i++) {
             if (!screenshotBuffers[i]) continue;
             const suffix = screenshotBuffers.length > 1 ? `_part${i + 1}` : '';
-            const label = this.widgetType !== 'Unknown' ? this.widgetType : 'DETECTION_FAIL';
             const screenshotPath = path.join(screenshotDir, `${label}_${timestamp}${suffix}.png`);
             fs.writeFileSync(screenshotPath, screenshotBuffers[i]);
             savedPaths.push(screenshotPath);
             console.log(`[PlaywrightHelper] Screenshot saved: ${screenshotPath}`);
         }
 
+        // Keyboard and reduced-motion screenshots are evidence for their feature results, not AI input
+        const saveEvidence = (results, kind) => {
+            let shot = 0;
+            return results.map(({ screenshots = [], ...result }) => {
+                const screenshotPaths = screenshots.map(buffer => {
+                    const shotPath = path.join(screenshotDir, `${label}_${timestamp}_${kind}${++shot}.png`);
+                    fs.writeFileSync(shotPath, buffer);
+                    return shotPath;
+                });
+                return { ...result, screenshotPaths };
+            });
+        };
+        const keyboardResults = saveEvidence(this.keyboardResults, 'keyboard');
+        const reducedMotionResults = saveEvidence(this.reducedMotionResults, 'motion');
+
+        // Dark-mode recapture is evidence for Category F, not AI input
+        let darkMode = this.darkMode;
+        if (darkMode) {
+            const { screenshot, ...section } = darkMode;
+            darkMode = section;
+            if (screenshot) {
+                darkMode.screenshotPath = path.join(screenshotDir, `${label}_${timestamp}_dark.png`);
+                fs.writeFileSync(darkMode.screenshotPath, screenshot);
+            }
+        }
+
         // Only proceed to AI if we actually found something
-        this.aiResults = await this.aiEngine.analyzeScreenshot(
-            screenshotBuffers.filter(Boolean),
-            this.config,
-            this.widgetType,
-            this.staticFeatures || staticFeatures,
-            this.geometricWarnings // Pass the hard facts to the AI
-        );
+        const originalBuffers = screenshotBuffers.filter(Boolean);
+        const originalMeta = screenshotBuffers.map((b, i) => this.screenshotMeta[i]).filter((m, i) => screenshotBuffers[i]);
+        const features = this.staticFeatures || staticFeatures;
+
+        // --- IMAGE PREPROCESSING ---
+        // Crop / dedup / tile / re-encode a copy for the model; the originals above stay as saved.
+        const preprocessed = this.widgetType !== 'Widget Not Found'
+            ? await this.imagePreprocessor.process(this.page, originalBuffers, originalMeta)
+            : { buffers: originalBuffers, sourceMap: originalBuffers.map((b, i) => ({ source: i, region: null })), stats: null, signatures: null };
+        const aiBuffers = preprocessed.buffers;
+        if (preprocessed.stats && preprocessed.stats.droppedDuplicates.length > 0) {
+            const omitted = preprocessed.stats.droppedDuplicates.map(d => `#${d.source + 1} (same as #${d.duplicateOf + 1})`).join(', ');
+            this.geometricWarnings.push(new GeometricWarning({
+                code: 'FRAME_DEDUP',
+                measured: { omitted: preprocessed.stats.droppedDuplicates.length },
+                source: 'ImagePreprocessor',
+                message: `FRAME_DEDUP: ${preprocessed.stats.droppedDuplicates.length} screenshot(s) were visually identical to an earlier frame and were omitted: ${omitted}. Treat those moments as showing exactly the same pixels as the frame they duplicate.`
+            }));
+        }
+
+        // --- CONTENT-ADDRESSED CACHE ---
+        // Matching screenshots + identical prompt + same model → reuse the previous verdict.
+        // Screenshots match when pixel-identical, or perceptually with AI_CACHE_HASH=perceptual.
+        let cacheKey = null;
+        let cacheHashMode = null;
+        let cachedResults = null;
+        const promptContext = { visibleText: this.visibleText, imageCount: aiBuffers.length };
+        if (this.aiEngine.isLive && this.widgetType !== 'Widget Not Found') {
+            const prompt = this.aiEngine.buildPrompt(this.widgetType, this.config, features, aiBuffers.length > 1, this.geometricWarnings, promptContext);
+            ({ key: cacheKey, hashMode: cacheHashMode } = this.aiCache.keyFor(aiBuffers, prompt, this.aiEngine.modelName, preprocessed.signatures));
+            const cached = this.aiCache.get(cacheKey);
+            if (cached) {
+                console.log(`[PlaywrightHelper] ♻️  AI cache hit (${cacheKey.substring(0, 12)}, cached ${cached.cachedAt}). Skipping AI call.`);
+                cachedResults = JSON.parse(JSON.stringify(cached.aiResults));
+                cachedResults.cache = { hit: true, key: cacheKey, hashMode: cacheHashMode, cachedAt: cached.cachedAt, model: cached.model };
+                // A reused verdict costs nothing this run; keep what the original call cost for reference
+                cachedResults.usage = { ...AIUsage.empty(), savedCostUsd: cached.aiResults.usage?.costUsd || 0 };
+            }
+        }
+
+        if (cachedResults) {
+            this.aiResults = cachedResults;
+        } else {
+            this.aiResults = await this.aiEngine.analyzeScreenshot(
+                aiBuffers,
+                this.config,
+                this.widgetType,
+                features,
+                this.geometricWarnings, // Pass the hard facts to the AI
+                promptContext
+            );
+
+            // Defect boxes refer to the preprocessed images; point them back at the saved screenshots
+            ImagePreprocessor.remapLocations(this.aiResults, preprocessed.sourceMap);
+            if (this.aiResults && preprocessed.stats) this.aiResults.preprocessing = preprocessed.stats;
+
+            // Never cache engine or schema errors — the next run should retry them.
+            if (cacheKey && this.aiResults && !['ERROR', 'SCHEMA_ERROR'].includes(this.aiResults.status)) {
+                this.aiCache.set(cacheKey, { model: this.aiEngine.modelName, widgetType: this.widgetType, aiResults: this.aiResults });
+            }
+        }
 
         // --- ENFORCE AESTHETIC-BASED FAILURE ---
         // If any aesthetic category (A-G) has a FAIL status, the entire test must be marked as FAIL.
@@ -999,12 +1176,14 @@ class PlaywrightHelper {
 
             // Only append if staticFeatures is not provided (legacy) or if it includes the feature
             if (!staticFeatures || staticFeatures.includes(featureName)) {
+                // Measured motion vs marquee_speed / is_autoplay / cross scrolling / pause_on_hover (see marqueeMotion.js)
                 this.aiResults.feature_results.push({
                     feature: featureName,
-                    ui_status: status === 'PASS' ? 'Visible' : 'Absent',
-                    config_status: 'Visible',
+                    ui_status: this.movementVerification.ui_status || (status === 'PASS' ? 'Visible' : 'Absent'),
+                    config_status: this.movementVerification.config_status || 'Visible',
                     issue: this.movementVerification.message,
-                    status: (status === 'ERROR' || status === 'UNKNOWN') ? 'FAIL' : status
+                    status: (status === 'ERROR' || status === 'UNKNOWN') ? 'FAIL' : status,
+                    ...(this.movementVerification.details ? { measured: this.movementVerification.details } : {})
                 });
                 if (status === 'FAIL' || status === 'ERROR') {
                     this.aiResults.overall_status = 'FAIL';
@@ -1012,6 +1191,25 @@ class PlaywrightHelper {
             }
         }
 
+        // Append deterministic DOM rule, reduced-motion and keyboard pass results — recorded even when the AI call failed
+        const automationResults = [...this.domRuleResults, ...reducedMotionResults, ...keyboardResults];
+        if (automationResults.length > 0 && this.aiResults) {
+            this.aiResults.feature_results = this.aiResults.feature_results || [];
+            this.aiResults.feature_results.push(...automationResults);
+            const failed = automationResults.filter(r => r.status === 'FAIL');
+            if (failed.length > 0) {
+                console.warn(`[PlaywrightHelper] Automation check failure (${failed.map(r => r.rule || r.feature).join(', ')}). Marking overall status as FAIL.`);
+                this.aiResults.overall_status = 'FAIL';
+            }
+        }
+
+        // Accessibility violations at or above the widget type's threshold fail the run
+        if (this.accessibility?.status === 'FAIL' && this.aiResults) {
+            const blocking = this.accessibility.rules.filter(r => r.blocking).map(r => r.id);
+            console.warn(`[PlaywrightHelper] Accessibility failure (${blocking.join(', ')}). Marking overall status as FAIL.`);
+            this.aiResults.overall_status = 'FAIL';
+        }
+
         // Prepend type match as a feature result
         if (this.aiResults?.feature_results && this.typeMatchResult) {
             this.aiResults.feature_results.unshift({
@@ -1033,8 +1231,16 @@ class PlaywrightHelper {
             capturedConfig: this.config,
             aiAnalysis: this.aiResults,
             movementVerification: this.movementVerification,
+            geometricWarnings: this.geometricWarnings,
+            mediaAudit: this.mediaAuditResult,
+            accessibility: this.accessibility,
+            darkMode,
+            deviceProfile: this.deviceProfile ? DeviceMatrix.describe(this.deviceProfile) : null,
+            browser: this.browserName,
             screenshotPath: savedPaths[0] || null,
-            screenshotPaths: savedPaths
+            screenshotPaths: savedPaths,
+            promptVersion: this.aiEngine.promptStamp.version,
+            promptHash: this.aiEngine.promptStamp.hash
         };
     }
 
@@ -1058,10 +1264,49 @@ class PlaywrightHelper {
                     issue: reason
                 }]
             },
-            screenshotPaths: []
+            screenshotPaths: [],
+            deviceProfile: this.deviceProfile ? DeviceMatrix.describe(this.deviceProfile) : null,
+            browser: this.browserName,
+            promptVersion: this.aiEngine.promptStamp.version,
+            promptHash: this.aiEngine.promptStamp.hash
         };
     }
 
+    /**
+     * Adds the widget text currently on screen (light and shadow DOM) to `visibleText`, so the
+     * prompt budget can put the reviews the screenshots actually show first.
+     */
+    async _collectVisibleText(locator) {
+        if (!locator || this.page.isClosed()) return;
+        const lines = await BrowserDom.install(locator).then(() => locator.evaluate(el => {
+            const { deepElements, isShown } = window.__feedspaceDom;
+            const inViewport = node => {
+                const rect = node.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.right > 0 &&
+                    rect.top < window.innerHeight && rect.left < window.innerWidth;
+            };
+            return deepElements(el, { includeRoot: false })
+                .map(node => ({
+                    node,
+                    ownText: [...node.childNodes]
+                        .filter(child => child.nodeType === Node.TEXT_NODE)
+                        .map(child => child.textContent.trim())
+                        .join(' ')
+                        .trim()
+                }))
+                .filter(({ node, ownText }) => ownText.length >= 2 && inViewport(node) && isShown(node))
+                .map(({ ownText }) => ownText);
+        })).catch(() => []);
+
+        const known = new Set(this.visibleText);
+        lines.forEach(line => {
+            if (!known.has(line) && this.visibleText.length < 500) {
+                known.add(line);
+                this.visibleText.push(line);
+            }
+        });
+    }
+
     async _handleLoadMoreLoop(context, screenshotBuffers = []) {
         const type = (this.widgetType || "").toUpperCase();
         const isSlider = type.includes('SLIDER') || type.includes('CAROUSEL') || type.includes('MARQUEE') || type.includes('TOAST');
@@ -0,0 +1,149 @@
+/**
+ * promptBudget.js
+ * Decides what ground truth and which rule sections go into the validation prompt, and records
+ * what was left out so a verdict can be explained later.
+ *
+ * Feeds the widget actually showed (matched against the DOM text captured with the screenshots)
+ * go first, then the rest in feed order, capped at MAX_FEEDS. Each feed is added while the
+ * estimated prompt — text plus screenshots, estimated like AIRateLimiter does — stays within
+ * PROMPT_TOKEN_BUDGET; a feed that does not fit is retried with a shorter comment before it is
+ * dropped. Rule sections that do not apply to the widget type are recorded by PromptBuilder.
+ *
+ * The report is attached to every verdict as `promptBudget`.
+ */
+const AIRateLimiter = require('./aiRateLimiter');
+
+const DEFAULT_MAX_TOKENS = 20000;
+const MAX_FEEDS = 20;
+const COMMENT_CHARS = 100;
+const TRIMMED_COMMENT_CHARS = 40;
+const SNIPPET_CHARS = 30;
+
+const normalizeText = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+class PromptBudget {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxTokens] - Whole-prompt budget incl. screenshots (defaults to PROMPT_TOKEN_BUDGET; 0 = unlimited)
+     * @param {number} [options.imageCount] - Screenshots sent with the prompt
+     * @param {string[]} [options.visibleText] - Widget DOM text captured alongside the screenshots
+     */
+    constructor(options = {}) {
+        const configured = options.maxTokens ?? process.env.PROMPT_TOKEN_BUDGET;
+        this.maxTokens = (configured === undefined || configured === '')
+            ? DEFAULT_MAX_TOKENS
+            : Math.max(0, parseInt(configured, 10) || 0);
+        this.imageTokens = AIRateLimiter.estimateTokens('', { length: options.imageCount || 0 });
+        this.visibleText = normalizeText((options.visibleText || []).join('\n'));
+        this.feeds = { available: 0, included: 0, visible: 0, trimmed: [], dropped: [] };
+        this.sections = { included: [], dropped: [] };
+        this.estimatedTokens = null;
+    }
+
+    get isLimited() {
+        return this.maxTokens > 0;
+    }
+
+    /**
+     * True when the feed's reviewer name or the start of its comment appears in the captured DOM text.
+     */
+    isVisible(feed) {
+        if (!this.visibleText) return false;
+        const name = normalizeText(feed.app_user_name || feed.reviewer_name || feed.user_name || feed.name);
+        const snippet = normalizeText(feed.comment).substring(0, SNIPPET_CHARS);
+        return (name.length >= 3 && name !== 'anonymous' && this.visibleText.includes(name)) ||
+            (snippet.length >= 10 && this.visibleText.includes(snippet));
+    }
+
+    /**
+     * Picks and shapes the feeds for a prompt whose remaining content is estimated at `baseTokens`.
+     * @param {Object[]} rawFeeds - feeds_data from the widget config
+     * @param {Function} toEntry - (feed, commentChars) → entry rendered into the prompt
+     * @param {number} baseTokens - Estimate for the prompt text without any feeds
+     * @returns {Object[]} Entries to render, visible feeds first
+     */
+    selectFeeds(rawFeeds, toEntry, baseTokens) {
+        const ranked = rawFeeds.map((feed, index) => ({ feed, index, visible: this.isVisible(feed) }))
+            .sort((a, b) => (b.visible - a.visible) || (a.index - b.index));
+
+        this.feeds.available = rawFeeds.length;
+        let used = baseTokens + this.imageTokens;
+        const entries = [];
+
+        ranked.forEach(({ feed, visible }, rank) => {
+            if (rank >= MAX_FEEDS) {
+                this.feeds.dropped.push({ id: feed.id, reason: `feed limit (${MAX_FEEDS})` });
+                return;
+            }
+            let entry = toEntry(feed, COMMENT_CHARS);
+            let cost = PromptBudget.entryTokens(entry);
+            if (this.isLimited && used + cost > this.maxTokens) {
+                entry = toEntry(feed, TRIMMED_COMMENT_CHARS);
+                cost = PromptBudget.entryTokens(entry);
+                if (used + cost > this.maxTokens) {
+                    this.feeds.dropped.push({ id: feed.id, reason: 'token budget' });
+                    return;
+                }
+                this.feeds.trimmed.push(feed.id);
+            }
+            used += cost;
+            entries.push(entry);
+            if (visible) this.feeds.visible++;
+        });
+
+        this.feeds.included = entries.length;
+        return entries;
+    }
+
+    static entryTokens(entry) {
+        return AIRateLimiter.estimateTokens(JSON.stringify([entry], null, 2));
+    }
+
+    includeSection(name) {
+        this.sections.included.push(name);
+    }
+
+    dropSection(name, reason) {
+        this.sections.dropped.push({ section: name, reason });
+    }
+
+    /**
+     * Final report for the rendered prompt.
+     */
+    finish(prompt) {
+        this.estimatedTokens = AIRateLimiter.estimateTokens(prompt) + this.imageTokens;
+        return this.report();
+    }
+
+    report() {
+        return {
+            maxTokens: this.maxTokens,
+            estimatedTokens: this.estimatedTokens,
+            imageTokens: this.imageTokens,
+            overBudget: this.isLimited && this.estimatedTokens > this.maxTokens,
+            feeds: { ...this.feeds },
+            sections: { ...this.sections }
+        };
+    }
+
+    /**
+     * One-line summary, e.g. "~14,210/20,000 tokens · feeds 12/25 (4 on screen), 13 dropped · 10 rule section(s) not applicable".
+     */
+    static summarize(report) {
+        if (!report) return '';
+        const { feeds, sections } = report;
+        const limit = report.maxTokens > 0 ? report.maxTokens.toLocaleString('en-US') : 'unlimited';
+        const parts = [`~${(report.estimatedTokens || 0).toLocaleString('en-US')}/${limit} tokens${report.overBudget ? ' (OVER BUDGET)' : ''}`];
+        if (feeds.available > 0) {
+            let feedPart = `feeds ${feeds.included}/${feeds.available}`;
+            if (feeds.visible > 0) feedPart += ` (${feeds.visible} on screen)`;
+            if (feeds.trimmed.length > 0) feedPart += `, ${feeds.trimmed.length} trimmed`;
+            if (feeds.dropped.length > 0) feedPart += `, ${feeds.dropped.length} dropped`;
+            parts.push(feedPart);
+        }
+        if (sections.dropped.length > 0) parts.push(`${sections.dropped.length} rule section(s) not applicable`);
+        return parts.join(' · ');
+    }
+}
+
+module.exports = PromptBudget;
@@ -0,0 +1,112 @@
+/**
+ * promptTemplates.js
+ * Loads the versioned prompt template files under prompts/<version>/.
+ *
+ * The version is picked by PROMPT_VERSION (or the `promptVersion` option), falling back to
+ * "current" in prompts/manifest.json. Rolling back a bad rule change is a matter of pointing
+ * either of those at the previous directory — no code change needed.
+ *
+ * Template syntax:
+ *   {{> rules/core}}   - include another file of the same version (path without .md)
+ *   {{feedsJson}}      - variable supplied by PromptBuilder; an unknown name is an error
+ *
+ * Each file is stored with a trailing newline, which is stripped on load so sections join
+ * exactly as written. `hash` fingerprints every file of the version so an in-place edit that
+ * forgot to bump the version still shows up in the report.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const INCLUDE_PATTERN = /\{\{>\s*([\w\/-]+)\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+const loaded = new Map();
+
+class PromptTemplates {
+    /**
+     * @param {string} version - Directory name under prompts/
+     * @param {string} [dir] - Root holding manifest.json and the version directories
+     */
+    constructor(version, dir = PROMPTS_DIR) {
+        this.version = version;
+        this.dir = path.join(dir, version);
+        if (!fs.existsSync(this.dir)) {
+            throw new Error(`[PromptTemplates] Prompt version "${version}" not found in ${dir}.`);
+        }
+        this.files = {};
+        this._readDir(this.dir);
+        this.hash = this._fingerprint();
+    }
+
+    /**
+     * Shared, cached templates for a version (defaults to PROMPT_VERSION, then the manifest).
+     */
+    static load(version) {
+        const resolved = version || this.resolveVersion();
+        if (!loaded.has(resolved)) {
+            const templates = new PromptTemplates(resolved);
+            console.log(`[PromptTemplates] Using prompt ${templates.version} (${templates.hash}).`);
+            loaded.set(resolved, templates);
+        }
+        return loaded.get(resolved);
+    }
+
+    static resolveVersion() {
+        if (process.env.PROMPT_VERSION) return process.env.PROMPT_VERSION;
+        return this.manifest().current;
+    }
+
+    static manifest() {
+        return JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'manifest.json'), 'utf8'));
+    }
+
+    _readDir(dir) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this._readDir(fullPath);
+            if (!entry.name.endsWith('.md')) return;
+            const name = path.relative(this.dir, fullPath).replace(/\\/g, '/').replace(/\.md$/, '');
+            this.files[name] = fs.readFileSync(fullPath, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+        });
+    }
+
+    _fingerprint() {
+        const hash = crypto.createHash('sha256');
+        Object.keys(this.files).sort().forEach(name => {
+            hash.update(name).update('\0').update(this.files[name]).update('\0');
+        });
+        return hash.digest('hex').substring(0, 12);
+    }
+
+    has(name) {
+        return name in this.files;
+    }
+
+    /**
+     * Expands includes, then substitutes variables in a single pass
+     * (variable values are inserted verbatim and never re-scanned).
+     */
+    render(name, vars = {}) {
+        const expanded = this._expand(name, []);
+        return expanded.replace(VARIABLE_PATTERN, (match, key) => {
+            if (!(key in vars)) {
+                throw new Error(`[PromptTemplates] ${this.version}/${name}: no value for {{${key}}}.`);
+            }
+            return String(vars[key] ?? '');
+        });
+    }
+
+    _expand(name, stack) {
+        if (!this.has(name)) {
+            throw new Error(`[PromptTemplates] ${this.version}: template "${name}" not found${stack.length ? ` (included from ${stack[stack.length - 1]})` : ''}.`);
+        }
+        if (stack.includes(name)) {
+            throw new Error(`[PromptTemplates] ${this.version}: circular include ${[...stack, name].join(' → ')}.`);
+        }
+        return this.files[name].replace(INCLUDE_PATTERN, (match, include) => this._expand(include, [...stack, name]));
+    }
+}
+
+module.exports = PromptTemplates;
@@ -1,5 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const AIUsage = require('./aiUsage');
+const PromptBudget = require('./promptBudget');
+const GeometricWarning = require('./geometricWarning');
+const DeviceMatrix = require('./deviceMatrix');
+const BrowserMatrix = require('./browserMatrix');
 
 class ReportHelper {
     constructor() {
@@ -19,6 +24,15 @@ class ReportHelper {
 
         // Calculate Granular Summary
         data.summary.per_widget = this.calculatePerWidgetSummary(data.runs);
+        data.summary.per_profile = this.calculatePerProfileSummary(data.runs);
+        data.summary.per_browser = this.calculatePerBrowserSummary(data.runs);
+        data.summary.cross_browser = this.calculateCrossBrowserDiff(data.runs);
+        data.summary.cached = data.runs.filter(run => run.aiAnalysis?.cache?.hit).length;
+        data.summary.mock = data.runs.filter(run => run.aiAnalysis?.mock).length;
+        data.summary.prompt_versions = this.countPromptVersions(data.runs);
+        data.summary.usage = AIUsage.rollup(data.runs);
+        data.summary.contested = data.runs.filter(run => run.aiAnalysis?.consensus?.contested?.length > 0).length;
+        data.summary.accessibility = this.calculateAccessibilitySummary(data.runs);
 
         fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
         console.log(`[ReportHelper] Saved JSON report to ${jsonPath}`);
@@ -34,14 +48,75 @@ class ReportHelper {
     }
 
     calculatePerWidgetSummary(runs) {
+        return this.countRunsBy(runs, run => run.widgetType || 'UNKNOWN');
+    }
+
+    /**
+     * Run counts per device profile (deviceMatrix.js), labelled "Phone 390×844 @3x, touch".
+     */
+    calculatePerProfileSummary(runs) {
+        return this.countRunsBy(runs.filter(run => run.deviceProfile), run => DeviceMatrix.label(run.deviceProfile));
+    }
+
+    /**
+     * Run counts per browser engine (browserMatrix.js).
+     */
+    calculatePerBrowserSummary(runs) {
+        return this.countRunsBy(runs.filter(run => run.browser), run => BrowserMatrix.label(run.browser));
+    }
+
+    /**
+     * Compares runs of the same URL, widget and device profile across browser engines.
+     * A widget diverges when its overall status differs between engines; features that PASS in
+     * one engine and FAIL in another are listed with it (also when the overall status agrees).
+     */
+    calculateCrossBrowserDiff(runs) {
+        const groups = new Map();
+        runs.filter(run => run.browser).forEach(run => {
+            const key = [run.url, run.widgetId || '', run.expectedType || run.widgetType, run.deviceProfile?.name || ''].join('|');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(run);
+        });
+
+        const compared = [...groups.values()].filter(group => new Set(group.map(run => run.browser)).size > 1);
+        const widgets = compared.map(group => {
+            const statuses = Object.fromEntries(group.map(run => [run.browser, run.status]));
+            const features = {};
+            group.forEach(run => (run.aiAnalysis?.feature_results || []).forEach(f => {
+                if (!features[f.feature]) features[f.feature] = {};
+                features[f.feature][run.browser] = f.status;
+            }));
+            const divergingFeatures = Object.entries(features)
+                .filter(([, byBrowser]) => Object.values(byBrowser).includes('PASS') && Object.values(byBrowser).includes('FAIL'))
+                .map(([feature, byBrowser]) => ({ feature, statuses: byBrowser }));
+            const verdicts = new Set(Object.values(statuses));
+            return {
+                url: group[0].url,
+                widgetType: group[0].expectedType || group[0].widgetType,
+                deviceProfile: group[0].deviceProfile ? DeviceMatrix.label(group[0].deviceProfile) : null,
+                statuses,
+                divergent: verdicts.size > 1,
+                passFail: verdicts.has('PASS') && verdicts.has('FAIL'),
+                features: divergingFeatures
+            };
+        }).filter(entry => entry.divergent || entry.features.length > 0);
+
+        return {
+            compared: compared.length,
+            divergent: widgets.filter(entry => entry.divergent).length,
+            widgets: widgets.sort((a, b) => b.passFail - a.passFail || b.divergent - a.divergent)
+        };
+    }
+
+    countRunsBy(runs, keyOf) {
         const stats = {};
         runs.forEach(run => {
-            const type = run.widgetType || 'UNKNOWN';
+            const type = keyOf(run);
             if (!stats[type]) {
                 stats[type] = { tested: 0, passed: 0, failed: 0, errors: 0 };
             }
             stats[type].tested++;
-            if (run.status === 'ERROR') {
+            if (run.status === 'ERROR' || run.status === 'SCHEMA_ERROR') {
                 stats[type].errors++;
             } else if (run.status === 'PASS') {
                 stats[type].passed++;
@@ -52,9 +127,36 @@ class ReportHelper {
         return stats;
     }
 
+    /**
+     * axe violations per rule across all audited runs, most severe first.
+     */
+    calculateAccessibilitySummary(runs) {
+        const audited = runs.filter(run => run.accessibility && run.accessibility.status !== 'ERROR');
+        const rules = {};
+        audited.forEach(run => run.accessibility.rules.forEach(rule => {
+            if (!rules[rule.id]) rules[rule.id] = { impact: rule.impact, help: rule.help, helpUrl: rule.helpUrl, runs: 0, nodes: 0, blockingRuns: 0 };
+            rules[rule.id].runs++;
+            rules[rule.id].nodes += rule.nodes;
+            if (rule.blocking) rules[rule.id].blockingRuns++;
+        }));
+        const impacts = ['minor', 'moderate', 'serious', 'critical'];
+        return {
+            audited: audited.length,
+            failed: audited.filter(run => run.accessibility.status === 'FAIL').length,
+            rules: Object.fromEntries(Object.entries(rules)
+                .sort(([, a], [, b]) => impacts.indexOf(b.impact) - impacts.indexOf(a.impact) || b.runs - a.runs))
+        };
+    }
+
     printConsoleSummary(data) {
         console.log('\n=======================================');
         console.log(`Total Widgets Tested: ${data.summary.total}`);
+        if (data.summary.cached) console.log(`Cached Verdicts Reused: ${data.summary.cached}`);
+        if (data.summary.mock) console.log(`Mock Engine Verdicts: ${data.summary.mock}`);
+        console.log(`Prompt Version(s): ${this.formatPromptVersions(data.summary.prompt_versions)}`);
+        const usage = data.summary.usage.total;
+        console.log(`AI Usage: ${usage.calls} call(s), ${usage.totalTokens} tokens, ${AIUsage.formatCost(usage.costUsd)}${usage.unpricedCalls ? ` (+${usage.unpricedCalls} unpriced call(s))` : ''}`);
+        if (data.summary.contested) console.log(`Runs With Contested Categories: ${data.summary.contested}`);
         Object.entries(data.summary.per_widget).forEach(([type, s]) => {
             console.log(`\n${type.toLowerCase()}:`);
             console.log(`  Widgets Tested: ${s.tested}`);
@@ -72,10 +174,249 @@ class ReportHelper {
             case 'Not Applicable': return 'na';
             case 'WARNING': return 'warn';
             case 'ERROR': return 'error';
+            case 'SCHEMA_ERROR': return 'error';
             default: return 'warn';
         }
     }
 
+    /**
+     * Runs per prompt template version ("v1 (3f2a9c...)" → count).
+     */
+    countPromptVersions(runs) {
+        const counts = {};
+        runs.forEach(run => {
+            if (!run.promptVersion) return;
+            const key = run.promptHash ? `${run.promptVersion} (${run.promptHash})` : run.promptVersion;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    formatPromptVersions(versions = {}) {
+        const entries = Object.entries(versions);
+        if (entries.length === 0) return 'unknown';
+        return entries.map(([version, runs]) => `${version} × ${runs}`).join(', ');
+    }
+
+    /**
+     * Vote split badge for a consensus-merged result row (empty when unanimous or not voted).
+     */
+    consensusBadge(consensus) {
+        if (!consensus || !consensus.contested) return '';
+        const split = Object.entries(consensus.votes).map(([status, count]) => `${count} ${status}`).join(' / ');
+        return `<span class="badge contested" title="Disagreement ${Math.round(consensus.disagreement * 100)}%">Contested: ${split}</span>`;
+    }
+
+    /**
+     * Table of the automation's geometric warnings (truth data sent with the prompt), FAIL first.
+     */
+    renderGeometricWarnings(warnings = []) {
+        if (!warnings || warnings.length === 0) return '';
+        const order = GeometricWarning.SEVERITIES;
+        const rows = GeometricWarning.fromAll(warnings)
+            .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+        const rowClass = { FAIL: 'fail-row', WARN: 'warn-row', INFO: 'na-row' };
+        const badgeClass = { FAIL: 'fail', WARN: 'error', INFO: 'na' };
+        const escape = text => this.escapeHtml(text);
+
+        return `
+                                    <h4 style="margin-top: 20px; margin-bottom: 10px; color: #333;">Geometric Warnings (Automation Truth Data)</h4>
+                                    <table>
+                                        <thead>
+                                            <tr><th>Code</th><th>Severity</th><th>Category</th><th>Element</th><th>Measured</th><th>Source</th><th>Message</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            ${rows.map(w => `
+                                                <tr class="${rowClass[w.severity]}">
+                                                    <td>${escape(w.code)}</td>
+                                                    <td><span class="badge ${badgeClass[w.severity]}">${w.severity}</span></td>
+                                                    <td>${escape(w.categoryLabel || '—')}</td>
+                                                    <td><code title="${escape(w.selector)}">${escape(w.selector && w.selector.length > 40 ? `${w.selector.substring(0, 40)}…` : (w.selector || '—'))}</code></td>
+                                                    <td>${escape(w.measuredText() || '—')}</td>
+                                                    <td>${escape(w.source)}</td>
+                                                    <td>${escape(w.message)}</td>
+                                                </tr>
+                                                `).join('')}
+                                        </tbody>
+                                    </table>`;
+    }
+
+    /**
+     * Media audit table (mediaAudit.js): every widget asset with its status, MIME and sizes, defects first.
+     */
+    renderMediaAudit(audit) {
+        if (!audit || !audit.assets || audit.assets.length === 0) return '';
+        const escape = text => this.escapeHtml(text);
+        const size = s => (s ? `${s.width}x${s.height}` : '—');
+        const rows = [...audit.assets].sort((a, b) => Boolean(b.defect) - Boolean(a.defect));
+
+        return `
+                                    <details${audit.defects > 0 ? ' open' : ''} style="margin-top: 20px;">
+                                        <summary><strong>Media Assets</strong> (${audit.assets.length} audited, ${audit.defects} defect(s), DPR ${audit.dpr})</summary>
+                                        <table>
+                                            <thead>
+                                                <tr><th>Type</th><th>URL</th><th>HTTP</th><th>MIME</th><th>Natural</th><th>Rendered</th><th>Upscale</th><th>Defect</th></tr>
+                                            </thead>
+                                            <tbody>
+                                                ${rows.map(a => `
+                                                    <tr class="${a.defect ? 'fail-row' : ''}">
+                                                        <td>${escape(a.kind)}</td>
+                                                        <td><code title="${escape(a.url)}">${escape(a.url.length > 60 ? `${a.url.substring(0, 60)}…` : a.url)}</code></td>
+                                                        <td>${a.unverified ? `<span title="${escape(a.unverified)}">unverified</span>` : escape(a.status ?? '—')}</td>
+                                                        <td>${escape(a.mime || '—')}</td>
+                                                        <td>${size(a.natural)}</td>
+                                                        <td>${size(a.rendered)}</td>
+                                                        <td>${a.upscale ? `${a.upscale}x` : '—'}</td>
+                                                        <td>${a.defect ? `<span class="badge fail">${a.defect}</span>` : ''}</td>
+                                                    </tr>
+                                                    `).join('')}
+                                            </tbody>
+                                        </table>
+                                    </details>`;
+    }
+
+    /**
+     * Per-rule axe violations of one run (accessibilityAudit.js); rules at or above the threshold are marked blocking.
+     */
+    renderAccessibility(section) {
+        if (!section) return '';
+        if (section.status === 'ERROR') {
+            return `
+                                    <div style="margin-top: 20px; color: #92400e; background: #fffbeb; padding: 10px; border-radius: 4px; font-size: 13px;">
+                                        <strong>Accessibility:</strong> axe-core audit failed to run (${this.escapeHtml(section.error)}).
+                                    </div>`;
+        }
+        const counts = Object.entries(section.byImpact).filter(([, n]) => n > 0).map(([impact, n]) => `${n} ${impact}`).join(', ') || 'no violations';
+
+        return `
+                                    <h4 style="margin-top: 20px; margin-bottom: 10px; color: #333;">Accessibility (axe-core) <span class="badge ${this.getBadgeClass(section.status)}">${section.status}</span></h4>
+                                    <p style="color: #64748b; font-size: 12px; margin: 0 0 10px;">${counts} · fails on ${section.failOn}${section.failOn === 'none' ? '' : ' or worse'} · ${section.passes} rule(s) passed, ${section.incomplete} need review${section.ignoredRules.length ? ` · not run: ${section.ignoredRules.join(', ')}` : ''}</p>
+                                    ${section.rules.length > 0 ? `
+                                    <table>
+                                        <thead>
+                                            <tr><th>Rule</th><th>Impact</th><th>Description</th><th>Elements</th><th>Targets</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            ${section.rules.map(r => `
+                                                <tr class="${r.blocking ? 'fail-row' : ''}">
+                                                    <td><a href="${r.helpUrl}" target="_blank"><code>${r.id}</code></a></td>
+                                                    <td>${r.blocking ? `<span class="badge fail">${r.impact}</span>` : r.impact}</td>
+                                                    <td>${this.escapeHtml(r.help)}</td>
+                                                    <td>${r.nodes}</td>
+                                                    <td>${r.targets.map(t => `<code>${this.escapeHtml(t)}</code>`).join('<br>')}</td>
+                                                </tr>
+                                                `).join('')}
+                                        </tbody>
+                                    </table>` : ''}`;
+    }
+
+    /**
+     * Dark-mode pass (darkModeAudit.js): contrast per text role, the dark recapture and the samples, failing first.
+     */
+    renderDarkMode(section) {
+        if (!section) return '';
+        if (section.status === 'ERROR') {
+            return `
+                                    <div style="margin-top: 20px; color: #92400e; background: #fffbeb; padding: 10px; border-radius: 4px; font-size: 13px;">
+                                        <strong>Dark Mode:</strong> prefers-color-scheme pass failed to run (${this.escapeHtml(section.error)}).
+                                    </div>`;
+        }
+        const swatch = color => (color ? `<span style="display: inline-block; width: 12px; height: 12px; border: 1px solid #ccc; vertical-align: middle; background: ${color};"></span> ${color}` : '—');
+        const roles = Object.entries(section.byRole).map(([role, stats]) =>
+            `${role === 'name' ? 'names' : 'review text'}: min ${stats.minRatio ?? '—'}:1${stats.failing ? ` (${stats.failing} failing)` : ''}${stats.unmeasured ? `, ${stats.unmeasured} unmeasured` : ''}`).join(' · ') || 'no text found';
+
+        return `
+                                    <details${section.status === 'FAIL' ? ' open' : ''} style="margin-top: 20px;">
+                                        <summary><strong>Dark Mode (prefers-color-scheme: dark)</strong> <span class="badge ${this.getBadgeClass(section.status)}">${section.status}</span> ${roles} · WCAG AA ${section.minContrast}:1${section.prefersDark ? '' : ' · page ignored the dark scheme'}</summary>
+                                        ${section.screenshotPath ? this.renderFeatureShots([section.screenshotPath]) : ''}
+                                        ${section.samples.length > 0 ? `
+                                        <table>
+                                            <thead>
+                                                <tr><th>Role</th><th>Text</th><th>Color</th><th>Background</th><th>Ratio</th><th>Required</th></tr>
+                                            </thead>
+                                            <tbody>
+                                                ${section.samples.map(s => `
+                                                    <tr class="${s.failed ? 'fail-row' : ''}">
+                                                        <td>${s.role}</td>
+                                                        <td title="${this.escapeHtml(s.element)}">${this.escapeHtml(s.text)}</td>
+                                                        <td>${swatch(s.color)}</td>
+                                                        <td>${s.unmeasured ? this.escapeHtml(s.unmeasured) : swatch(s.background)}</td>
+                                                        <td>${s.ratio !== null ? `${s.ratio}:1` : '—'}</td>
+                                                        <td>${s.required}:1${s.large ? ' (large)' : ''}</td>
+                                                    </tr>
+                                                    `).join('')}
+                                            </tbody>
+                                        </table>` : ''}
+                                    </details>`;
+    }
+
+    /**
+     * Thumbnails of the screenshots behind an automation feature result (keyboard and reduced-motion passes).
+     */
+    renderFeatureShots(paths) {
+        if (!paths || paths.length === 0) return '';
+        return `<div style="margin-top: 6px;">${paths.map((pathVal, i) =>
+            `<img src="${this.imageSrc(pathVal)}" alt="Step ${i + 1}" title="${this.escapeHtml(path.basename(pathVal))}" style="max-width: 160px; max-height: 100px; margin: 2px; border: 1px solid #ddd;">`).join('')}</div>`;
+    }
+
+    /**
+     * Embeds a screenshot as Base64 so it stays visible in CI artifacts; falls back to the path.
+     */
+    imageSrc(pathVal) {
+        try {
+            if (fs.existsSync(pathVal)) return `data:image/png;base64,${fs.readFileSync(pathVal).toString('base64')}`;
+        } catch (e) {
+            console.warn(`[ReportHelper] Failed to embed image ${pathVal}: ${e.message}`);
+        }
+        return pathVal;
+    }
+
+    /**
+     * Runs grouped by device profile in matrix order (first appearance); runs without a profile form one unlabelled group.
+     * @returns {Array<[string, Object[]]>}
+     */
+    groupRunsByProfile(runs) {
+        const groups = new Map();
+        runs.forEach(run => {
+            const label = run.deviceProfile ? DeviceMatrix.label(run.deviceProfile) : '';
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(run);
+        });
+        return [...groups.entries()];
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Groups the AI's defect boxes by screenshot index for the overlay renderer.
+     * @returns {Object<number, Array<{label: string, category: string, issue: string, box: number[]}>>}
+     */
+    defectBoxesByImage(aiAnalysis) {
+        const byImage = {};
+        (aiAnalysis?.aesthetic_results || []).forEach(a => {
+            if (a.status !== 'FAIL' || !Array.isArray(a.locations)) return;
+            const label = (a.category || '').trim().charAt(0) || '?';
+            a.locations.forEach(loc => {
+                if (!byImage[loc.image_index]) byImage[loc.image_index] = [];
+                byImage[loc.image_index].push({ label, category: a.category, issue: a.issue || '', box: loc.box_2d });
+            });
+        });
+        return byImage;
+    }
+
+    /**
+     * Absolutely-positioned boxes over a screenshot; box_2d is [ymin, xmin, ymax, xmax] on a 0-1000 scale.
+     */
+    renderDefectOverlays(boxes = []) {
+        return boxes.map(({ label, category, issue, box }) => {
+            const [ymin, xmin, ymax, xmax] = box;
+            const title = `${category}: ${issue}`.replace(/"/g, '&quot;');
+            return `<div class="defect-box" title="${title}" style="top: ${ymin / 10}%; left: ${xmin / 10}%; height: ${(ymax - ymin) / 10}%; width: ${(xmax - xmin) / 10}%;"><span class="defect-label">${label}</span></div>`;
+        }).join('');
+    }
+
     generateHtml(data) {
         const { summary, runs } = data;
 
@@ -114,6 +455,12 @@ class ReportHelper {
                 .fail { background: #ffebee; color: #c62828; }
                 .error { background: #fff3e0; color: #ef6c00; }
                 .warn { background: #f5f5f5; color: #616161; }
+                .cached { background: #ede9fe; color: #5b21b6; margin-right: 8px; }
+                .mock { background: #e0f2fe; color: #075985; margin-right: 8px; }
+                .shot-frame { position: relative; display: inline-block; max-width: 100%; }
+                .defect-box { position: absolute; border: 3px solid #dc2626; background: rgba(220, 38, 38, 0.12); box-sizing: border-box; pointer-events: auto; }
+                .defect-label { position: absolute; top: -3px; left: -3px; transform: translateY(-100%); background: #dc2626; color: #fff; font-size: 12px; font-weight: bold; padding: 1px 6px; border-radius: 3px 3px 0 0; }
+                .contested { background: #fef3c7; color: #92400e; margin-left: 8px; white-space: nowrap; }
 
                 table { width: 100%; border-collapse: collapse; margin-top: 15px; border-radius: 8px; overflow: hidden; }
                 th, td { text-align: left; padding: 14px; border-bottom: 1px solid #eee; }
@@ -142,6 +489,11 @@ class ReportHelper {
                 <div class="header">
                     <h1>AI Visual Validation Dashboard</h1>
                     <p>Generated: ${new Date().toLocaleString()}</p>
+                    <p>📝 Prompt: ${this.formatPromptVersions(summary.prompt_versions)}</p>
+                    ${summary.budget ? `<p>💸 Batch stopped early by the AI budget cap (${summary.budget.reason}); ${summary.budget.skipped} URL(s) deferred to the next run.</p>` : ''}
+                    ${summary.contested ? `<p>🗳️ ${summary.contested} run(s) have categories where the consensus voters disagreed — treat those verdicts as possible model noise.</p>` : ''}
+                    ${summary.mock ? `<p>🧪 ${summary.mock} verdict(s) came from the offline mock engine, not a vision model.</p>` : ''}
+                    ${summary.cached ? `<p>♻️ ${summary.cached} verdict(s) reused from the AI result cache (identical screenshots, prompt and model).</p>` : ''}
                 </div>
 
                 <div class="dashboard">
@@ -174,17 +526,162 @@ class ReportHelper {
                         `).join('')}
                     </tbody>
                 </table>
-                ${runs.map(run => `
+
+                ${Object.keys(summary.per_profile || {}).length > 0 ? `
+                <h2>Summary by Device Profile</h2>
+                <table class="summary-table">
+                    <thead>
+                        <tr>
+                            <th>Device Profile</th>
+                            <th>Widgets Tested</th>
+                            <th>Passed (Widgets)</th>
+                            <th>Failed (Widgets)</th>
+                            <th>Errors</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(summary.per_profile).map(([profile, s]) => `
+                            <tr>
+                                <td><strong>${profile}</strong></td>
+                                <td>${s.tested}</td>
+                                <td style="color:#2e7d32">${s.passed}</td>
+                                <td style="color:#c62828">${s.failed}</td>
+                                <td style="color:#ef6c00">${s.errors}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+
+                ${Object.keys(summary.per_browser || {}).length > 1 ? `
+                <h2>Summary by Browser</h2>
+                <table class="summary-table">
+                    <thead>
+                        <tr>
+                            <th>Browser</th>
+                            <th>Widgets Tested</th>
+                            <th>Passed (Widgets)</th>
+                            <th>Failed (Widgets)</th>
+                            <th>Errors</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(summary.per_browser).map(([browser, s]) => `
+                            <tr>
+                                <td><strong>${browser}</strong></td>
+                                <td>${s.tested}</td>
+                                <td style="color:#2e7d32">${s.passed}</td>
+                                <td style="color:#c62828">${s.failed}</td>
+                                <td style="color:#ef6c00">${s.errors}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+                ${summary.cross_browser?.compared > 0 ? `
+                <h2>Cross-Browser Diff</h2>
+                <p style="color: #64748b; font-size: 13px;">${summary.cross_browser.compared} widget(s) run in more than one engine, ${summary.cross_browser.divergent} with a different verdict per engine.</p>
+                <table class="summary-table">
+                    <thead>
+                        <tr><th>Widget</th><th>Device Profile</th><th>Verdict per Browser</th><th>Features Passing in One Engine, Failing in Another</th></tr>
+                    </thead>
+                    <tbody>
+                        ${summary.cross_browser.widgets.length === 0 ? '<tr><td colspan="4">Every widget got the same verdict in every engine.</td></tr>' : ''}
+                        ${summary.cross_browser.widgets.map(entry => `
+                            <tr${entry.passFail ? ' style="background: #fff5f5;"' : ''}>
+                                <td><strong>${entry.widgetType}</strong><br><a href="${entry.url}" target="_blank">${this.escapeHtml(entry.url)}</a></td>
+                                <td>${entry.deviceProfile || '-'}</td>
+                                <td>${Object.entries(entry.statuses).map(([browser, status]) => `${BrowserMatrix.label(browser)} <span class="badge ${this.getBadgeClass(status)}">${status}</span>`).join('<br>')}</td>
+                                <td>${entry.features.length === 0 ? '-' : entry.features.map(f => `${this.escapeHtml(f.feature)}: ${Object.entries(f.statuses).map(([browser, status]) => `${BrowserMatrix.label(browser)} ${status}`).join(', ')}`).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+
+                <h2>AI Usage & Cost</h2>
+                <table class="summary-table">
+                    <thead>
+                        <tr>
+                            <th>Widget Type</th>
+                            <th>Runs</th>
+                            <th>AI Calls</th>
+                            <th>Retries</th>
+                            <th>Prompt Tokens (Image)</th>
+                            <th>Output Tokens</th>
+                            <th>Latency</th>
+                            <th>Cost (USD)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${[...Object.entries(summary.usage.per_widget), ['TOTAL', summary.usage.total]].map(([type, u]) => `
+                            <tr${type === 'TOTAL' ? ' style="font-weight: bold; background: #fafafa;"' : ''}>
+                                <td>${type === 'TOTAL' ? 'Total' : `<strong>${type}</strong>`}</td>
+                                <td>${u.runs}</td>
+                                <td>${u.calls}</td>
+                                <td>${u.retries}${u.schemaRetries ? ` (${u.schemaRetries} schema)` : ''}</td>
+                                <td>${u.promptTokens.toLocaleString()} (${u.imageTokens.toLocaleString()})</td>
+                                <td>${u.outputTokens.toLocaleString()}</td>
+                                <td>${(u.latencyMs / 1000).toFixed(1)}s</td>
+                                <td>${AIUsage.formatCost(u.costUsd)}${u.unpricedCalls ? ` <span title="Calls to models without a known price">+${u.unpricedCalls} unpriced</span>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${summary.accessibility?.audited > 0 ? `
+                <h2>Accessibility by Rule</h2>
+                <p style="color: #64748b; font-size: 13px;">${summary.accessibility.audited} widget(s) audited with axe-core, ${summary.accessibility.failed} failed their widget type's threshold.</p>
+                <table class="summary-table">
+                    <thead>
+                        <tr><th>Rule</th><th>Impact</th><th>Description</th><th>Widgets</th><th>Elements</th><th>Failing Widgets</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.keys(summary.accessibility.rules).length === 0 ? '<tr><td colspan="6">No violations.</td></tr>' : ''}
+                        ${Object.entries(summary.accessibility.rules).map(([id, r]) => `
+                            <tr>
+                                <td><a href="${r.helpUrl}" target="_blank"><code>${id}</code></a></td>
+                                <td>${r.impact}</td>
+                                <td>${this.escapeHtml(r.help)}</td>
+                                <td>${r.runs}</td>
+                                <td>${r.nodes}</td>
+                                <td style="color:#c62828">${r.blockingRuns}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>` : ''}
+                ${this.groupRunsByProfile(runs).map(([profileLabel, group]) => `
+                ${profileLabel ? `<h2>📐 ${profileLabel}</h2>` : ''}
+                ${group.map(run => `
                     <div class="run-card">
                         <div class="run-header">
                             <div>
-                                <strong>${run.widgetType}</strong> | 
+                                <strong>${run.widgetType}</strong>${run.deviceProfile ? ` (${run.deviceProfile.label})` : ''}${run.browser ? ` 🌐 ${BrowserMatrix.label(run.browser)}` : ''} | 
                                 <a href="${run.url}" target="_blank">${run.url}</a>
                             </div>
-                            <span class="badge ${this.getBadgeClass(run.status)}">${run.status}</span>
+                            <div>
+                                ${run.aiAnalysis?.mock ? `<span class="badge mock">Mock</span>` : ''}
+                                ${run.aiAnalysis?.cache?.hit ? `<span class="badge cached" title="Cached ${run.aiAnalysis.cache.cachedAt}${run.aiAnalysis.cache.hashMode === 'perceptual' ? ' (perceptual match)' : ''}">Cached</span>` : ''}
+                                ${run.aiAnalysis?.consensus?.contested?.length ? `<span class="badge contested" style="margin: 0 8px 0 0;">Contested</span>` : ''}
+                                <span class="badge ${this.getBadgeClass(run.status)}">${run.status}</span>
+                            </div>
                         </div>
                         <div class="run-body">
+                            ${run.promptVersion ? `<div style="margin-bottom: 15px; color: #64748b; font-size: 12px;">
+                                📝 Prompt ${run.promptVersion}${run.promptHash ? ` (${run.promptHash})` : ''}
+                            </div>` : ''}
+                            ${run.aiAnalysis?.usage ? `<div style="margin-bottom: 15px; color: #64748b; font-size: 12px;">
+                                📊 ${run.aiAnalysis.usage.calls} AI call(s) · ${run.aiAnalysis.usage.retries} retr${run.aiAnalysis.usage.retries === 1 ? 'y' : 'ies'} · ${run.aiAnalysis.usage.totalTokens.toLocaleString()} tokens · ${(run.aiAnalysis.usage.latencyMs / 1000).toFixed(1)}s · ${AIUsage.formatCost(run.aiAnalysis.usage.costUsd)}
+                            </div>` : ''}
+                            ${run.aiAnalysis?.promptBudget ? `<div style="margin-bottom: 15px; color: #64748b; font-size: 12px;">
+                                ✂️ Prompt budget: ${PromptBudget.summarize(run.aiAnalysis.promptBudget)}${run.aiAnalysis.promptBudget.feeds.dropped.length ? `<br>Feeds not sent: ${run.aiAnalysis.promptBudget.feeds.dropped.map(d => `#${d.id} (${d.reason})`).join(', ')}` : ''}
+                            </div>` : ''}
+                            ${run.aiAnalysis?.preprocessing ? `<div style="margin-bottom: 15px; color: #64748b; font-size: 12px;">
+                                🖼️ ${run.aiAnalysis.preprocessing.sourceImages} screenshot(s) → ${run.aiAnalysis.preprocessing.aiImages} AI image(s) · ${(run.aiAnalysis.preprocessing.originalBytes / 1e6).toFixed(1)}MB → ${(run.aiAnalysis.preprocessing.processedBytes / 1e6).toFixed(1)}MB${run.aiAnalysis.preprocessing.droppedDuplicates.length ? ` · ${run.aiAnalysis.preprocessing.droppedDuplicates.length} duplicate frame(s) not sent` : ''}
+                            </div>` : ''}
                             ${run.error ? `<div style="color:red; padding:10px; background:#fff0f0; border-radius:4px;">Error: ${run.error}</div>` : `
+                                ${run.aiAnalysis.schema_errors && run.aiAnalysis.schema_errors.length > 0 ? `
+                                    <div style="margin-bottom: 20px; color: #9a3412; background: #fff7ed; border: 1px solid #fdba74; padding: 10px 14px; border-radius: 4px; font-size: 13px;">
+                                        <strong>SCHEMA_ERROR:</strong> The AI verdict did not match the required format, even after a corrective re-ask.
+                                        <ul style="margin: 6px 0 0 18px; padding: 0;">${run.aiAnalysis.schema_errors.map(e => `<li>${e}</li>`).join('')}</ul>
+                                    </div>
+                                ` : ''}
                                 <details style="margin-bottom: 20px; border: 1px solid #e2e8f0; border-radius: 8px; overflow: hidden;">
                                     <summary style="padding: 12px 20px; background: #fff5eb; color: #92400e; font-weight: 600; cursor: pointer; display: flex; align-items: center; justify-content: space-between;">
                                         <span>🔍 AI Reasoning / Thinking (Chain of Thought)</span>
@@ -216,14 +713,14 @@ class ReportHelper {
                                                     <td>${uiStatus}</td>
                                                     <td>${configStatus}</td>
                                                     <td>${f.issue || f.scenario || 'N/A'}</td>
-                                                    <td><span class="badge ${badgeClass}">${f.status}</span></td>
-                                                    <td>${f.remarks || f.warning || ''}</td>
+                                                    <td><span class="badge ${badgeClass}">${f.status}</span>${this.consensusBadge(f.consensus)}</td>
+                                                    <td>${f.remarks || f.warning || ''}${this.renderFeatureShots(f.screenshotPaths)}</td>
                                                 </tr>
                                                 `;
         }).join('')}
                                         </tbody>
                                     </table>
-                                 ` : (run.status === 'ERROR' ? `
+                                 ` : (run.status === 'ERROR' || run.status === 'SCHEMA_ERROR' ? `
                                     <div style="margin-top: 20px; color: #92400e; background: #fffbeb; padding: 10px; border-radius: 4px; font-size: 13px;">
                                         <strong>UI Aesthetics:</strong> Analysis skipped due to engine error.
                                     </div>
@@ -233,6 +730,15 @@ class ReportHelper {
                                     </div>
                                 `)}
 
+                                ${run.aiAnalysis.consensus ? `
+                                    <div style="margin-top: 20px; color: #92400e; background: #fffbeb; padding: 10px; border-radius: 4px; font-size: 13px;">
+                                        <strong>Consensus:</strong> ${run.aiAnalysis.consensus.valid_votes}/${run.aiAnalysis.consensus.voters.length} valid votes (${run.aiAnalysis.consensus.voters.join('; ')}).
+                                        ${run.aiAnalysis.consensus.contested.length > 0
+                    ? `Contested categories: <strong>${run.aiAnalysis.consensus.contested.join(', ')}</strong>.`
+                    : 'All categories unanimous.'}
+                                    </div>
+                                ` : ''}
+
                                 ${run.aiAnalysis.aesthetic_results && run.aiAnalysis.aesthetic_results.length > 0 ? `
                                     <h4 style="margin-top: 20px; margin-bottom: 10px; color: #333;">UI Aesthetic Checks</h4>
                                     <table>
@@ -248,9 +754,9 @@ class ReportHelper {
             return `
                                                 <tr class="${rowClass}">
                                                     <td>${a.category || 'Visual Check'}</td>
-                                                    <td>${a.issue || 'N/A'}</td>
+                                                    <td>${a.issue || 'N/A'}${!isPass && a.locations?.length ? `<div style="margin-top: 4px; font-size: 12px;">📍 Marked on screenshot ${[...new Set(a.locations.map(l => l.image_index + 1))].join(', ')}</div>` : ''}${a.rejected_locations?.length ? `<div style="margin-top: 4px; font-size: 12px; color: #6b7280;" title="${a.rejected_locations.map(l => l.reason).join('; ')}">${a.rejected_locations.length} out-of-bounds box(es) rejected</div>` : ''}</td>
                                                     <td><span class="badge ${isPass ? 'pass' : 'warn'}">${a.severity || 'N/A'}</span></td>
-                                                    <td><span class="badge ${badgeClass}">${a.status || 'FAIL'}</span></td>
+                                                    <td><span class="badge ${badgeClass}">${a.status || 'FAIL'}</span>${this.consensusBadge(a.consensus)}</td>
                                                 </tr>
                                                 `;
         }).join('')}
@@ -262,26 +768,24 @@ class ReportHelper {
                                     </div>
                                 `}
 
-                                <details>
+                                ${this.renderGeometricWarnings(run.geometricWarnings)}
+                                ${this.renderMediaAudit(run.mediaAudit)}
+                                ${this.renderAccessibility(run.accessibility)}
+                                ${this.renderDarkMode(run.darkMode)}
+
+                                <details${Object.keys(this.defectBoxesByImage(run.aiAnalysis)).length > 0 ? ' open' : ''}>
                                     <summary>View Screenshot(s) & Config</summary>
                                     <div style="margin-top: 15px;">
                                         <h4>Isolated Widget Screenshot(s)</h4>
                                         <div style="max-height: 500px; overflow-y: auto; border: 1px solid #eee; border-radius: 4px; background: #f9f9f9; text-align: center;">
-                                            ${(run.screenshotPaths || [run.screenshotPath]).map(pathVal => {
-            let src = pathVal;
-            // Embed image as Base64 to ensure visibility in CI artifacts
-            try {
-                if (fs.existsSync(pathVal)) {
-                    const imgBuffer = fs.readFileSync(pathVal);
-                    const base64Image = imgBuffer.toString('base64');
-                    src = `data:image/png;base64,${base64Image}`;
-                }
-            } catch (e) {
-                console.warn(`[ReportHelper] Failed to embed image ${pathVal}: ${e.message}`);
-            }
+                                            ${(run.screenshotPaths || [run.screenshotPath]).map((pathVal, imageIndex) => {
+            const src = this.imageSrc(pathVal);
             return `
                                                 <div style="margin-bottom: 20px;">
-                                                    <img src="${src}" alt="Widget Screenshot" style="max-width: 100%; height: auto; border: 1px solid #ddd;">
+                                                    <div class="shot-frame">
+                                                        <img src="${src}" alt="Widget Screenshot ${imageIndex + 1}" style="display: block; max-width: 100%; height: auto; border: 1px solid #ddd;">
+                                                        ${this.renderDefectOverlays(this.defectBoxesByImage(run.aiAnalysis)[imageIndex])}
+                                                    </div>
                                                 </div>
                                                 `;
         }).join('')}
@@ -294,7 +798,7 @@ class ReportHelper {
                             `}
                         </div>
                     </div>
-                `).join('')}
+                `).join('')}`).join('')}
             </div>
         </body>
         </html>
@@ -0,0 +1,139 @@
+/**
+ * verdictConsensus.js
+ * Merges several independent AI verdicts for the same widget by majority vote.
+ *
+ * Each aesthetic category and each feature gets a `consensus` block:
+ *   { votes: { PASS: 2, FAIL: 1 }, disagreement: 0.33, contested: true }
+ * where disagreement = share of voters that did not side with the majority.
+ * Ties resolve to FAIL so a split panel never hides a possible regression.
+ *
+ * The merged overall_status follows the merged rows (FAIL if any row FAILs), so it never
+ * disagrees with what the report shows; the voters' own overall votes are kept for reference.
+ */
+
+const ERROR_STATUSES = ['ERROR', 'SCHEMA_ERROR'];
+
+class VerdictConsensus {
+    /**
+     * @param {Object[]} verdicts - Post-processed AIEngine results, one per voter
+     * @param {string[]} labels - Voter labels, aligned with verdicts
+     * @returns {Object} Merged verdict with a top-level `consensus` summary
+     */
+    static merge(verdicts, labels) {
+        const voters = verdicts
+            .map((verdict, i) => ({ verdict, label: labels[i] || `Voter ${i + 1}` }))
+            .filter(v => v.verdict && !ERROR_STATUSES.includes(v.verdict.status) && !ERROR_STATUSES.includes(v.verdict.overall_status));
+
+        if (voters.length === 0) {
+            // Nothing usable to vote on — surface the first voter's failure as-is
+            return verdicts[0];
+        }
+
+        const aestheticResults = this._mergeGroup(
+            voters,
+            v => v.verdict.aesthetic_results || [],
+            a => this._categoryKey(a.category)
+        );
+        const featureResults = this._mergeGroup(
+            voters,
+            v => v.verdict.feature_results || [],
+            f => this._featureKey(f.feature)
+        );
+
+        const overallVote = this._vote(voters.map(v => v.verdict.overall_status).filter(Boolean));
+        const rows = [...aestheticResults, ...featureResults];
+        // Voters that failed the widget on different rows are outvoted on each of them; only
+        // without any rows to go on does the overall vote decide
+        const overallStatus = rows.length > 0
+            ? (rows.some(r => r.status === 'FAIL') ? 'FAIL' : 'PASS')
+            : (overallVote.status || 'PASS');
+
+        const categories = {};
+        aestheticResults.forEach(a => {
+            categories[a.category] = a.consensus;
+        });
+
+        return {
+            overall_status: overallStatus,
+            analysis_message: voters
+                .map(v => `=== ${v.label} (voted ${v.verdict.overall_status || 'UNKNOWN'}) ===\n${v.verdict.analysis_message || 'No additional reasoning provided.'}`)
+                .join('\n\n'),
+            feature_results: featureResults,
+            aesthetic_results: aestheticResults,
+            consensus: {
+                voters: labels,
+                valid_votes: voters.length,
+                overall_votes: overallVote.votes,
+                categories,
+                contested: aestheticResults.filter(a => a.consensus.contested).map(a => a.category),
+                contested_features: featureResults.filter(f => f.consensus.contested).map(f => f.feature)
+            }
+        };
+    }
+
+    /**
+     * Groups results across voters by key and resolves each group by majority.
+     * Keeps the first voter's ordering; items only some voters reported still vote with what they have.
+     */
+    static _mergeGroup(voters, getItems, getKey) {
+        const groups = new Map();
+        voters.forEach(v => {
+            getItems(v).forEach(item => {
+                const key = getKey(item);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(item);
+            });
+        });
+
+        return Array.from(groups.values()).map(items => {
+            const { status, votes, disagreement } = this._vote(items.map(i => i.status));
+            // Report the reasoning of a voter that sided with the majority
+            const representative = items.find(i => i.status === status) || items[0];
+            return {
+                ...representative,
+                status,
+                consensus: {
+                    votes,
+                    disagreement,
+                    contested: disagreement > 0
+                }
+            };
+        });
+    }
+
+    static _vote(statuses) {
+        const votes = {};
+        statuses.forEach(s => {
+            votes[s] = (votes[s] || 0) + 1;
+        });
+
+        const ranked = Object.entries(votes).sort((a, b) => {
+            if (b[1] !== a[1]) return b[1] - a[1];
+            // Tie-break: FAIL wins, so disagreement never masks a failure
+            if (a[0] === 'FAIL') return -1;
+            if (b[0] === 'FAIL') return 1;
+            return 0;
+        });
+
+        const total = statuses.length;
+        const top = ranked[0];
+        return {
+            status: top ? top[0] : null,
+            votes,
+            disagreement: total > 0 ? Math.round(((total - top[1]) / total) * 100) / 100 : 0
+        };
+    }
+
+    static _categoryKey(category) {
+        if (typeof category !== 'string') return null;
+        const match = category.trim().match(/^([A-G])\./i);
+        return match ? match[1].toUpperCase() : category.trim().toUpperCase();
+    }
+
+    static _featureKey(feature) {
+        return typeof feature === 'string' ? feature.toLowerCase().replace(/[_\- ]/g, '') : null;
+    }
+}
+
+module.exports = VerdictConsensus;
@@ -0,0 +1,240 @@
+/**
+ * verdictSchema.js
+ * Formal contract for the AI verdict JSON and a dependency-free validator.
+ *
+ * The schema mirrors the JSON OUTPUT FORMAT section of PromptBuilder:
+ *   - feature_results[]   : feature, ui_status, config_status, status (+ optional issue/remarks)
+ *   - aesthetic_results[] : exactly the seven A–G categories, each once
+ *                           (FAIL categories may cite `locations` — see sanitizeLocations)
+ *   - overall_status      : PASS / FAIL
+ */
+
+const FEATURE_STATUSES = ['PASS', 'FAIL', 'Not Applicable'];
+const AESTHETIC_STATUSES = ['PASS', 'FAIL'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'N/A'];
+const OVERALL_STATUSES = ['PASS', 'FAIL'];
+
+const AESTHETIC_CATEGORIES = {
+    A: 'A. LAYOUT & SPACING',
+    B: 'B. ELEMENT CONTAINMENT',
+    C: 'C. CONTENT & TEXT RENDERING',
+    D: 'D. AVATAR RENDERING',
+    E: 'E. MEDIA & IMAGES',
+    F: 'F. THEME & COLOR VISIBILITY',
+    G: 'G. POPUPS & MODALS'
+};
+
+const VERDICT_SCHEMA = {
+    required: ['feature_results', 'aesthetic_results', 'overall_status'],
+    overall_status: { enum: OVERALL_STATUSES },
+    feature_result: {
+        required: ['feature', 'ui_status', 'config_status', 'status'],
+        optional: ['issue', 'remarks', 'scenario', 'warning'],
+        status: { enum: FEATURE_STATUSES }
+    },
+    aesthetic_result: {
+        required: ['category', 'issue', 'severity', 'status'],
+        optional: ['locations'],
+        status: { enum: AESTHETIC_STATUSES },
+        severity: { enum: SEVERITIES }
+    },
+    aesthetic_categories: Object.keys(AESTHETIC_CATEGORIES),
+    // { image_index: 0-based screenshot index, box_2d: [ymin, xmin, ymax, xmax] normalized to 0-1000 }
+    location: {
+        required: ['image_index', 'box_2d'],
+        box_scale: 1000
+    }
+};
+
+/**
+ * Maps harmless spelling variants onto the canonical enum value
+ * (e.g. "pass" → "PASS", "PASS (Empty State)" → "PASS", "not applicable" → "Not Applicable").
+ * Returns the input unchanged when no canonical value matches.
+ */
+function canonicalize(value, allowed) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    const exact = allowed.find(a => a.toUpperCase() === trimmed.toUpperCase());
+    if (exact) return exact;
+    const prefixed = allowed.find(a => trimmed.toUpperCase().startsWith(`${a.toUpperCase()} (`));
+    return prefixed || value;
+}
+
+function categoryLetter(category) {
+    const match = typeof category === 'string' ? category.trim().match(/^([A-G])\./i) : null;
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Normalizes enum spellings in place, then validates the verdict.
+ * @param {Object} verdict - Parsed AI JSON
+ * @returns {string[]} Human-readable violations (empty when valid)
+ */
+function validateVerdict(verdict) {
+    const errors = [];
+
+    if (!verdict || typeof verdict !== 'object' || Array.isArray(verdict)) {
+        return ['Verdict must be a JSON object.'];
+    }
+
+    VERDICT_SCHEMA.required.forEach(field => {
+        if (verdict[field] === undefined) errors.push(`Missing required field "${field}".`);
+    });
+
+    if (verdict.overall_status !== undefined) {
+        verdict.overall_status = canonicalize(verdict.overall_status, OVERALL_STATUSES);
+        if (!OVERALL_STATUSES.includes(verdict.overall_status)) {
+            errors.push(`overall_status must be one of ${OVERALL_STATUSES.join(', ')} (got "${verdict.overall_status}").`);
+        }
+    }
+
+    if (verdict.feature_results !== undefined) {
+        if (!Array.isArray(verdict.feature_results)) {
+            errors.push('feature_results must be an array.');
+        } else {
+            verdict.feature_results.forEach((f, i) => {
+                if (!f || typeof f !== 'object') {
+                    errors.push(`feature_results[${i}] must be an object.`);
+                    return;
+                }
+                VERDICT_SCHEMA.feature_result.required.forEach(field => {
+                    if (typeof f[field] !== 'string' || !f[field].trim()) {
+                        errors.push(`feature_results[${i}] (${f.feature || 'unnamed'}) is missing "${field}".`);
+                    }
+                });
+                if (typeof f.status === 'string') {
+                    f.status = canonicalize(f.status, FEATURE_STATUSES);
+                    if (!FEATURE_STATUSES.includes(f.status)) {
+                        errors.push(`feature_results[${i}] (${f.feature}) has invalid status "${f.status}"; allowed: ${FEATURE_STATUSES.join(', ')}.`);
+                    }
+                }
+            });
+        }
+    }
+
+    if (verdict.aesthetic_results !== undefined) {
+        if (!Array.isArray(verdict.aesthetic_results)) {
+            errors.push('aesthetic_results must be an array.');
+        } else {
+            const seen = {};
+            verdict.aesthetic_results.forEach((a, i) => {
+                if (!a || typeof a !== 'object') {
+                    errors.push(`aesthetic_results[${i}] must be an object.`);
+                    return;
+                }
+                VERDICT_SCHEMA.aesthetic_result.required.forEach(field => {
+                    if (typeof a[field] !== 'string') errors.push(`aesthetic_results[${i}] (${a.category || 'unnamed'}) is missing "${field}".`);
+                });
+
+                const letter = categoryLetter(a.category);
+                if (a.category !== undefined && !letter) {
+                    errors.push(`aesthetic_results[${i}] has unknown category "${a.category}"; expected "A." through "G.".`);
+                } else if (letter) {
+                    seen[letter] = (seen[letter] || 0) + 1;
+                }
+
+                if (typeof a.status === 'string') {
+                    a.status = canonicalize(a.status, AESTHETIC_STATUSES);
+                    if (!AESTHETIC_STATUSES.includes(a.status)) {
+                        errors.push(`aesthetic_results[${i}] (${a.category}) has invalid status "${a.status}"; allowed: ${AESTHETIC_STATUSES.join(', ')}.`);
+                    }
+                }
+                if (typeof a.severity === 'string') {
+                    a.severity = canonicalize(a.severity, SEVERITIES);
+                    if (!SEVERITIES.includes(a.severity)) {
+                        errors.push(`aesthetic_results[${i}] (${a.category}) has invalid severity "${a.severity}"; allowed: ${SEVERITIES.join(', ')}.`);
+                    }
+                }
+            });
+
+            VERDICT_SCHEMA.aesthetic_categories.forEach(letter => {
+                if (!seen[letter]) errors.push(`aesthetic_results is missing category "${AESTHETIC_CATEGORIES[letter]}".`);
+                if (seen[letter] > 1) errors.push(`aesthetic_results lists category "${AESTHETIC_CATEGORIES[letter]}" ${seen[letter]} times.`);
+            });
+        }
+    }
+
+    return errors;
+}
+
+function locationRejection(loc, imageCount) {
+    if (!loc || typeof loc !== 'object') return 'not an object';
+    if (!Number.isInteger(loc.image_index)) return 'image_index is not an integer';
+    if (loc.image_index < 0 || loc.image_index >= imageCount) return `image_index ${loc.image_index} does not exist (${imageCount} screenshot(s))`;
+    const box = loc.box_2d;
+    if (!Array.isArray(box) || box.length !== 4 || !box.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        return 'box_2d must be [ymin, xmin, ymax, xmax]';
+    }
+    const scale = VERDICT_SCHEMA.location.box_scale;
+    if (box.some(n => n < 0 || n > scale)) return `box_2d falls outside the image (0-${scale})`;
+    const [ymin, xmin, ymax, xmax] = box;
+    if (ymin >= ymax || xmin >= xmax) return 'box_2d has zero or negative size';
+    return null;
+}
+
+/**
+ * Keeps only defect boxes that point inside a real screenshot; anything else is treated as a
+ * hallucination and moved to `rejected_locations` with the reason. PASS categories lose their boxes.
+ * @param {Object} verdict - Schema-valid verdict (mutated in place)
+ * @param {number} imageCount - Number of screenshots sent to the model
+ * @returns {number} How many boxes were rejected
+ */
+function sanitizeLocations(verdict, imageCount) {
+    let rejected = 0;
+    (verdict.aesthetic_results || []).forEach(a => {
+        if (a.locations === undefined) return;
+        if (a.status !== 'FAIL') {
+            delete a.locations;
+            return;
+        }
+
+        const candidates = Array.isArray(a.locations) ? a.locations : [a.locations];
+        const kept = [];
+        const dropped = [];
+        candidates.forEach(loc => {
+            const reason = locationRejection(loc, imageCount);
+            if (reason) dropped.push({ ...(loc && typeof loc === 'object' ? loc : { value: loc }), reason });
+            else kept.push({ image_index: loc.image_index, box_2d: loc.box_2d });
+        });
+
+        a.locations = kept;
+        if (dropped.length > 0) {
+            a.rejected_locations = dropped;
+            rejected += dropped.length;
+        }
+    });
+    return rejected;
+}
+
+/**
+ * Follow-up prompt asking the model to fix a response that failed validation.
+ */
+function buildCorrectivePrompt(originalPrompt, errors, previousResponse) {
+    return `${originalPrompt}
+
+============================================================
+🚨 SCHEMA CORRECTION REQUIRED 🚨
+============================================================
+Your previous response could not be accepted because its JSON violated the required output format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${previousResponse}
+
+Re-evaluate the same screenshots and respond again with your reasoning followed by ONE corrected \`\`\`json block.
+- Use ONLY these feature statuses: ${FEATURE_STATUSES.join(', ')}.
+- Return EXACTLY seven aesthetic_results: ${Object.values(AESTHETIC_CATEGORIES).join('; ')}.
+- Aesthetic status must be PASS or FAIL; severity one of ${SEVERITIES.join(', ')}.
+- overall_status must be PASS or FAIL.`;
+}
+
+module.exports = {
+    VERDICT_SCHEMA,
+    AESTHETIC_CATEGORIES,
+    FEATURE_STATUSES,
+    AESTHETIC_STATUSES,
+    SEVERITIES,
+    validateVerdict,
+    sanitizeLocations,
+    buildCorrectivePrompt
+};
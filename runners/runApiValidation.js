@@ -1,8 +1,12 @@
-const { chromium } = require('@playwright/test');
 const PlaywrightHelper = require('../helpers/playwrightHelper');
 const ReportHelper = require('../helpers/reportHelper');
 const BasecampHelper = require('../helpers/basecampHelper');
 const { WidgetDetector } = require('../helpers/widgetDetector');
+const PromptTemplates = require('../helpers/promptTemplates');
+const FeatureCatalog = require('../helpers/featureCatalog');
+const DeviceMatrix = require('../helpers/deviceMatrix');
+const BrowserMatrix = require('../helpers/browserMatrix');
+const AIUsage = require('../helpers/aiUsage');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
@@ -76,27 +80,65 @@ async function fetchConfig() {
     });
 }
 
-const WIDGET_CONFIG_MAP = {
-    'CAROUSEL_SLIDER': 'carouselslider',
-    'MASONRY': 'masonryFeature',
-    'MARQUEE_STRIPE': 'stripSliderFeature',
-    'AVATAR_GROUP': 'avatarGroupFeature',
-    'SINGLE_SLIDER': 'avatarSliderFeature',
-    'MARQUEE_UPDOWN': 'verticalScrollFeature',
-    'MARQUEE_LEFTRIGHT': 'horizontalScrollFeature',
-    'FLOATING_TOAST': 'floatingCardsFeature',
-    'AVATAR_CAROUSEL': 'avatarCarouselFeature',
-    'CROSS_SLIDER': 'crossSliderFeature',
-    'COMPANY_LOGO_SLIDER': 'companyLogoSliderFeature'
-};
+/**
+ * Checks whether starting one more URL could push AI spend past the configured cap.
+ * One URL produces a record per device profile and browser, so it is projected at
+ * (records per URL × average cost/tokens of the uncached records so far); cache hits cost nothing
+ * and are left out of the average. URLs still in flight reserve their remaining records the same way.
+ * AI_BUDGET_USD / AI_BUDGET_TOKENS unset or 0 = no cap.
+ * @param {Object[]} results - Records so far, in-flight URLs included
+ * @param {number} nextRecords - Records the next URL will produce
+ * @param {number} pendingRecords - Records the in-flight URLs have yet to produce
+ * @returns {{stop: string}|{wait: true}|null} Stop the batch, wait for an in-flight URL, or go ahead.
+ */
+function budgetCheck(results, nextRecords, pendingRecords) {
+    const maxUsd = parseFloat(process.env.AI_BUDGET_USD || '0');
+    const maxTokens = parseInt(process.env.AI_BUDGET_TOKENS || '0', 10);
+    if (!maxUsd && !maxTokens) return null;
+
+    // No cost sample yet: run one URL at a time until the first uncached verdict lands
+    const measured = results.filter(r => r.aiAnalysis?.usage && !r.aiAnalysis.cache?.hit);
+    if (measured.length === 0) return pendingRecords > 0 ? { wait: true } : null;
+
+    const spent = AIUsage.rollup(results).total;
+    const sample = AIUsage.rollup(measured).total;
+    const reserved = pendingRecords + nextRecords;
+    const projectedCost = (sample.costUsd / measured.length) * reserved;
+    const projectedTokens = (sample.totalTokens / measured.length) * reserved;
+
+    if (maxUsd && spent.costUsd + projectedCost > maxUsd) {
+        return { stop: `AI spend ${AIUsage.formatCost(spent.costUsd)} + projected ${AIUsage.formatCost(projectedCost)} (${reserved} record(s) in flight or next) would exceed AI_BUDGET_USD=${maxUsd}` };
+    }
+    if (maxTokens && spent.totalTokens + projectedTokens > maxTokens) {
+        return { stop: `AI tokens ${spent.totalTokens} + projected ${Math.round(projectedTokens)} (${reserved} record(s) in flight or next) would exceed AI_BUDGET_TOKENS=${maxTokens}` };
+    }
+    return null;
+}
+
+/**
+ * Widget type → feature config mapping, shared with PlaywrightHelper (Configs/featureCatalog.json).
+ */
+const featureCatalog = FeatureCatalog.load();
 
 /**
  * Orchestrator for Daily API-Driven Visual Validation with Rotation.
  */
 async function run() {
     const MAX_DAILY_BATCH = parseInt(process.env.DAILY_BATCH_SIZE || '15');
+    const BROWSER_WORKERS = Math.max(1, parseInt(process.env.BROWSER_WORKERS || '1'));
+    const deviceMatrix = DeviceMatrix.load();
+    const browserMatrix = new BrowserMatrix();
     console.log('\n--- Starting Daily API Visual Validation (Rotating Batch of 15) ---');
 
+    // Fail fast on feature-name typos in Configs/*.json, before any browser opens
+    try {
+        const checked = featureCatalog.validateConfigs();
+        console.log(`[Main] 📚 Feature catalog: ${checked} config file(s) validated.`);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
     let allApiData;
     try {
         const rawBatch = await fetchConfig();
@@ -133,7 +175,7 @@ async function run() {
     const dailyBatch = pending.slice(0, MAX_DAILY_BATCH);
     console.log(`[Main] Batch Selected: ${dailyBatch.length} new URLs to process today.`);
 
-    const browser = await chromium.launch({
+    const browsers = await browserMatrix.launch({
         headless: true,
         args: [
             '--no-sandbox', 
@@ -146,11 +188,12 @@ async function run() {
     });
 
     const reportHelper = new ReportHelper();
-    const results = [];
+    const slots = new Array(dailyBatch.length);
+    let budgetStop = null;
     const reportsDir = path.join(process.cwd(), 'reports');
     if (!fs.existsSync(reportsDir)) fs.mkdirSync(reportsDir);
 
-    for (let i = 0; i < dailyBatch.length; i++) {
+    const processEntry = async (i) => {
         const entry = dailyBatch[i];
         const url = entry.customer_url || entry.url;
         const typeId = entry.widget_type || entry.type;
@@ -159,78 +202,108 @@ async function run() {
         const configuration = entry.configuration || entry.configurations;
 
         console.log(`\n[${i + 1}/${dailyBatch.length}] Processing: ${url}`);
+        slots[i] = []; // One record per device profile and browser
 
-        let success = false;
-        let attempt = 0;
-        const maxAttempts = 3;
-        let lastError = null;
-
-        while (attempt < maxAttempts && !success) {
-            attempt++;
-            const context = await browser.newContext({ 
-                viewport: { width: 1920, height: 1080 },
-                deviceScaleFactor: 2,
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-                locale: 'en-US',
-                timezoneId: 'Asia/Dubai',
-                extraHTTPHeaders: {
-                    'Accept-Language': 'en-US,en;q=0.9'
-                }
-            });
-            const page = await context.newPage();
-            const helper = new PlaywrightHelper(page);
-            helper.expectedType = typeName;
-
-            try {
-                if (attempt > 1) console.log(`   > Attempt ${attempt}/${maxAttempts}...`);
+        for (const profile of deviceMatrix.profilesFor(typeName)) {
+            console.log(`   > 📐 Profile: ${DeviceMatrix.label(profile)}`);
+            for (const engine of browserMatrix.selected) {
+                if (browserMatrix.selected.length > 1) console.log(`   > 🌐 Browser: ${BrowserMatrix.label(engine)}`);
+                let success = false;
+                let attempt = 0;
+                const maxAttempts = 3;
+                let lastError = null;
 
-                const configFileName = WIDGET_CONFIG_MAP[typeName] || typeName.toLowerCase();
-                const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+                while (attempt < maxAttempts && !success) {
+                    attempt++;
+                    const context = await browsers.get(engine).newContext(BrowserMatrix.contextOptions(engine, DeviceMatrix.contextOptions(profile, {
+                        locale: 'en-US',
+                        timezoneId: 'Asia/Dubai',
+                        extraHTTPHeaders: {
+                            'Accept-Language': 'en-US,en;q=0.9'
+                        }
+                    })));
+                    const page = await context.newPage();
+                    const helper = new PlaywrightHelper(page);
+                    helper.expectedType = typeName;
+                    helper.deviceProfile = profile;
 
-                let staticFeatures = null;
-                if (fs.existsSync(configPath)) {
                     try {
-                        const configContent = fs.readFileSync(configPath, 'utf8').trim();
-                        if (configContent) {
-                            staticFeatures = JSON.parse(configContent).features;
+                        if (attempt > 1) console.log(`   > Attempt ${attempt}/${maxAttempts}...`);
+
+                        const configFileName = featureCatalog.configFileFor(typeName) || typeName.toLowerCase();
+                        const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+
+                        let staticFeatures = null;
+                        if (fs.existsSync(configPath)) {
+                            try {
+                                const configContent = fs.readFileSync(configPath, 'utf8').trim();
+                                if (configContent) {
+                                    staticFeatures = JSON.parse(configContent).features;
+                                }
+                            } catch (configErr) {
+                                console.error(`[Main] Failed to parse config ${configFileName}.json: ${configErr.message}`);
+                            }
                         }
-                    } catch (configErr) {
-                        console.error(`[Main] Failed to parse config ${configFileName}.json: ${configErr.message}`);
-                    }
-                }
 
-                await helper.init(url, typeId, configuration);
-                const validationResult = await helper.validateWithAI(staticFeatures);
-
-                const record = {
-                    url: url,
-                    widgetId: widgetUUID,
-                    widgetType: typeName,
-                    ...validationResult,
-                    status: validationResult.aiAnalysis.overall_status || 'UNKNOWN',
-                    timestamp: new Date().toISOString()
-                };
-                results.push(record);
-                saveProcessedUrl(url); // Mark as processed
-                success = true;
-                console.log(`   > Status: ${record.status}`);
-            } catch (error) {
-                lastError = error.message;
-                console.error(`   > Attempt ${attempt} failed: ${error.message}`);
-                if (attempt >= maxAttempts) {
-                    const record = {
-                        url, widgetType: typeName, status: 'ERROR', error: lastError, timestamp: new Date().toISOString(), aiAnalysis: { message: 'Failed after 3 attempts: ' + lastError }
-                    };
-                    results.push(record);
+                        await helper.init(url, typeId, configuration);
+                        const validationResult = await helper.validateWithAI(staticFeatures);
+
+                        const record = {
+                            url: url,
+                            widgetId: widgetUUID,
+                            widgetType: typeName,
+                            ...validationResult,
+                            status: validationResult.aiAnalysis.overall_status || 'UNKNOWN',
+                            timestamp: new Date().toISOString()
+                        };
+                        slots[i].push(record);
+                        saveProcessedUrl(url); // Mark as processed
+                        success = true;
+                        console.log(`   > Status: ${record.status}`);
+                    } catch (error) {
+                        lastError = error.message;
+                        console.error(`   > Attempt ${attempt} failed: ${error.message}`);
+                        if (attempt >= maxAttempts) {
+                            const record = {
+                                url, widgetType: typeName, deviceProfile: DeviceMatrix.describe(profile), browser: engine, status: 'ERROR', error: lastError, promptVersion: PromptTemplates.resolveVersion(), timestamp: new Date().toISOString(), aiAnalysis: { message: 'Failed after 3 attempts: ' + lastError }
+                            };
+                            slots[i].push(record);
+                        }
+                    } finally {
+                        await context.close();
+                    }
                 }
-            } finally {
-                await context.close();
             }
         }
+    };
 
-        // 10s cooldown to respect API limits
-        if (i < dailyBatch.length - 1) await new Promise(r => setTimeout(r, 10000));
-    }
+    // Worker pool: AI calls from all workers share one RPM/TPM limiter (AIRateLimiter),
+    // so no fixed cooldown between URLs is needed.
+    let nextIndex = 0;
+    const inFlight = new Map(); // batch index → promise of the URL being processed
+    const recordsFor = (i) => deviceMatrix.profilesFor(WidgetDetector.identify({ type: dailyBatch[i].widget_type || dailyBatch[i].type })).length * browserMatrix.selected.length;
+    const worker = async () => {
+        while (nextIndex < dailyBatch.length && !budgetStop) {
+            const pendingRecords = [...inFlight.keys()].reduce((sum, i) => sum + Math.max(0, recordsFor(i) - (slots[i] || []).length), 0);
+            const check = budgetCheck(slots.filter(Boolean).flat(), recordsFor(nextIndex), pendingRecords);
+            if (check?.wait) {
+                await Promise.race(inFlight.values());
+                continue;
+            }
+            if (check?.stop) {
+                budgetStop = { reason: check.stop, stoppedAt: nextIndex, skipped: dailyBatch.length - nextIndex };
+                console.warn(`\n[Main] 💸 Budget cap reached: ${check.stop}. Skipping the remaining ${budgetStop.skipped} URL(s); they stay in the rotation for the next run.`);
+                break;
+            }
+            const i = nextIndex++;
+            const processing = processEntry(i).finally(() => inFlight.delete(i));
+            inFlight.set(i, processing);
+            await processing;
+        }
+    };
+    console.log(`[Main] Running with ${BROWSER_WORKERS} browser worker(s).`);
+    await Promise.all(Array.from({ length: Math.min(BROWSER_WORKERS, dailyBatch.length) }, worker));
+    const results = slots.filter(Boolean).flat();
 
     // --- Final Reporting ---
     const finalReport = {
@@ -238,7 +311,8 @@ async function run() {
             total: results.length,
             passed: results.filter(r => r.status === 'PASS').length,
             failed: results.filter(r => r.status === 'FAIL').length,
-            errors: results.filter(r => r.status === 'ERROR').length
+            errors: results.filter(r => r.status === 'ERROR' || r.status === 'SCHEMA_ERROR').length,
+            ...(budgetStop ? { budget: budgetStop } : {})
         },
         runs: results
     };
@@ -249,7 +323,7 @@ async function run() {
     const basecampHelper = new BasecampHelper();
     await basecampHelper.sendReport(finalReport).catch(e => console.warn(`[Main] Notification failed: ${e.message}`));
 
-    await browser.close();
+    await BrowserMatrix.closeAll(browsers);
 }
 
 run().catch(err => {
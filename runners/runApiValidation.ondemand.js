@@ -1,8 +1,11 @@
-const { chromium } = require('@playwright/test');
 const PlaywrightHelper = require('../helpers/playwrightHelper');
 const ReportHelper = require('../helpers/reportHelper');
 const BasecampHelper = require('../helpers/basecampHelper');
 const { WidgetDetector } = require('../helpers/widgetDetector');
+const PromptTemplates = require('../helpers/promptTemplates');
+const FeatureCatalog = require('../helpers/featureCatalog');
+const DeviceMatrix = require('../helpers/deviceMatrix');
+const BrowserMatrix = require('../helpers/browserMatrix');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
@@ -61,19 +64,10 @@ function saveProcessedUrl(url) {
 
 
 
-const WIDGET_CONFIG_MAP = {
-    'CAROUSEL_SLIDER': 'carouselslider',
-    'MASONRY': 'masonryFeature',
-    'MARQUEE_STRIPE': 'stripSliderFeature',
-    'AVATAR_GROUP': 'avatarGroupFeature',
-    'SINGLE_SLIDER': 'avatarSliderFeature',
-    'MARQUEE_UPDOWN': 'verticalScrollFeature',
-    'MARQUEE_LEFTRIGHT': 'horizontalScrollFeature',
-    'FLOATING_TOAST': 'floatingCardsFeature',
-    'AVATAR_CAROUSEL': 'avatarCarouselFeature',
-    'CROSS_SLIDER': 'crossSliderFeature',
-    'COMPANY_LOGO_SLIDER': 'companyLogoSliderFeature'
-};
+/**
+ * Widget type → feature config mapping, shared with PlaywrightHelper (Configs/featureCatalog.json).
+ */
+const featureCatalog = FeatureCatalog.load();
 
 /**
  * On-Demand Orchestrator — reads ONLY from client_payload sent via repository_dispatch.
@@ -82,6 +76,15 @@ const WIDGET_CONFIG_MAP = {
 async function run() {
     console.log('\n--- Starting ON-DEMAND Visual Validation ---');
 
+    // Fail fast on feature-name typos in Configs/*.json, before any browser opens
+    try {
+        const checked = featureCatalog.validateConfigs();
+        console.log(`[OnDemand] 📚 Feature catalog: ${checked} config file(s) validated.`);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
     let allApiData = [];
 
     // ✅ Read ONLY from client_payload — no API call
@@ -141,10 +144,18 @@ async function run() {
 
     console.log(`[OnDemand] ${allApiData.length} URL(s) to process.`);
 
-    // Dynamic Viewport Extraction (Default: 1920x700 as per runValidation.js)
+    // Dynamic Viewport Extraction: payload width/height replace the desktop profile's viewport,
+    // payload devices ("desktop,phone") narrow the device matrix
     const targetWidth = dataRoot.width ? parseInt(dataRoot.width) : 1920;
     const targetHeight = dataRoot.height ? parseInt(dataRoot.height) : 1080;
-    console.log(`[OnDemand] Target Viewport: ${targetWidth}x${targetHeight}`);
+    const deviceMatrix = DeviceMatrix.load({
+        selected: dataRoot.devices,
+        desktopViewport: (dataRoot.width || dataRoot.height) ? { width: targetWidth, height: targetHeight } : null
+    });
+    console.log(`[OnDemand] Device profiles: ${deviceMatrix.selected.join(', ')}${(dataRoot.width || dataRoot.height) ? ` (desktop ${targetWidth}x${targetHeight})` : ''}`);
+    // Payload browsers ("chromium,webkit") select the engines, falling back to BROWSERS, then chromium
+    const browserMatrix = new BrowserMatrix({ selected: dataRoot.browsers });
+    console.log(`[OnDemand] Browsers: ${browserMatrix.selected.join(', ')}`);
 
     const processedUrls = loadProcessedUrls();
     const newUrls = allApiData.filter(entry => {
@@ -160,7 +171,7 @@ async function run() {
 
     console.log(`[OnDemand] ${newUrls.length} NEW URL(s) to process after filtering.`);
 
-    const browser = await chromium.launch({
+    const browsers = await browserMatrix.launch({
         headless: true, // Always headless on-demand (GitHub Actions)
         channel: 'chrome', // Use branded Chrome for higher trust score
         args: [
@@ -193,87 +204,89 @@ async function run() {
 
         console.log(`\n[${i + 1}/${newUrls.length}] Processing: ${url}`);
 
-        let success = false;
-        let attempt = 0;
-        const maxAttempts = 3;
-        let lastError = null;
-
-        while (attempt < maxAttempts && !success) {
-            attempt++;
-            const context = await browser.newContext({
-                viewport: { width: targetWidth, height: targetHeight },
-                deviceScaleFactor: 2,
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-                locale: 'en-US',
-                timezoneId: 'Asia/Dubai',
-                extraHTTPHeaders: {
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Sec-Ch-Ua': '"Google Chrome";v="123", "Not:A-Brand";v="8", "Chromium";v="123"',
-                    'Sec-Ch-Ua-Mobile': '?0',
-                    'Sec-Ch-Ua-Platform': '"Windows"',
-                    'Upgrade-Insecure-Requests': '1'
-                }
-            });
-            const page = await context.newPage();
-            const helper = new PlaywrightHelper(page);
-            helper.expectedType = typeName;
-
-            try {
-                if (attempt > 1) console.log(`   > Attempt ${attempt}/${maxAttempts}...`);
-
-                const configFileName = WIDGET_CONFIG_MAP[typeName] || typeName.toLowerCase();
-                const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+        for (const profile of deviceMatrix.profilesFor(typeName)) {
+            console.log(`   > 📐 Profile: ${DeviceMatrix.label(profile)}`);
+            for (const engine of browserMatrix.selected) {
+                if (browserMatrix.selected.length > 1) console.log(`   > 🌐 Browser: ${BrowserMatrix.label(engine)}`);
+                let success = false;
+                let attempt = 0;
+                const maxAttempts = 3;
+                let lastError = null;
+
+                while (attempt < maxAttempts && !success) {
+                    attempt++;
+                    const context = await browsers.get(engine).newContext(BrowserMatrix.contextOptions(engine, DeviceMatrix.contextOptions(profile, {
+                        locale: 'en-US',
+                        timezoneId: 'Asia/Dubai',
+                        extraHTTPHeaders: {
+                            'Accept-Language': 'en-US,en;q=0.9',
+                            'Sec-Ch-Ua': '"Google Chrome";v="123", "Not:A-Brand";v="8", "Chromium";v="123"',
+                            'Upgrade-Insecure-Requests': '1'
+                        }
+                    })));
+                    const page = await context.newPage();
+                    const helper = new PlaywrightHelper(page);
+                    helper.expectedType = typeName;
+                    helper.deviceProfile = profile;
 
-                let staticFeatures = null;
-                if (fs.existsSync(configPath)) {
                     try {
-                        const configContent = fs.readFileSync(configPath, 'utf8').trim();
-                        if (configContent) {
-                            const parsed = JSON.parse(configContent);
-                            staticFeatures = parsed.features || parsed;
+                        if (attempt > 1) console.log(`   > Attempt ${attempt}/${maxAttempts}...`);
+
+                        const configFileName = featureCatalog.configFileFor(typeName) || typeName.toLowerCase();
+                        const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+
+                        let staticFeatures = null;
+                        if (fs.existsSync(configPath)) {
+                            try {
+                                const configContent = fs.readFileSync(configPath, 'utf8').trim();
+                                if (configContent) {
+                                    const parsed = JSON.parse(configContent);
+                                    staticFeatures = parsed.features || parsed;
+                                }
+                            } catch (configErr) {
+                                console.error(`[OnDemand] Failed to parse config ${configFileName}.json: ${configErr.message}`);
+                            }
                         }
-                    } catch (configErr) {
-                        console.error(`[OnDemand] Failed to parse config ${configFileName}.json: ${configErr.message}`);
-                    }
-                }
 
-                await helper.init(url, typeId, configuration);
-                const validationResult = await helper.validateWithAI(staticFeatures);
-
-                const record = {
-                    url: url,
-                    widgetType: typeName,
-                    widgetId: widgetUUID,
-                    ...validationResult,
-                    status: validationResult.aiAnalysis.overall_status || 'UNKNOWN',
-                    timestamp: new Date().toISOString()
-                };
-
-                results.push(record);
-                saveProcessedUrl(url);
-                success = true;
-                console.log(`   > Status: ${record.status}`);
-
-            } catch (error) {
-                lastError = error.message;
-                console.error(`   > Attempt ${attempt} failed: ${error.message}`);
-                if (attempt >= maxAttempts) {
-                    results.push({
-                        url,
-                        widgetType: typeName,
-                        status: 'ERROR',
-                        error: lastError,
-                        timestamp: new Date().toISOString(),
-                        aiAnalysis: { message: 'Failed after 3 attempts: ' + lastError }
-                    });
+                        await helper.init(url, typeId, configuration);
+                        const validationResult = await helper.validateWithAI(staticFeatures);
+
+                        const record = {
+                            url: url,
+                            widgetType: typeName,
+                            widgetId: widgetUUID,
+                            ...validationResult,
+                            status: validationResult.aiAnalysis.overall_status || 'UNKNOWN',
+                            timestamp: new Date().toISOString()
+                        };
+
+                        results.push(record);
+                        saveProcessedUrl(url);
+                        success = true;
+                        console.log(`   > Status: ${record.status}`);
+
+                    } catch (error) {
+                        lastError = error.message;
+                        console.error(`   > Attempt ${attempt} failed: ${error.message}`);
+                        if (attempt >= maxAttempts) {
+                            results.push({
+                                url,
+                                widgetType: typeName,
+                                deviceProfile: DeviceMatrix.describe(profile),
+                                browser: engine,
+                                status: 'ERROR',
+                                error: lastError,
+                                promptVersion: PromptTemplates.resolveVersion(),
+                                timestamp: new Date().toISOString(),
+                                aiAnalysis: { message: 'Failed after 3 attempts: ' + lastError }
+                            });
+                        }
+                    } finally {
+                        await context.close();
+                    }
                 }
-            } finally {
-                await context.close();
             }
         }
-
-        // 10s cooldown between URLs to respect API limits
-        if (i < newUrls.length - 1) await new Promise(r => setTimeout(r, 10000));
     }
 
     // --- Final Reporting ---
@@ -282,7 +295,7 @@ async function run() {
             total: results.length,
             passed: results.filter(r => r.status === 'PASS').length,
             failed: results.filter(r => r.status === 'FAIL').length,
-            errors: results.filter(r => r.status === 'ERROR').length
+            errors: results.filter(r => r.status === 'ERROR' || r.status === 'SCHEMA_ERROR').length
         },
         runs: results
     };
@@ -296,7 +309,7 @@ async function run() {
     await basecampHelper.sendReport(finalReport)
         .catch(e => console.warn(`[OnDemand] Notification failed: ${e.message}`));
 
-    await browser.close();
+    await BrowserMatrix.closeAll(browsers);
 }
 
 run().catch(err => {
@@ -1,8 +1,11 @@
-const { chromium } = require('@playwright/test');
 const PlaywrightHelper = require('../helpers/playwrightHelper');
 const ReportHelper = require('../helpers/reportHelper');
 const BasecampHelper = require('../helpers/basecampHelper');
 const { WidgetDetector } = require('../helpers/widgetDetector');
+const PromptTemplates = require('../helpers/promptTemplates');
+const FeatureCatalog = require('../helpers/featureCatalog');
+const DeviceMatrix = require('../helpers/deviceMatrix');
+const BrowserMatrix = require('../helpers/browserMatrix');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
@@ -34,21 +37,9 @@ async function fetchConfig() {
 }
 
 /**
- * Mapping of Widget Types to their specific Feature Configuration files.
+ * Widget type → feature config mapping, shared with PlaywrightHelper (Configs/featureCatalog.json).
  */
-const WIDGET_CONFIG_MAP = {
-    'CAROUSEL_SLIDER': 'carouselslider',
-    'MASONRY': 'masonryFeature',
-    'MARQUEE_STRIPE': 'stripSliderFeature',
-    'AVATAR_GROUP': 'avatarGroupFeature',
-    'SINGLE_SLIDER': 'avatarSliderFeature',
-    'MARQUEE_UPDOWN': 'verticalScrollFeature',
-    'MARQUEE_LEFTRIGHT': 'horizontalScrollFeature',
-    'FLOATING_TOAST': 'floatingCardsFeature',
-    'AVATAR_CAROUSEL': 'avatarCarouselFeature',
-    'CROSS_SLIDER': 'crossSliderFeature',
-    'COMPANY_LOGO_SLIDER': 'companyLogoSliderFeature'
-};
+const featureCatalog = FeatureCatalog.load();
 
 /**
  * Main Orchestrator for AI Visual Validation.
@@ -56,6 +47,15 @@ const WIDGET_CONFIG_MAP = {
 async function run() {
     console.log('\n--- Starting Local AI Visual Validation Orchestrator ---');
 
+    // Fail fast on feature-name typos in Configs/*.json, before any browser opens
+    try {
+        const checked = featureCatalog.validateConfigs();
+        console.log(`[Main] 📚 Feature catalog: ${checked} config file(s) validated.`);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
     try {
         // --- CLI ARGUMENT PARSING ---
         const args = process.argv.slice(2);
@@ -66,10 +66,20 @@ async function run() {
                         (args[args.indexOf('--widget') + 1]);
         const widthArg = args.find(a => a.startsWith('--width='))?.split('=')[1] || (args[args.indexOf('--width') + 1]);
         const heightArg = args.find(a => a.startsWith('--height='))?.split('=')[1] || (args[args.indexOf('--height') + 1]);
+        const devicesArg = args.find(a => a.startsWith('--devices='))?.split('=')[1];
+        const browsersArg = args.find(a => a.startsWith('--browsers='))?.split('=')[1];
 
         this.targetWidth = widthArg ? parseInt(widthArg) : 1920;
         this.targetHeight = heightArg ? parseInt(heightArg) : 1080;
 
+        // --width/--height replace the desktop viewport; --devices=desktop,phone narrows the matrix
+        this.deviceMatrix = DeviceMatrix.load({
+            selected: devicesArg,
+            desktopViewport: (widthArg || heightArg) ? { width: this.targetWidth, height: this.targetHeight } : null
+        });
+        // --browsers=chromium,webkit adds engines (default: BROWSERS, then chromium)
+        this.browserMatrix = new BrowserMatrix({ selected: browsersArg });
+
         if (urlArg) {
             console.log(`[Main] Targeting single URL via CLI: ${urlArg}`);
             testData = [{
@@ -109,7 +119,8 @@ async function run() {
 
     console.log(`[Main] Found ${testData.length} records in local testUrls.json.`);
 
-    const browser = await chromium.launch({
+    // One browser per engine; the Chrome channel and switches below only apply to Chromium
+    const browsers = await this.browserMatrix.launch({
         headless: !!process.env.CI,
         channel: 'chrome', // Use branded Chrome for higher trust score
         args: [
@@ -140,105 +151,111 @@ async function run() {
 
         console.log(`\n[${i + 1}/${testData.length}] Processing: ${url}`);
 
-        const maxUrlAttempts = 3;
-        let urlAttempt = 0;
-        let success = false;
-
-        while (urlAttempt < maxUrlAttempts && !success) {
-            urlAttempt++;
-
-            // Create a fresh context for each attempt to avoid state contamination or session crashes
-            const context = await browser.newContext({
-                viewport: { width: this.targetWidth || 1920, height: this.targetHeight || 1080 },
-                deviceScaleFactor: 2,
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-                locale: 'en-US',
-                timezoneId: 'Asia/Dubai',
-                extraHTTPHeaders: {
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Sec-Ch-Ua': '"Google Chrome";v="123", "Not:A-Brand";v="8", "Chromium";v="123"',
-                    'Sec-Ch-Ua-Mobile': '?0',
-                    'Sec-Ch-Ua-Platform': '"Windows"',
-                    'Upgrade-Insecure-Requests': '1'
-                }
-            });
-
-            const page = await context.newPage();
-            const helper = new PlaywrightHelper(page);
-            helper.expectedType = typeName;
+        const profiles = this.deviceMatrix.profilesFor(typeName);
+        console.log(`   > Device profiles: ${profiles.map(p => p.name).join(', ')}`);
+
+        for (const profile of profiles) {
+            console.log(`   > 📐 Profile: ${DeviceMatrix.label(profile)}`);
+            for (const engine of this.browserMatrix.selected) {
+                if (this.browserMatrix.selected.length > 1) console.log(`   > 🌐 Browser: ${BrowserMatrix.label(engine)}`);
+                const maxUrlAttempts = 3;
+                let urlAttempt = 0;
+                let success = false;
+
+                while (urlAttempt < maxUrlAttempts && !success) {
+                    urlAttempt++;
+
+                    // Create a fresh context for each attempt to avoid state contamination or session crashes
+                    // Viewport, DPR, touch, user agent and client hints come from the device profile (Chromium-only bits dropped per engine)
+                    const context = await browsers.get(engine).newContext(BrowserMatrix.contextOptions(engine, DeviceMatrix.contextOptions(profile, {
+                        locale: 'en-US',
+                        timezoneId: 'Asia/Dubai',
+                        extraHTTPHeaders: {
+                            'Accept-Language': 'en-US,en;q=0.9',
+                            'Sec-Ch-Ua': '"Google Chrome";v="123", "Not:A-Brand";v="8", "Chromium";v="123"',
+                            'Upgrade-Insecure-Requests': '1'
+                        }
+                    })));
 
-            try {
-                if (urlAttempt > 1) {
-                    console.log(`   > [Retry ${urlAttempt}/${maxUrlAttempts}] Restarting validation for: ${url}`);
-                }
+                    const page = await context.newPage();
+                    const helper = new PlaywrightHelper(page);
+                    helper.expectedType = typeName;
+                    helper.deviceProfile = profile;
 
-                // 1. Identify Widget Type (already normalized)
-                console.log(`   > Type Identified: ${typeName} (ID: ${typeId})`);
+                    try {
+                        if (urlAttempt > 1) {
+                            console.log(`   > [Retry ${urlAttempt}/${maxUrlAttempts}] Restarting validation for: ${url}`);
+                        }
 
-                // 2. Map to Config File
-                const configFileName = WIDGET_CONFIG_MAP[typeName] || typeName.toLowerCase();
-                const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+                        // 1. Identify Widget Type (already normalized)
+                        console.log(`   > Type Identified: ${typeName} (ID: ${typeId})`);
+
+                        // 2. Map to Config File
+                        const configFileName = featureCatalog.configFileFor(typeName) || typeName.toLowerCase();
+                        const configPath = path.join(process.cwd(), 'Configs', `${configFileName}.json`);
+
+                        let staticFeatures = null;
+                        if (fs.existsSync(configPath)) {
+                            try {
+                                const configContent = fs.readFileSync(configPath, 'utf8').trim();
+                                if (configContent) {
+                                    const parsed = JSON.parse(configContent);
+                                    staticFeatures = parsed.features || parsed;
+                                    console.log(`[Main] 📂 Local Config Loaded: ${configFileName}.json (${Array.isArray(staticFeatures) ? staticFeatures.length : 'N/A'} features)`);
+                                }
+                            } catch (configErr) {
+                                console.error(`[Main] Failed to parse config ${configFileName}.json: ${configErr.message}`);
+                            }
+                        } else {
+                            console.warn(`[Main] ⚠️  Warning: No local feature config found at ${configPath}. AI will auto-detect features.`);
+                        }
 
-                let staticFeatures = null;
-                if (fs.existsSync(configPath)) {
-                    try {
-                        const configContent = fs.readFileSync(configPath, 'utf8').trim();
-                        if (configContent) {
-                            const parsed = JSON.parse(configContent);
-                            staticFeatures = parsed.features || parsed;
-                            console.log(`[Main] 📂 Local Config Loaded: ${configFileName}.json (${Array.isArray(staticFeatures) ? staticFeatures.length : 'N/A'} features)`);
+                        // 3. Initialize & Navigate (Handling Hiding, Scrolling, etc.)
+                        await helper.init(url, typeId, configuration);
+
+                        // 4. Run AI Analysis
+                        const validationResult = await helper.validateWithAI(staticFeatures);
+
+                        const record = {
+                            url: url,
+                            widgetId: widgetUUID,
+                            ...validationResult,
+                            status: validationResult.aiAnalysis.overall_status || validationResult.aiAnalysis.status || 'UNKNOWN',
+                            timestamp: new Date().toISOString()
+                        };
+                        results.push(record);
+
+                        console.log(`   > Overall Status: ${record.status}`);
+
+                        // Incremental Progress Report
+                        const partialReportPath = path.join(process.cwd(), 'reports', 'current_progress.json');
+                        fs.writeFileSync(partialReportPath, JSON.stringify({ runs: results }, null, 2));
+
+                        success = true; // Mark as success to exit retry loop
+                    } catch (error) {
+                        console.error(`   > Error on attempt ${urlAttempt}: ${error.message}`);
+
+                        if (urlAttempt >= maxUrlAttempts) {
+                            results.push({
+                                url: url,
+                                widgetType: typeName,
+                                deviceProfile: DeviceMatrix.describe(profile),
+                                browser: engine,
+                                status: 'ERROR',
+                                error: error.message,
+                                promptVersion: PromptTemplates.resolveVersion(),
+                                timestamp: new Date().toISOString()
+                            });
+                        } else {
+                            console.log(`   > Retrying ${url} due to failure...`);
+                            await new Promise(r => setTimeout(r, 5000)); // Wait before retry
                         }
-                    } catch (configErr) {
-                        console.error(`[Main] Failed to parse config ${configFileName}.json: ${configErr.message}`);
+                    } finally {
+                        await context.close();
                     }
-                } else {
-                    console.warn(`[Main] ⚠️  Warning: No local feature config found at ${configPath}. AI will auto-detect features.`);
-                }
-
-                // 3. Initialize & Navigate (Handling Hiding, Scrolling, etc.)
-                await helper.init(url, typeId, configuration);
-
-                // 4. Run AI Analysis
-                const validationResult = await helper.validateWithAI(staticFeatures);
-
-                const record = {
-                    url: url,
-                    widgetId: widgetUUID,
-                    ...validationResult,
-                    status: validationResult.aiAnalysis.overall_status || validationResult.aiAnalysis.status || 'UNKNOWN',
-                    timestamp: new Date().toISOString()
-                };
-                results.push(record);
-
-                console.log(`   > Overall Status: ${record.status}`);
-
-                // Incremental Progress Report
-                const partialReportPath = path.join(process.cwd(), 'reports', 'current_progress.json');
-                fs.writeFileSync(partialReportPath, JSON.stringify({ runs: results }, null, 2));
-
-                success = true; // Mark as success to exit retry loop
-            } catch (error) {
-                console.error(`   > Error on attempt ${urlAttempt}: ${error.message}`);
-
-                if (urlAttempt >= maxUrlAttempts) {
-                    results.push({
-                        url: url,
-                        widgetType: typeName,
-                        status: 'ERROR',
-                        error: error.message,
-                        timestamp: new Date().toISOString()
-                    });
-                } else {
-                    console.log(`   > Retrying ${url} due to failure...`);
-                    await new Promise(r => setTimeout(r, 5000)); // Wait before retry
                 }
-            } finally {
-                await context.close();
             }
         }
-
-        // Pause between URLs to respect API rate limits
-        if (i < testData.length - 1) await new Promise(r => setTimeout(r, 10000));
     }
 
     // --- Final Reporting ---
@@ -248,7 +265,7 @@ async function run() {
             total: results.length,
             passed: results.filter(r => r.status === 'PASS').length,
             failed: results.filter(r => r.status === 'FAIL').length,
-            errors: results.filter(r => r.status === 'ERROR').length
+            errors: results.filter(r => r.status === 'ERROR' || r.status === 'SCHEMA_ERROR').length
         },
         runs: results
     };
@@ -260,7 +277,7 @@ async function run() {
     const basecampHelper = new BasecampHelper();
     await basecampHelper.sendReport(consolidatedReport);
 
-    await browser.close();
+    await BrowserMatrix.closeAll(browsers);
 }
 
 // Global Error Handler
@@ -0,0 +1,81 @@
+/**
+ * domRuleRegression.js
+ * Runs the DOM rules (helpers/domRuleEngine.js) over recorded widget measurements and asserts the
+ * status of each rule, plus text its issue must or must not contain. No browser: the fixtures hold
+ * the output of the in-page measurement pass, so the pure rule logic is checked on its own.
+ *
+ *   node scripts/domRuleRegression.js                 # check (exit 1 on any failed assertion)
+ *   node scripts/domRuleRegression.js --filter=marquee # only cases whose name contains the text
+ *
+ * Fixtures: testData/domRuleRegression.json
+ *   { name, widgetType, thresholds?, measurements: { cards, names, images },
+ *     expect: { <rule id>: status }, issueIncludes?: { <rule id>: text }, issueExcludes?: { <rule id>: text } }
+ */
+const fs = require('fs');
+const path = require('path');
+const DomRuleEngine = require('../helpers/domRuleEngine');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'testData', 'domRuleRegression.json');
+
+/**
+ * @returns {string[]} failures
+ */
+function checkCase(testCase) {
+    const engine = new DomRuleEngine({ enabled: true, minPaddingPx: 4, ...(testCase.thresholds || {}) });
+    const results = engine.evaluate(testCase.measurements, testCase.widgetType);
+    const byRule = Object.fromEntries(results.map(r => [r.rule, r]));
+    const failures = [];
+
+    const known = rule => {
+        if (byRule[rule]) return true;
+        failures.push(`unknown rule "${rule}" (rules: ${Object.keys(byRule).join(', ')})`);
+        return false;
+    };
+
+    Object.entries(testCase.expect || {}).forEach(([rule, status]) => {
+        if (known(rule) && byRule[rule].status !== status) {
+            failures.push(`${rule}: expected ${status}, got ${byRule[rule].status} (${byRule[rule].issue})`);
+        }
+    });
+    Object.entries(testCase.issueIncludes || {}).forEach(([rule, text]) => {
+        if (known(rule) && !byRule[rule].issue.includes(text)) {
+            failures.push(`${rule}: issue should contain "${text}", got "${byRule[rule].issue}"`);
+        }
+    });
+    Object.entries(testCase.issueExcludes || {}).forEach(([rule, text]) => {
+        if (known(rule) && byRule[rule].issue.includes(text)) {
+            failures.push(`${rule}: issue should not contain "${text}", got "${byRule[rule].issue}"`);
+        }
+    });
+    return failures;
+}
+
+function run() {
+    const filter = (process.argv.slice(2).find(a => a.startsWith('--filter=')) || '').split('=')[1];
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+    const cases = fixture.cases.filter(c => !filter || c.name.includes(filter));
+
+    console.log(`[DomRuleRegression] ${cases.length} case(s) against ${DomRuleEngine.RULES.length} rule(s).`);
+
+    let failed = 0;
+    cases.forEach(testCase => {
+        let failures;
+        try {
+            failures = checkCase(testCase);
+        } catch (e) {
+            failures = [e.message];
+        }
+        if (failures.length > 0) {
+            failed++;
+            console.log(`❌ ${testCase.name}`);
+            failures.forEach(f => console.log(`   ${f}`));
+        } else {
+            console.log(`✅ ${testCase.name} (${Object.keys(testCase.expect || {}).length} rule assertion(s))`);
+        }
+    });
+
+    console.log(`[DomRuleRegression] ${cases.length - failed}/${cases.length} passed.`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,75 @@
+/**
+ * localAiServer.js
+ * Offline stand-in for the vision model. Pair with AI_PROVIDER=local.
+ *
+ *   node scripts/localAiServer.js            # listens on :8787
+ *   AI_PROVIDER=local node runners/runValidation.js --url=...
+ *
+ * Every feature listed in the prompt's CONFIGURATION REQUIREMENTS block is
+ * echoed back with ui_status = its Config Status, and all seven aesthetic
+ * categories PASS. This keeps the pipeline deterministic without quota.
+ */
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const PORT = parseInt(process.env.LOCAL_AI_PORT || '8787');
+
+const AESTHETIC_CATEGORIES = [
+    "A. LAYOUT & SPACING",
+    "B. ELEMENT CONTAINMENT",
+    "C. CONTENT & TEXT RENDERING",
+    "D. AVATAR RENDERING",
+    "E. MEDIA & IMAGES",
+    "F. THEME & COLOR VISIBILITY",
+    "G. POPUPS & MODALS"
+];
+
+function buildVerdict(prompt) {
+    const featureRegex = /^- \*\*(.+?)\*\*: \(Config Status: (.+?)\)$/gm;
+    const featureResults = [];
+    let match;
+    while ((match = featureRegex.exec(prompt)) !== null) {
+        const expected = match[2].startsWith('Visible') ? 'Visible' : 'Absent';
+        featureResults.push({
+            feature: match[1],
+            ui_status: expected,
+            config_status: expected,
+            issue: 'No visual defects detected',
+            remarks: 'Local stand-in response',
+            status: expected === 'Visible' ? 'PASS' : 'Not Applicable'
+        });
+    }
+
+    return {
+        feature_results: featureResults,
+        aesthetic_results: AESTHETIC_CATEGORIES.map(category => ({
+            category,
+            issue: 'No visual defects detected',
+            severity: 'N/A',
+            status: 'PASS'
+        })),
+        overall_status: 'PASS'
+    };
+}
+
+const app = express();
+app.use(bodyParser.json({ limit: '200mb' }));
+
+app.post('/generate', (req, res) => {
+    const { prompt = '', images = [], model } = req.body || {};
+    console.log(`[LocalAI] ${model || 'local-vision'}: prompt ${prompt.length} chars, ${images.length} image(s).`);
+    const verdict = buildVerdict(prompt);
+    const text = `Local stand-in audit trace: ${verdict.feature_results.length} feature(s) mirrored from config.\n\`\`\`json\n${JSON.stringify(verdict, null, 2)}\n\`\`\``;
+    // Rough estimate (~4 chars per text token, 258 tokens per image) so usage accounting can be exercised offline
+    const imageTokens = images.length * 258;
+    const promptTokens = Math.ceil(prompt.length / 4) + imageTokens;
+    const outputTokens = Math.ceil(text.length / 4);
+    res.json({
+        text,
+        usage: { promptTokens, imageTokens, outputTokens, totalTokens: promptTokens + outputTokens }
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`[LocalAI] Stand-in vision model listening on http://localhost:${PORT}/generate`);
+});
@@ -0,0 +1,668 @@
+/**
+ * moduleChecks.js
+ * Behavioural checks for the AI pipeline and motion modules that need neither a browser nor an
+ * API key.
+ * Model calls go to scripted stand-in providers or the mock engine (testData/mockScenarios.json);
+ * files go to a temporary directory that is removed afterwards.
+ *
+ *   node scripts/moduleChecks.js               # run every check (exit 1 on any failure)
+ *   node scripts/moduleChecks.js --filter=Cache # only checks whose name contains the text
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIResultCache = require('../helpers/aiResultCache');
+const AIEngine = require('../helpers/aiEngine');
+const { createVoters } = require('../helpers/aiProviders');
+const VerdictConsensus = require('../helpers/verdictConsensus');
+const AIUsage = require('../helpers/aiUsage');
+const AIRateLimiter = require('../helpers/aiRateLimiter');
+const ImagePreprocessor = require('../helpers/imagePreprocessor');
+const MarqueeMotion = require('../helpers/interactiveWidgets/marqueeMotion');
+const { AESTHETIC_CATEGORIES, validateVerdict, sanitizeLocations } = require('../helpers/verdictSchema');
+
+const ROOT = path.join(__dirname, '..');
+const MOCK_SCENARIOS = path.join(ROOT, 'testData', 'mockScenarios.json');
+const CONFIG_FILES = { CAROUSEL_SLIDER: 'carouselslider', MASONRY: 'masonryFeature', FLOATING_TOAST: 'floatingCardsFeature' };
+
+const CHECKS = [];
+const check = (name, fn) => CHECKS.push({ name, fn });
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'module-checks-'));
+const png = text => Buffer.from(`\x89PNG fixture ${text}`);
+
+/**
+ * Widget type with the catalog features of its Configs/ file.
+ */
+function widgetCase(widgetType) {
+    const file = path.join(ROOT, 'Configs', `${CONFIG_FILES[widgetType]}.json`);
+    return { widgetType, staticFeatures: JSON.parse(fs.readFileSync(file, 'utf8')).features };
+}
+
+/**
+ * Schema-valid verdict: every category PASS, `overrides` merged on top.
+ */
+function validVerdict(overrides = {}) {
+    return {
+        feature_results: [{ feature: 'Review Date', ui_status: 'Visible', config_status: 'Visible', status: 'PASS' }],
+        aesthetic_results: Object.values(AESTHETIC_CATEGORIES).map(category => ({ category, issue: 'No visual defects detected', severity: 'N/A', status: 'PASS' })),
+        overall_status: 'PASS',
+        ...overrides
+    };
+}
+
+let scriptedProviders = 0;
+
+/**
+ * Stand-in provider that answers with `responses` in order (a verdict object as its JSON block, a
+ * string as-is, an Error is thrown) and records every prompt it was sent.
+ */
+function scriptedProvider(responses) {
+    scriptedProviders++;
+    return {
+        name: 'scripted',
+        model: `scripted-${scriptedProviders}`,
+        label: `Scripted provider ${scriptedProviders}`,
+        prompts: [],
+        isConfigured: () => true,
+        async generate(prompt) {
+            this.prompts.push(prompt);
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            const text = typeof next === 'string' ? next : `Scripted reasoning.\n\n\`\`\`json\n${JSON.stringify(next, null, 2)}\n\`\`\``;
+            return { text, usage: { promptTokens: 100, imageTokens: null, outputTokens: 10, totalTokens: 110 } };
+        }
+    };
+}
+
+/**
+ * AIEngine whose model calls go to `providers` (more than one: each is a consensus voter).
+ */
+function scriptedEngine(...providers) {
+    // A configured provider, so the engine does not fall back to its mock engine
+    const engine = new AIEngine({ provider: 'mock', mockFixture: {}, recordMode: 'off' });
+    engine.voters = providers;
+    engine.provider = providers[0];
+    return engine;
+}
+
+/**
+ * AIEngine on the mock engine with the scenarios of testData/mockScenarios.json.
+ */
+function mockEngine(options = {}) {
+    return new AIEngine({ provider: 'mock', mockFixture: MOCK_SCENARIOS, recordMode: 'off', ...options });
+}
+
+/**
+ * Runs `fn` with the console silenced (AIEngine prints every raw response).
+ */
+async function quietly(fn) {
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => { };
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, saved);
+    }
+}
+
+// --- AIResultCache ---------------------------------------------------------------------------
+
+check('AIResultCache: key depends on every screenshot, the prompt and the model', () => {
+    const cache = new AIResultCache({ dir: tmpDir });
+    const base = cache.keyFor([png('a'), png('b')], 'prompt', 'gemini-2.5-flash');
+    assert.strictEqual(cache.keyFor([png('a'), png('b')], 'prompt', 'gemini-2.5-flash').key, base.key);
+    assert.strictEqual(base.imageHashes.length, 2);
+    assert.notStrictEqual(cache.keyFor([png('b'), png('a')], 'prompt', 'gemini-2.5-flash').key, base.key);
+    assert.notStrictEqual(cache.keyFor([png('a'), png('c')], 'prompt', 'gemini-2.5-flash').key, base.key);
+    assert.notStrictEqual(cache.keyFor([png('a'), png('b')], 'prompt ', 'gemini-2.5-flash').key, base.key);
+    assert.notStrictEqual(cache.keyFor([png('a'), png('b')], 'prompt', 'gemini-2.5-pro').key, base.key);
+});
+
+check('AIResultCache: perceptual keys tolerate pixel noise but not changed content', () => {
+    const frame = (signature, width = 640) => ({ width, height: 480, signature });
+    const base = Array.from({ length: 1024 }, (v, i) => (i % 32 < 16 ? 40 : 220));
+    const noisy = base.map((v, i) => v + (i % 3) - 1);
+    const changed = base.map((v, i) => (i < 256 ? 220 : v));
+    const cache = new AIResultCache({ dir: tmpDir, hashMode: 'perceptual' });
+    // Every render has different bytes; only the signatures decide
+    let renders = 0;
+    const keyOf = signatures => cache.keyFor([png(`render ${++renders}`)], 'prompt', 'model', signatures);
+
+    const first = keyOf([frame(base)]);
+    assert.strictEqual(first.hashMode, 'perceptual');
+    assert.strictEqual(keyOf([frame(noisy)]).key, first.key);
+    assert.notStrictEqual(keyOf([frame(changed)]).key, first.key);
+    assert.notStrictEqual(keyOf([frame(base, 800)]).key, first.key);
+
+    // No signatures (preprocessing off): exact bytes, same key as the default mode
+    const exact = cache.keyFor([png('a')], 'prompt', 'model', null);
+    assert.strictEqual(exact.hashMode, 'sha256');
+    assert.strictEqual(exact.key, new AIResultCache({ dir: tmpDir }).keyFor([png('a')], 'prompt', 'model').key);
+    assert.strictEqual(new AIResultCache({ dir: tmpDir }).keyFor([png('a')], 'prompt', 'model', [frame(base)]).hashMode, 'sha256');
+});
+
+check('AIResultCache: entries round-trip until the TTL expires', () => {
+    const dir = path.join(tmpDir, 'ttl');
+    const cache = new AIResultCache({ dir, ttlHours: 1, bypass: false });
+    const { key } = cache.keyFor([png('ttl')], 'prompt', 'model');
+    assert.strictEqual(cache.get(key), null);
+
+    cache.set(key, { aiResults: { overall_status: 'PASS' } });
+    const hit = cache.get(key);
+    assert.strictEqual(hit.key, key);
+    assert.strictEqual(hit.aiResults.overall_status, 'PASS');
+
+    // Age the entry past the TTL: the read misses and removes the file
+    const file = path.join(dir, `${key}.json`);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entry.cachedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(file, JSON.stringify(entry));
+    assert.strictEqual(cache.get(key), null);
+    assert.strictEqual(fs.existsSync(file), false);
+});
+
+check('AIResultCache: bypass ignores entries but still writes fresh ones', () => {
+    const dir = path.join(tmpDir, 'bypass');
+    const { key } = new AIResultCache({ dir }).keyFor([png('bypass')], 'prompt', 'model');
+    new AIResultCache({ dir, bypass: false }).set(key, { aiResults: { overall_status: 'FAIL' } });
+
+    const bypassing = new AIResultCache({ dir, bypass: true });
+    assert.strictEqual(bypassing.get(key), null);
+    bypassing.set(key, { aiResults: { overall_status: 'PASS' } });
+    assert.strictEqual(new AIResultCache({ dir, bypass: false }).get(key).aiResults.overall_status, 'PASS');
+});
+
+check('AIResultCache: an unreadable entry is a miss', async () => {
+    const dir = path.join(tmpDir, 'corrupt');
+    const cache = new AIResultCache({ dir, bypass: false });
+    const { key } = cache.keyFor([png('corrupt')], 'prompt', 'model');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${key}.json`), '{ truncated');
+
+    assert.strictEqual(await quietly(() => cache.get(key)), null);
+});
+
+// --- verdictSchema ---------------------------------------------------------------------------
+
+check('verdictSchema: harmless spellings are normalized and accepted', () => {
+    const verdict = validVerdict({ overall_status: 'pass' });
+    verdict.feature_results.push(
+        { feature: 'Slider Indicators', ui_status: 'Absent', config_status: 'Absent', status: 'PASS (Empty State)' },
+        { feature: 'Feedspace Branding', ui_status: 'N/A', config_status: 'N/A', status: 'not applicable' }
+    );
+    verdict.aesthetic_results[2] = { ...verdict.aesthetic_results[2], status: 'fail', severity: 'high' };
+
+    assert.deepStrictEqual(validateVerdict(verdict), []);
+    assert.strictEqual(verdict.overall_status, 'PASS');
+    assert.deepStrictEqual(verdict.feature_results.map(f => f.status), ['PASS', 'PASS', 'Not Applicable']);
+    assert.strictEqual(verdict.aesthetic_results[2].status, 'FAIL');
+    assert.strictEqual(verdict.aesthetic_results[2].severity, 'HIGH');
+});
+
+check('verdictSchema: violations are listed one by one', () => {
+    const verdict = validVerdict({ overall_status: undefined });
+    verdict.feature_results.push({ feature: 'Review Date', ui_status: 'Visible', status: 'PARTIAL' });
+    verdict.aesthetic_results[6] = { ...verdict.aesthetic_results[0] };
+    verdict.aesthetic_results[1] = { ...verdict.aesthetic_results[1], severity: 'BLOCKER' };
+
+    const errors = validateVerdict(verdict);
+    const expected = [
+        'Missing required field "overall_status".',
+        'is missing "config_status"',
+        'invalid status "PARTIAL"',
+        'invalid severity "BLOCKER"',
+        'missing category "G. POPUPS & MODALS"',
+        'lists category "A. LAYOUT & SPACING" 2 times'
+    ];
+    expected.forEach(text => assert.ok(errors.some(e => e.includes(text)), `no error mentions ${text}: ${JSON.stringify(errors)}`));
+    assert.strictEqual(errors.length, expected.length, JSON.stringify(errors));
+    assert.deepStrictEqual(validateVerdict([]), ['Verdict must be a JSON object.']);
+});
+
+check('verdictSchema: defect boxes outside the screenshots are rejected', () => {
+    const verdict = validVerdict();
+    verdict.aesthetic_results[0] = {
+        ...verdict.aesthetic_results[0],
+        status: 'FAIL',
+        locations: [
+            { image_index: 1, box_2d: [100, 100, 300, 400] },
+            { image_index: 2, box_2d: [100, 100, 300, 400] },
+            { image_index: 0, box_2d: [100, 100, 1300, 400] },
+            { image_index: 0, box_2d: [300, 100, 300, 400] },
+            { image_index: 0, box_2d: [1, 2, 3] }
+        ]
+    };
+    verdict.aesthetic_results[1].locations = [{ image_index: 0, box_2d: [0, 0, 10, 10] }];
+
+    assert.strictEqual(sanitizeLocations(verdict, 2), 4);
+    assert.deepStrictEqual(verdict.aesthetic_results[0].locations, [{ image_index: 1, box_2d: [100, 100, 300, 400] }]);
+    assert.deepStrictEqual(verdict.aesthetic_results[0].rejected_locations.map(l => l.reason), [
+        'image_index 2 does not exist (2 screenshot(s))',
+        'box_2d falls outside the image (0-1000)',
+        'box_2d has zero or negative size',
+        'box_2d must be [ymin, xmin, ymax, xmax]'
+    ]);
+    assert.strictEqual(verdict.aesthetic_results[1].locations, undefined);
+});
+
+check('verdictSchema: AIEngine re-asks once with the violations and accepts the corrected verdict', async () => {
+    const provider = scriptedProvider(['Reasoning only, no JSON.', validVerdict()]);
+    const result = await quietly(() => scriptedEngine(provider).analyzeScreenshot([png('reask')], {}, 'CAROUSEL_SLIDER', null, []));
+
+    assert.strictEqual(provider.prompts.length, 2);
+    assert.ok(provider.prompts[1].includes('SCHEMA CORRECTION REQUIRED'));
+    assert.ok(provider.prompts[1].includes('did not contain a valid JSON block'));
+    assert.strictEqual(result.overall_status, 'PASS');
+    assert.strictEqual(result.usage.calls, 2);
+    assert.strictEqual(result.usage.schemaRetries, 1);
+});
+
+check('verdictSchema: a verdict still invalid after the re-ask is a SCHEMA_ERROR', async () => {
+    const provider = scriptedProvider([validVerdict({ overall_status: 'MAYBE' }), validVerdict({ overall_status: 'MAYBE' })]);
+    const result = await quietly(() => scriptedEngine(provider).analyzeScreenshot([png('invalid')], {}, 'CAROUSEL_SLIDER', ['Show Review Date'], []));
+
+    assert.strictEqual(provider.prompts.length, 2);
+    assert.strictEqual(result.overall_status, 'SCHEMA_ERROR');
+    assert.ok(result.schema_errors.some(e => e.includes('"MAYBE"')), JSON.stringify(result.schema_errors));
+    assert.deepStrictEqual(result.feature_results.map(f => f.status), ['SCHEMA_ERROR']);
+});
+
+check('verdictSchema: a verdict still malformed after the re-ask is a SCHEMA_ERROR (mockScenarios FLOATING_TOAST)', async () => {
+    const { widgetType, staticFeatures } = widgetCase('FLOATING_TOAST');
+    const result = await quietly(() => mockEngine().analyzeScreenshot([png('malformed')], {}, widgetType, staticFeatures, []));
+
+    assert.strictEqual(result.overall_status, 'SCHEMA_ERROR');
+    assert.strictEqual(result.usage.calls, 2);
+    assert.strictEqual(result.usage.schemaRetries, 1);
+    assert.ok(result.schema_errors[0].includes('did not contain a valid JSON block'));
+    assert.ok(result.feature_results.length > 0 && result.feature_results.every(f => f.status === 'SCHEMA_ERROR'));
+});
+
+// --- VerdictConsensus ------------------------------------------------------------------------
+
+/**
+ * Voter verdict with the given status per aesthetic category letter (others PASS) and per feature.
+ */
+function vote(categories = {}, features = {}) {
+    const verdict = validVerdict({
+        feature_results: Object.entries(features).map(([feature, status]) => ({ feature, ui_status: 'Visible', config_status: 'Visible', status, issue: `${status} vote` }))
+    });
+    verdict.aesthetic_results.forEach(a => {
+        const status = categories[a.category.charAt(0)];
+        if (status) Object.assign(a, { status, issue: `${status} vote`, severity: status === 'FAIL' ? 'HIGH' : 'N/A' });
+    });
+    verdict.overall_status = verdict.aesthetic_results.some(a => a.status === 'FAIL') || Object.values(features).includes('FAIL') ? 'FAIL' : 'PASS';
+    return verdict;
+}
+
+check('VerdictConsensus: the majority wins and the dissent is recorded', () => {
+    const merged = VerdictConsensus.merge(
+        [vote({ C: 'FAIL' }, { 'Review Date': 'PASS' }), vote({}, { 'review_date': 'PASS' }), vote({}, { 'Review Date': 'FAIL' })],
+        ['one', 'two', 'three']
+    );
+    const c = merged.aesthetic_results.find(a => a.category.startsWith('C.'));
+    assert.strictEqual(c.status, 'PASS');
+    // The reasoning comes from a voter that sided with the majority
+    assert.strictEqual(c.issue, 'No visual defects detected');
+    assert.deepStrictEqual(c.consensus, { votes: { FAIL: 1, PASS: 2 }, disagreement: 0.33, contested: true });
+
+    // Feature names are matched loosely ("review_date" = "Review Date")
+    assert.strictEqual(merged.feature_results.length, 1);
+    assert.strictEqual(merged.feature_results[0].status, 'PASS');
+    assert.deepStrictEqual(merged.feature_results[0].consensus.votes, { PASS: 2, FAIL: 1 });
+
+    // Two voters failed the widget, each on something else: every merged row passes, so does the widget
+    assert.deepStrictEqual(merged.consensus.overall_votes, { FAIL: 2, PASS: 1 });
+    assert.strictEqual(merged.overall_status, 'PASS');
+    assert.deepStrictEqual(merged.consensus.contested, ['C. CONTENT & TEXT RENDERING']);
+    assert.deepStrictEqual(merged.consensus.contested_features, ['Review Date']);
+    assert.strictEqual(merged.consensus.valid_votes, 3);
+});
+
+check('VerdictConsensus: a tie resolves to FAIL and fails the run', () => {
+    const merged = VerdictConsensus.merge([vote({}), vote({ E: 'FAIL' })], ['one', 'two']);
+    const e = merged.aesthetic_results.find(a => a.category.startsWith('E.'));
+    assert.strictEqual(e.status, 'FAIL');
+    assert.strictEqual(e.consensus.disagreement, 0.5);
+    assert.strictEqual(merged.overall_status, 'FAIL');
+});
+
+check('VerdictConsensus: errored voters do not vote', () => {
+    const merged = VerdictConsensus.merge(
+        [{ status: 'ERROR', error: 'timeout' }, vote({ A: 'FAIL' }), { overall_status: 'SCHEMA_ERROR', status: 'SCHEMA_ERROR' }],
+        ['one', 'two', 'three']
+    );
+    assert.strictEqual(merged.consensus.valid_votes, 1);
+    assert.strictEqual(merged.overall_status, 'FAIL');
+    assert.deepStrictEqual(merged.consensus.contested, []);
+
+    const allFailed = [{ status: 'ERROR', error: 'first' }, { status: 'ERROR', error: 'second' }];
+    assert.strictEqual(VerdictConsensus.merge(allFailed, ['one', 'two']), allFailed[0]);
+});
+
+check('VerdictConsensus: AI_CONSENSUS_SAMPLES repeats the primary provider', async () => {
+    const voters = await quietly(() => createVoters({ provider: 'gemini', consensusSamples: '3' }));
+    assert.strictEqual(voters.length, 3);
+    assert.ok(voters.every(v => v === voters[0]));
+});
+
+check('VerdictConsensus: AIEngine asks every voter and merges their verdicts', async () => {
+    const voters = [scriptedProvider([vote()]), scriptedProvider([vote({ C: 'FAIL' })]), scriptedProvider([vote({ C: 'FAIL' })])];
+    const result = await quietly(() => scriptedEngine(...voters).analyzeScreenshot([png('consensus')], {}, 'CAROUSEL_SLIDER', null, []));
+
+    assert.ok(voters.every(v => v.prompts.length === 1));
+    assert.strictEqual(result.consensus.valid_votes, 3);
+    const c = result.aesthetic_results.find(a => a.category.startsWith('C.'));
+    assert.deepStrictEqual(c.consensus, { votes: { PASS: 1, FAIL: 2 }, disagreement: 0.33, contested: true });
+    assert.strictEqual(result.overall_status, 'FAIL');
+    assert.strictEqual(result.usage.voters.length, 3);
+});
+
+check('VerdictConsensus: AIEngine merges AI_CONSENSUS_SAMPLES votes of the mock engine (mockScenarios CAROUSEL_SLIDER)', async () => {
+    assert.strictEqual(createVoters({ provider: 'mock', mockFixture: {}, consensusSamples: '3' }).length, 3);
+
+    const { widgetType, staticFeatures } = widgetCase('CAROUSEL_SLIDER');
+    const result = await quietly(() => mockEngine({ consensusSamples: 3 }).analyzeScreenshot([png('consensus')], {}, widgetType, staticFeatures, []));
+
+    assert.strictEqual(result.consensus.valid_votes, 3);
+    assert.strictEqual(result.usage.voters.length, 3);
+    // The CAROUSEL_SLIDER scenario fails category C on every sample: unanimous, not contested
+    const c = result.aesthetic_results.find(a => a.category.startsWith('C.'));
+    assert.deepStrictEqual(c.consensus, { votes: { FAIL: 3 }, disagreement: 0, contested: false });
+    assert.strictEqual(result.overall_status, 'FAIL');
+});
+
+// --- AIUsage ---------------------------------------------------------------------------------
+
+/**
+ * Runs `fn` with the given env vars set (undefined = unset), restoring them afterwards.
+ */
+async function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    const apply = values => Object.entries(values).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+    apply(vars);
+    try {
+        return await fn();
+    } finally {
+        apply(saved);
+    }
+}
+
+const NO_PRICE_OVERRIDE = { AI_PRICE_INPUT_PER_1M: undefined, AI_PRICE_OUTPUT_PER_1M: undefined };
+
+check('AIUsage: calls are priced by the longest matching model prefix', () => withEnv(NO_PRICE_OVERRIDE, () => {
+    const usage = { promptTokens: 1000000, outputTokens: 100000 };
+    assert.strictEqual(AIUsage.costFor('gemini-2.5-flash-preview-05-20', usage), 0.55);
+    assert.strictEqual(AIUsage.costFor('gpt-4o-mini-2024-07-18', usage), 0.21);
+    assert.strictEqual(AIUsage.costFor('some-new-model', usage), null);
+
+    // Replays cost nothing; an unpriced call is counted, not guessed
+    const calls = [
+        AIUsage.entry({ provider: 'gemini', model: 'gemini-2.0-flash', outcome: 'ok', latencyMs: 900, usage: { promptTokens: 2000, imageTokens: 516, outputTokens: 500, totalTokens: 2500 } }),
+        AIUsage.entry({ provider: 'gemini', model: 'gemini-2.0-flash', purpose: 'schema_correction', outcome: 'ok', latencyMs: 700, usage: { promptTokens: 3000, outputTokens: 400 } }),
+        AIUsage.entry({ provider: 'gemini', model: 'gemini-2.0-flash', outcome: 'replay', latencyMs: 0, usage: { promptTokens: 2000, outputTokens: 500 } }),
+        AIUsage.entry({ provider: 'openai', model: 'some-new-model', outcome: 'ok', latencyMs: 400, usage: { promptTokens: 100, outputTokens: 10 } }),
+        AIUsage.entry({ provider: 'openai', model: 'some-new-model', outcome: 'error', latencyMs: 300, error: '[500] upstream' })
+    ];
+    const summary = AIUsage.summarize(calls);
+    assert.strictEqual(summary.calls, 5);
+    assert.strictEqual(summary.retries, 4);
+    assert.strictEqual(summary.schemaRetries, 1);
+    assert.strictEqual(summary.failedCalls, 1);
+    assert.strictEqual(summary.unpricedCalls, 1);
+    assert.strictEqual(summary.totalTokens, 2500 + 3400 + 2500 + 110);
+    assert.strictEqual(summary.imageTokens, 516);
+    assert.strictEqual(summary.latencyMs, 2300);
+    assert.strictEqual(summary.costUsd, 0.00086); // 2000 × 0.10 + 500 × 0.40, then 3000 × 0.10 + 400 × 0.40 per 1M
+}));
+
+check('AIUsage: AI_PRICE_* overrides the price table', () => withEnv({ AI_PRICE_INPUT_PER_1M: '2', AI_PRICE_OUTPUT_PER_1M: undefined }, () => {
+    assert.deepStrictEqual(AIUsage.priceFor('gemini-2.5-pro'), { input: 2, output: 0 });
+    assert.strictEqual(AIUsage.costFor('some-new-model', { promptTokens: 500000, outputTokens: 1000 }), 1);
+}));
+
+check('AIUsage: rollup totals the runs and buckets them per widget type', () => {
+    const usage = (calls, totalTokens, costUsd) => ({ ...AIUsage.empty(), calls, totalTokens, costUsd, log: [{}] });
+    const runs = [
+        { widgetType: 'CAROUSEL_SLIDER', aiAnalysis: { usage: usage(1, 1000, 0.0001) } },
+        { widgetType: 'CAROUSEL_SLIDER', aiAnalysis: { usage: usage(2, 3000, 0.0002) } },
+        { widgetType: 'MASONRY', aiAnalysis: { usage: usage(1, 500, 0.00005) } },
+        { widgetType: 'MASONRY', aiAnalysis: {} },
+        { aiAnalysis: { usage: usage(1, 10, 0) } }
+    ];
+    const rollup = AIUsage.rollup(runs);
+
+    assert.strictEqual(rollup.total.runs, 5);
+    assert.strictEqual(rollup.total.calls, 5);
+    assert.strictEqual(rollup.total.totalTokens, 4510);
+    assert.strictEqual(rollup.total.costUsd, 0.00035);
+    assert.strictEqual(rollup.total.log, undefined);
+    assert.deepStrictEqual(Object.keys(rollup.per_widget), ['CAROUSEL_SLIDER', 'MASONRY', 'UNKNOWN']);
+    assert.strictEqual(rollup.per_widget.CAROUSEL_SLIDER.runs, 2);
+    assert.strictEqual(rollup.per_widget.CAROUSEL_SLIDER.costUsd, 0.0003);
+    // A run without usage (AI skipped) still counts as a run of its widget type
+    assert.strictEqual(rollup.per_widget.MASONRY.runs, 2);
+    assert.strictEqual(rollup.per_widget.MASONRY.calls, 1);
+    assert.deepStrictEqual(AIUsage.rollup([]).per_widget, {});
+});
+
+// --- AIRateLimiter ---------------------------------------------------------------------------
+
+/**
+ * Milliseconds until `promise` settles.
+ */
+async function elapsed(promise) {
+    const start = Date.now();
+    await promise;
+    return Date.now() - start;
+}
+
+check('AIRateLimiter: Retry-After is read as seconds, an HTTP date or a Gemini retryDelay', () => {
+    assert.strictEqual(AIRateLimiter.parseRetryAfter('2'), 2000);
+    assert.strictEqual(AIRateLimiter.parseRetryAfter('1.5'), 1500);
+    assert.strictEqual(AIRateLimiter.parseRetryAfter('37s'), 37000);
+    assert.strictEqual(AIRateLimiter.parseRetryAfter(3), 3000);
+    const fromDate = AIRateLimiter.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(fromDate > 8000 && fromDate <= 10000, `HTTP date gave ${fromDate}ms`);
+    assert.strictEqual(AIRateLimiter.parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+    [null, undefined, '', 'soon'].forEach(value => assert.strictEqual(AIRateLimiter.parseRetryAfter(value), null));
+});
+
+check('AIRateLimiter: an empty request bucket refills at AI_RPM and callers are served in order', async () => {
+    const limiter = new AIRateLimiter({ name: 'check-rpm', rpm: 600, tpm: 0 }); // one request per 100ms
+    limiter.requestBucket = 0;
+    const order = [];
+    const turns = [1, 2, 3].map(n => limiter.acquire().then(() => order.push(n)));
+
+    const waited = await quietly(() => elapsed(Promise.all(turns)));
+    assert.deepStrictEqual(order, [1, 2, 3]);
+    assert.ok(waited >= 250, `three requests at 600 RPM took ${waited}ms`);
+});
+
+check('AIRateLimiter: token reservations are capped at AI_TPM and corrected by settle()', async () => {
+    const limiter = new AIRateLimiter({ name: 'check-tpm', rpm: 0, tpm: 60000 }); // 1000 tokens per second
+    assert.strictEqual(await limiter.acquire(1e9), 60000);
+
+    // The call used 100 tokens more than reserved: the next caller waits for those as well
+    limiter.settle(60000, 60100);
+    const waited = await quietly(() => elapsed(limiter.acquire(100)));
+    assert.ok(waited >= 150, `waited ${waited}ms for 200 tokens at 1000/s`);
+
+    const unlimited = new AIRateLimiter({ name: 'check-unlimited', rpm: 0, tpm: 0 });
+    assert.strictEqual(await unlimited.acquire(1e9), 0);
+});
+
+check('AIRateLimiter: pauseFor() holds every caller until the server-specified time', async () => {
+    const limiter = new AIRateLimiter({ name: 'check-pause', rpm: 0, tpm: 0 });
+    await quietly(() => limiter.pauseFor(200));
+    const waited = await elapsed(Promise.all([limiter.acquire(), limiter.acquire()]));
+    assert.ok(waited >= 180, `paused callers went through after ${waited}ms`);
+});
+
+check('AIRateLimiter: AIEngine gives the token reservation of a failed call back', async () => {
+    const provider = scriptedProvider([Object.assign(new Error('[400] Bad Request'), { status: 400 })]);
+    provider.limits = { rpm: 0, tpm: 60000 }; // refills 1000 tokens per second
+    const result = await quietly(() => scriptedEngine(provider).analyzeScreenshot([png('400')], {}, 'CAROUSEL_SLIDER', null, []));
+
+    assert.strictEqual(result.status, 'ERROR');
+    assert.strictEqual(result.usage.failedCalls, 1);
+    assert.strictEqual(AIRateLimiter.for(provider).tokenBucket, 60000);
+});
+
+check('AIRateLimiter: AIEngine retries a 429 after its Retry-After instead of its own backoff', async () => {
+    const rateLimited = Object.assign(new Error('[429] Too Many Requests'), { status: 429, retryAfterMs: 300 });
+    const provider = scriptedProvider([rateLimited, validVerdict()]);
+    const start = Date.now();
+    const result = await quietly(() => scriptedEngine(provider).analyzeScreenshot([png('429')], {}, 'CAROUSEL_SLIDER', null, []));
+    const waited = Date.now() - start;
+
+    // The engine's own backoff starts at 5s
+    assert.ok(waited >= 280 && waited < 5000, `retried after ${waited}ms`);
+    assert.strictEqual(provider.prompts.length, 2);
+    assert.strictEqual(result.overall_status, 'PASS');
+    assert.strictEqual(result.usage.calls, 2);
+    assert.strictEqual(result.usage.failedCalls, 1);
+});
+
+check('AIRateLimiter: AIEngine retries a 429 after its Retry-After (mockScenarios MASONRY)', async () => {
+    const { widgetType, staticFeatures } = widgetCase('MASONRY');
+    const engine = await quietly(() => mockEngine());
+    const start = Date.now();
+    const result = await quietly(() => engine.analyzeScreenshot([png('429')], {}, widgetType, staticFeatures, []));
+
+    // The scenario asks for 1s, well under the engine's own 5s backoff
+    assert.ok(Date.now() - start >= 950 && Date.now() - start < 5000, `retried after ${Date.now() - start}ms`);
+    assert.ok(['PASS', 'FAIL'].includes(result.overall_status));
+    assert.strictEqual(result.usage.calls, 2);
+    assert.strictEqual(result.usage.failedCalls, 1);
+});
+
+// --- ImagePreprocessor -----------------------------------------------------------------------
+
+check('ImagePreprocessor: defect boxes on tiles and crops map back onto the original screenshots', () => {
+    // Screenshot 0 passed through; screenshot 1 (1000x5000) was cropped to x 100-900 and cut into two tiles
+    const sourceMap = [
+        { source: 0, region: null },
+        { source: 1, region: { x: 100, y: 0, width: 800, height: 2500 }, sourceWidth: 1000, sourceHeight: 5000 },
+        { source: 1, region: { x: 100, y: 2436, width: 800, height: 2564 }, sourceWidth: 1000, sourceHeight: 5000 }
+    ];
+    const verdict = validVerdict();
+    verdict.aesthetic_results[0].locations = [
+        { image_index: 0, box_2d: [10, 20, 30, 40] },
+        { image_index: 1, box_2d: [0, 0, 1000, 1000] },
+        { image_index: 2, box_2d: [500, 250, 1000, 500] },
+        { image_index: 7, box_2d: [1, 2, 3, 4] }
+    ];
+    verdict.aesthetic_results[1].locations = 'not a list';
+
+    ImagePreprocessor.remapLocations(verdict, sourceMap);
+    assert.deepStrictEqual(verdict.aesthetic_results[0].locations, [
+        { image_index: 0, box_2d: [10, 20, 30, 40] },
+        { image_index: 1, box_2d: [0, 100, 500, 900] },
+        // y: (2436 + 0.5 × 2564) / 5000, x: (100 + 0.25 × 800) / 1000
+        { image_index: 1, box_2d: [744, 300, 1000, 500] },
+        // No such AI image: left for sanitizeLocations to reject
+        { image_index: 7, box_2d: [1, 2, 3, 4] }
+    ]);
+    assert.strictEqual(verdict.aesthetic_results[1].locations, 'not a list');
+    assert.strictEqual(ImagePreprocessor.remapLocations(null, sourceMap), null);
+});
+
+check('ImagePreprocessor: a disabled stage passes the originals through one-to-one', async () => {
+    const buffers = [png('one'), png('two')];
+    const result = await new ImagePreprocessor({ enabled: false }).process(null, buffers);
+    assert.strictEqual(result.buffers, buffers);
+    assert.deepStrictEqual(result.sourceMap, [{ source: 0, region: null }, { source: 1, region: null }]);
+    assert.strictEqual(result.stats, null);
+});
+
+// --- MarqueeMotion ---------------------------------------------------------------------------
+
+/**
+ * Summaries of rows moving at the given signed velocities (px/s), as MarqueeMotion.measure() returns them.
+ */
+function rows(...velocities) {
+    return velocities.map((velocity, rowIndex) => ({
+        rowIndex, velocity, speed: Math.abs(velocity), jitter: 1,
+        direction: velocity > 2 ? 'RIGHT' : (velocity < -2 ? 'LEFT' : 'STATIONARY'), steps: 30
+    }));
+}
+
+const MARQUEE = { directionKey: 'horizontal_marquee_direction', unit: 'row' };
+const NO_SPEED_OVERRIDE = { MARQUEE_SPEED_PX_PER_UNIT: undefined, MARQUEE_SPEED_TOLERANCE: undefined };
+
+check('MarqueeMotion: the median speed is compared with marquee_speed within the tolerance', () => withEnv(NO_SPEED_OVERRIDE, () => {
+    const config = { is_autoplay: '1', marquee_speed: '40' };
+    assert.strictEqual(MarqueeMotion.compare(rows(-50, -52), config, MARQUEE).status, 'PASS');
+
+    const tooFast = MarqueeMotion.compare(rows(-60, -62), config, MARQUEE);
+    assert.strictEqual(tooFast.status, 'FAIL');
+    assert.ok(tooFast.message.includes('Speed 62 px/s is 55% off marquee_speed 40 (40 px/s, allowed ±35%)'), tooFast.message);
+    assert.strictEqual(tooFast.config_status, 'Autoplay 40 px/s, same direction');
+
+    // No marquee_speed, or autoplay off: nothing to compare
+    assert.strictEqual(MarqueeMotion.compare(rows(-60), { is_autoplay: '1' }, MARQUEE).status, 'PASS');
+    assert.strictEqual(MarqueeMotion.expectations({ is_autoplay: '0', marquee_speed: '40' }).speed, null);
+}));
+
+check('MarqueeMotion: MARQUEE_SPEED_PX_PER_UNIT scales marquee_speed and 0 turns the comparison off', async () => {
+    const config = { is_autoplay: '1', marquee_speed: '20' };
+    await withEnv({ MARQUEE_SPEED_PX_PER_UNIT: '3', MARQUEE_SPEED_TOLERANCE: '0.1' }, () => {
+        assert.strictEqual(MarqueeMotion.expectations(config).speed, 60);
+        assert.strictEqual(MarqueeMotion.compare(rows(58), config, MARQUEE).status, 'PASS');
+        assert.strictEqual(MarqueeMotion.compare(rows(50), config, MARQUEE).status, 'FAIL');
+    });
+    await withEnv({ MARQUEE_SPEED_PX_PER_UNIT: '0' }, () => {
+        assert.strictEqual(MarqueeMotion.expectations(config).speed, null);
+        assert.strictEqual(MarqueeMotion.compare(rows(500), config, MARQUEE).status, 'PASS');
+    });
+});
+
+check('MarqueeMotion: pause-on-hover is compared with pause_on_hover when the config has it', () => withEnv(NO_SPEED_OVERRIDE, () => {
+    const keepsMoving = MarqueeMotion.compare(rows(-40), { pause_on_hover: '1' }, { ...MARQUEE, pausesOnHover: false });
+    assert.strictEqual(keepsMoving.status, 'FAIL');
+    assert.ok(keepsMoving.message.startsWith('Keeps moving on hover although pause_on_hover is "1".'), keepsMoving.message);
+    assert.strictEqual(keepsMoving.config_status, 'Autoplay, same direction, pauses on hover');
+
+    assert.strictEqual(MarqueeMotion.compare(rows(-40), { pause_on_hover: 0 }, { ...MARQUEE, pausesOnHover: true }).status, 'FAIL');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40), { pause_on_hover: '1' }, { ...MARQUEE, pausesOnHover: true }).status, 'PASS');
+    // Not in the config, or not measured (hover failed): reported only
+    assert.strictEqual(MarqueeMotion.compare(rows(-40), {}, { ...MARQUEE, pausesOnHover: false }).status, 'PASS');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40), { pause_on_hover: '1' }, { ...MARQUEE, pausesOnHover: null }).status, 'PASS');
+}));
+
+check('MarqueeMotion: autoplay and cross-scrolling mismatches fail the feature', () => withEnv(NO_SPEED_OVERRIDE, () => {
+    assert.strictEqual(MarqueeMotion.compare(rows(0, 0), { is_autoplay: '1' }, MARQUEE).status, 'FAIL');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40), { is_autoplay: '0' }, MARQUEE).status, 'FAIL');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40, -40), { allow_cross_scrolling_animation: '1' }, MARQUEE).status, 'FAIL');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40, 40), { horizontal_marquee_direction: 'alter' }, MARQUEE).status, 'PASS');
+    assert.strictEqual(MarqueeMotion.compare(rows(-40, 40), {}, MARQUEE).status, 'FAIL');
+}));
+
+async function run() {
+    const filter = (process.argv.slice(2).find(a => a.startsWith('--filter=')) || '').split('=')[1];
+    const checks = CHECKS.filter(c => !filter || c.name.includes(filter));
+    console.log(`[ModuleChecks] ${checks.length} check(s).`);
+
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+        } catch (e) {
+            failed++;
+            console.log(`❌ ${name}\n   ${e.message.replace(/\n/g, '\n   ')}`);
+        }
+    }
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log(`[ModuleChecks] ${checks.length - failed}/${checks.length} passed.`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,287 @@
+/**
+ * promptRegression.js
+ * Builds the validation prompt for a matrix of widget types × config fixtures × feed data
+ * and diffs every prompt against its committed golden snapshot. Also asserts the computed
+ * "Config Status" of each feature against the expectations in the fixture file, checks the
+ * prompt budget report (every feed is either sent or listed as dropped), runs the rule-inclusion
+ * test of every per-widget rule pack, and validates every Configs/*.json against the feature catalog.
+ *
+ *   node scripts/promptRegression.js                  # check (exit 1 on any diff / failed assertion)
+ *   node scripts/promptRegression.js --update         # rewrite the snapshots after an intended change
+ *   node scripts/promptRegression.js --filter=MASONRY # only cases whose name contains the text
+ *
+ * Fixtures: testData/promptRegression.json (rulePacks: widget type → rules its pack must contain)
+ * Snapshots: testData/promptSnapshots/<case>.md
+ */
+const fs = require('fs');
+const path = require('path');
+const PromptBuilder = require('../helpers/promptBuilder');
+const PromptTemplates = require('../helpers/promptTemplates');
+const FeatureCatalog = require('../helpers/featureCatalog');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'testData', 'promptRegression.json');
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'testData', 'promptSnapshots');
+const CONFIGS_DIR = path.join(__dirname, '..', 'Configs');
+const DIFF_CONTEXT = 2;
+// Rule headings as written in the rule packs ("- **RULE 18.B (...)", "- **CROSS SLIDER EXCEPTION**")
+const RULE_ID_PATTERN = /^- \*\*(RULE \d+(?:\.[A-Z])?|[A-Z][A-Z ]+ EXCEPTION)\b/gm;
+const MAX_DIFF_LINES = 40;
+
+function pick(selection, all) {
+    return selection === '*' || !selection ? Object.keys(all) : selection;
+}
+
+function loadStaticFeatures(configFile) {
+    if (!configFile) return null;
+    return JSON.parse(fs.readFileSync(path.join(CONFIGS_DIR, `${configFile}.json`), 'utf8')).features;
+}
+
+/**
+ * Expands the matrix entries into individual cases (duplicates collapse onto one name).
+ */
+function expandCases(fixture) {
+    const cases = new Map();
+    fixture.matrix.forEach(entry => {
+        pick(entry.widgetTypes, fixture.widgets).forEach(widgetType => {
+            pick(entry.configs, fixture.configs).forEach(configName => {
+                pick(entry.feeds, fixture.feeds).forEach(feedsName => {
+                    const name = [widgetType, configName, feedsName, entry.name].filter(Boolean).join('__');
+                    cases.set(name, {
+                        name,
+                        widgetType,
+                        configName,
+                        feedsName,
+                        config: { ...fixture.configs[configName], feeds_data: fixture.feeds[feedsName] },
+                        staticFeatures: loadStaticFeatures(fixture.widgets[widgetType]),
+                        multiImage: !!entry.multiImage,
+                        geometricWarnings: entry.geometricWarnings || [],
+                        promptContext: entry.promptContext || {},
+                        expectBudget: entry.expectBudget || null
+                    });
+                });
+            });
+        });
+    });
+    return [...cases.values()];
+}
+
+/**
+ * Smallest single hunk covering every changed line (common prefix/suffix trimmed).
+ */
+function diffLines(expected, actual) {
+    const a = expected.split('\n');
+    const b = actual.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length - 1;
+    let endB = b.length - 1;
+    while (endA >= start && endB >= start && a[endA] === b[endB]) { endA--; endB--; }
+
+    const from = Math.max(0, start - DIFF_CONTEXT);
+    const lines = [`@@ line ${start + 1} @@`];
+    for (let i = from; i < start; i++) lines.push(`  ${a[i]}`);
+    for (let i = start; i <= endA; i++) lines.push(`- ${a[i]}`);
+    for (let i = start; i <= endB; i++) lines.push(`+ ${b[i]}`);
+    for (let i = endA + 1; i <= Math.min(a.length - 1, endA + DIFF_CONTEXT); i++) lines.push(`  ${a[i]}`);
+    if (lines.length > MAX_DIFF_LINES) {
+        return [...lines.slice(0, MAX_DIFF_LINES), `  ... ${lines.length - MAX_DIFF_LINES} more line(s)`].join('\n');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Config Status checks for one case: every computed state must be rendered in the prompt,
+ * and must match the fixture expectation for this config/feeds pair when one is given.
+ * @returns {{failures: string[], checked: string[]}}
+ */
+function checkConfigStatus(testCase, prompt, expectations) {
+    const failures = [];
+    const checked = [];
+    const states = PromptBuilder.expectedFeatureStates(testCase.config, testCase.staticFeatures, testCase.widgetType);
+    const expected = expectations[`${testCase.configName}/${testCase.feedsName}`] || {};
+
+    states.forEach(({ feature, expected: state }) => {
+        const line = `- **${feature}**: (Config Status: ${state})`;
+        if (!prompt.includes(line)) failures.push(`prompt is missing "${line}"`);
+        if (feature in expected) {
+            checked.push(feature);
+            if (expected[feature] !== state) {
+                failures.push(`${feature}: expected Config Status "${expected[feature]}", got "${state}"`);
+            }
+        }
+    });
+    return { failures, checked };
+}
+
+/**
+ * Budget checks for one case: every feed is either in the prompt or listed as dropped,
+ * and the report matches the entry's `expectBudget` ({ visible, trimmed, dropped }) when given.
+ * @returns {string[]} failures
+ */
+function checkBudget(testCase, prompt, budget) {
+    const failures = [];
+    const dropped = budget.feeds.dropped.map(d => d.id);
+    (testCase.config.feeds_data || []).forEach(feed => {
+        const inPrompt = prompt.includes(`[ID:${feed.id}]`);
+        if (inPrompt === dropped.includes(feed.id)) {
+            failures.push(`feed ${feed.id} is ${inPrompt ? 'in the prompt and' : 'neither in the prompt nor'} listed as dropped`);
+        }
+    });
+
+    const expected = testCase.expectBudget;
+    if (expected) {
+        const actual = { visible: budget.feeds.visible, trimmed: budget.feeds.trimmed, dropped };
+        Object.keys(expected).forEach(key => {
+            if (JSON.stringify(expected[key]) !== JSON.stringify(actual[key])) {
+                failures.push(`budget ${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+            }
+        });
+    }
+    return failures;
+}
+
+function ruleIds(text) {
+    return [...new Set([...text.matchAll(RULE_ID_PATTERN)].map(m => m[1]))].sort();
+}
+
+/**
+ * Rule-inclusion test of every rule pack (prompts/<version>/rules/packs/<WIDGET_TYPE>.md):
+ * the pack must contain exactly the rules listed for it in the fixture's `rulePacks`,
+ * and every pack file must have an entry there.
+ * @returns {{results: Array<{pack: string, failures: string[], rules: string[]}>, scoped: Set<string>}}
+ */
+function checkRulePacks(templates, rulePacks = {}) {
+    const packs = Object.keys(templates.files)
+        .filter(name => name.startsWith('rules/packs/'))
+        .map(name => name.replace('rules/packs/', ''));
+    const scoped = new Set(Object.values(rulePacks).flat());
+
+    const results = [...new Set([...packs, ...Object.keys(rulePacks)])].sort().map(pack => {
+        if (!packs.includes(pack)) return { pack, failures: [`rulePacks lists "${pack}" but ${templates.version} has no rules/packs/${pack}.md`], rules: [] };
+        if (!rulePacks[pack]) return { pack, failures: [`no rule-inclusion test: add "${pack}" to rulePacks in ${path.basename(FIXTURE_FILE)}`], rules: [] };
+        const rules = ruleIds(templates.render(`rules/packs/${pack}`));
+        const expected = [...rulePacks[pack]].sort();
+        const failures = JSON.stringify(rules) === JSON.stringify(expected)
+            ? []
+            : [`expected rules [${expected.join(', ')}], pack has [${rules.join(', ')}]`];
+        return { pack, failures, rules };
+    });
+    return { results, scoped };
+}
+
+/**
+ * The rendered prompt must carry the scoped rules of its widget type's pack (GENERIC when it has none) and no others.
+ */
+function checkScopedRules(testCase, prompt, rulePacks, scoped) {
+    const expected = [...(rulePacks[testCase.widgetType] || rulePacks.GENERIC || [])].sort();
+    const actual = ruleIds(prompt).filter(id => scoped.has(id));
+    return JSON.stringify(actual) === JSON.stringify(expected)
+        ? []
+        : [`scoped rules for ${testCase.widgetType}: expected [${expected.join(', ')}], prompt has [${actual.join(', ')}]`];
+}
+
+function run() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const filter = (args.find(a => a.startsWith('--filter=')) || '').split('=')[1];
+
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+    const templates = PromptTemplates.load();
+    const cases = expandCases(fixture).filter(c => !filter || c.name.includes(filter));
+    if (!fs.existsSync(SNAPSHOT_DIR)) fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+    console.log(`[PromptRegression] ${cases.length} case(s) against prompt ${templates.version} (${templates.hash})${update ? ' — updating snapshots' : ''}.`);
+
+    const warn = console.warn;
+    const usedExpectations = new Set();
+    let failed = 0;
+    let unmatched = 0;
+    let written = 0;
+
+    // Rule packs (template versions without rules/packs/ have nothing to check)
+    const hasPacks = Object.keys(templates.files).some(name => name.startsWith('rules/packs/'));
+    const { results: packResults, scoped } = hasPacks ? checkRulePacks(templates, fixture.rulePacks) : { results: [], scoped: new Set() };
+    packResults.forEach(({ pack, failures, rules }) => {
+        if (failures.length > 0) {
+            unmatched++;
+            console.log(`❌ rule pack ${pack}`);
+            failures.forEach(f => console.log(`   ${f}`));
+        } else {
+            console.log(`✅ rule pack ${pack} (${rules.length ? rules.join(', ') : 'no scoped rules'})`);
+        }
+    });
+
+    // Every Configs/*.json must only name catalog features valid for its widget types
+    try {
+        const checked = FeatureCatalog.load().validateConfigs();
+        console.log(`✅ feature catalog (${checked} config file(s))`);
+    } catch (e) {
+        unmatched++;
+        console.log(`❌ ${e.message}`);
+    }
+
+    cases.forEach(testCase => {
+        // The GENERIC_GRID fallback warning is expected for widget types without pre-analysis
+        console.warn = () => { };
+        let prompt;
+        let budget;
+        try {
+            ({ prompt, budget } = PromptBuilder.compose(testCase.widgetType, testCase.config, testCase.staticFeatures, testCase.multiImage, testCase.geometricWarnings, templates.version, testCase.promptContext));
+        } catch (e) {
+            failed++;
+            console.log(`❌ ${testCase.name}\n   ${e.message}`);
+            return;
+        } finally {
+            console.warn = warn;
+        }
+
+        const problems = [];
+        const { failures, checked } = checkConfigStatus(testCase, prompt, fixture.expectations);
+        problems.push(...failures, ...checkBudget(testCase, prompt, budget));
+        if (hasPacks) problems.push(...checkScopedRules(testCase, prompt, fixture.rulePacks || {}, scoped));
+        if (checked.length > 0) usedExpectations.add(`${testCase.configName}/${testCase.feedsName}`);
+
+        const snapshotPath = path.join(SNAPSHOT_DIR, `${testCase.name}.md`);
+        const snapshot = fs.existsSync(snapshotPath) ? fs.readFileSync(snapshotPath, 'utf8') : null;
+        if (update) {
+            if (snapshot !== prompt) {
+                fs.writeFileSync(snapshotPath, prompt);
+                written++;
+            }
+        } else if (snapshot === null) {
+            problems.push(`no snapshot at ${path.relative(process.cwd(), snapshotPath)} (run with --update)`);
+        } else if (snapshot !== prompt) {
+            problems.push(`prompt differs from snapshot:\n${diffLines(snapshot, prompt)}`);
+        }
+
+        if (problems.length > 0) {
+            failed++;
+            console.log(`❌ ${testCase.name}`);
+            problems.forEach(p => console.log(`   ${p.replace(/\n/g, '\n   ')}`));
+        } else {
+            console.log(`✅ ${testCase.name}${checked.length ? ` (${checked.length} Config Status assertion(s))` : ''}`);
+        }
+    });
+
+    if (!filter) {
+        Object.keys(fixture.expectations).filter(key => !usedExpectations.has(key)).forEach(key => {
+            unmatched++;
+            console.log(`❌ expectations["${key}"] did not match any case in the matrix.`);
+        });
+
+        const names = new Set(cases.map(c => `${c.name}.md`));
+        const stale = fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.md') && !names.has(f));
+        if (update) {
+            stale.forEach(f => fs.unlinkSync(path.join(SNAPSHOT_DIR, f)));
+            if (stale.length) console.log(`[PromptRegression] Removed ${stale.length} stale snapshot(s).`);
+        } else if (stale.length) {
+            console.log(`⚠️  ${stale.length} snapshot(s) no longer in the matrix: ${stale.join(', ')} (run with --update to remove).`);
+        }
+    }
+
+    if (update) console.log(`[PromptRegression] ${written} snapshot(s) written.`);
+    console.log(`[PromptRegression] ${cases.length - failed}/${cases.length} passed.`);
+    process.exit(failed + unmatched > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,52 @@
+/**
+ * rescoreRecordings.js
+ * Re-scores recorded AI responses with the current post-processing rules,
+ * without calling the model.
+ *
+ *   AI_RECORD_MODE=record node runners/runApiValidation.js   # capture once
+ *   node scripts/rescoreRecordings.js [recordingsDir]         # re-score any time
+ */
+const fs = require('fs');
+const path = require('path');
+const AIEngine = require('../helpers/aiEngine');
+const AIRecorder = require('../helpers/aiRecorder');
+
+function rescore() {
+    const dir = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+    const recorder = new AIRecorder({ mode: 'replay', dir });
+    const recordings = recorder.list();
+
+    if (recordings.length === 0) {
+        console.log(`[Rescore] No recordings found in ${recorder.dir}.`);
+        return;
+    }
+
+    const engine = new AIEngine({ recordMode: 'replay', recordingsDir: recorder.dir });
+    const results = recordings.map(recording => {
+        try {
+            const aiAnalysis = engine.rescoreRecording(recording);
+            return {
+                key: recording.key,
+                widgetType: recording.widgetType,
+                recordedAt: recording.recordedAt,
+                promptVersion: recording.promptVersion || null,
+                status: aiAnalysis.overall_status || 'UNKNOWN',
+                aiAnalysis
+            };
+        } catch (e) {
+            return { key: recording.key, widgetType: recording.widgetType, recordedAt: recording.recordedAt, status: 'ERROR', error: e.message };
+        }
+    });
+
+    console.log('\n=======================================');
+    results.forEach(r => {
+        console.log(`${r.key.substring(0, 12)}  ${(r.widgetType || 'UNKNOWN').padEnd(22)} ${r.status}${r.error ? ` (${r.error})` : ''}`);
+    });
+    console.log('=======================================\n');
+
+    const outPath = path.join(recorder.dir, `rescored_${Date.now()}.json`);
+    fs.writeFileSync(outPath, JSON.stringify(results, null, 2));
+    console.log(`[Rescore] Saved ${results.length} re-scored verdict(s) to ${outPath}`);
+}
+
+rescore();